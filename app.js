@@ -1,6 +1,6 @@
 /**
  * A/B Test Platform - Main Application JavaScript
- * Handles routing, authentication, localStorage management, and all UI interactions
+ * Handles routing, authentication, storage management, and all UI interactions
  */
 
 // ============================================
@@ -10,7 +10,15 @@
 const STORAGE_KEYS = {
     USERS: 'abtest_users',
     SESSION: 'abtest_session',
-    TESTS: 'abtest_tests'
+    TESTS: 'abtest_tests',
+    SCHEMA_VERSION: 'abtest_schema_version',
+    OUTBOX: 'abtest_outbox',
+    SYNC_STATE: 'abtest_sync_state',
+    MODERATION_LOG: 'abtest_moderation_log',
+    GUEST_ID: 'abtest_guest_id',
+    WORKSPACES: 'abtest_workspaces',
+    LOGIN_ATTEMPTS: 'abtest_login_attempts',
+    TRASH_RETENTION: 'abtest_trash_retention'
 };
 
 const ROUTES = {
@@ -19,49 +27,339 @@ const ROUTES = {
     '/register': 'register',
     '/create': 'create',
     '/dashboard': 'dashboard',
-    '/share': 'share'
+    '/share': 'share',
+    '/storage': 'storage',
+    '/profile': 'profile',
+    '/settings': 'settings',
+    '/moderation': 'moderation',
+    '/workspaces': 'workspaces',
+    '/series': 'series'
 };
 
+// Routes that require authentication
+const PROTECTED_ROUTES = ['create', 'dashboard', 'storage', 'profile', 'settings', 'moderation', 'workspaces', 'series'];
+
+// Routes that also need a role permission (see ROLE_PERMISSIONS)
+const ROUTE_PERMISSIONS = {
+    create: 'create',
+    moderation: 'moderate'
+};
+
+const SESSION_CONFIG = {
+    // Sessions without "remember me" end after this long without activity...
+    idleTimeout: 30 * 60 * 1000,
+    // ...and after this long in any case
+    maxAge: 12 * 60 * 60 * 1000,
+    // Lifetime of a "remember me" session (no idle timeout)
+    rememberMaxAge: 30 * 24 * 60 * 60 * 1000,
+    // Activity is written back at most this often
+    activityWriteInterval: 60 * 1000,
+    // How often open tabs look for an ended session
+    checkInterval: 30 * 1000
+};
+
+const LOGIN_THROTTLE_CONFIG = {
+    // Failed logins per email allowed before any waiting...
+    freeAttempts: 3,
+    // ...then the wait starts here and doubles with each failure...
+    baseDelay: 2 * 1000,
+    maxDelay: 5 * 60 * 1000,
+    // ...until the email is locked for a while. Each further lockout lasts
+    // twice as long as the one before.
+    lockoutAttempts: 10,
+    lockoutDuration: 15 * 60 * 1000,
+    maxLockoutDuration: 24 * 60 * 60 * 1000,
+    // Failures are forgotten after this long without another one...
+    resetAfter: 60 * 60 * 1000,
+    // ...and lockouts this long after the last one ended
+    lockoutMemory: 24 * 60 * 60 * 1000
+};
+
+// ============================================
+// Storage Adapters
+// ============================================
+
+const STORAGE_CONFIG = {
+    // Preferred backend: 'indexeddb' or 'localstorage'
+    backend: 'indexeddb',
+    dbName: 'abtest',
+    storeName: 'keyval'
+};
+
+// Prefix shared by every key the app owns, used to scope adapter listings
+const STORAGE_KEY_PREFIX = 'abtest_';
+
+/**
+ * Storage adapter interface. Every adapter exposes the same async methods:
+ *   get(key)        -> Promise<*>        stored value or undefined
+ *   put(key, value) -> Promise<void>
+ *   list()          -> Promise<string[]> keys owned by the app
+ *   delete(key)     -> Promise<void>
+ */
+
+/**
+ * Create a storage adapter backed by localStorage
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: 'localstorage',
+        supportsBlobs: false,
+        async get(key) {
+            const item = localStorage.getItem(key);
+            return item === null ? undefined : JSON.parse(item);
+        },
+        async put(key, value) {
+            localStorage.setItem(key, JSON.stringify(value));
+        },
+        async list() {
+            return Object.keys(localStorage).filter(key => key.startsWith(STORAGE_KEY_PREFIX));
+        },
+        async delete(key) {
+            localStorage.removeItem(key);
+        }
+    };
+}
+
+/**
+ * Create a storage adapter backed by IndexedDB (one key/value object store)
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(dbName = STORAGE_CONFIG.dbName, storeName = STORAGE_CONFIG.storeName) {
+    let dbPromise = null;
+    
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+    
+    // Run a single request in its own transaction and resolve once it commits
+    async function runRequest(mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    return {
+        name: 'indexeddb',
+        supportsBlobs: true,
+        open: openDatabase,
+        get(key) {
+            return runRequest('readonly', store => store.get(key));
+        },
+        put(key, value) {
+            return runRequest('readwrite', store => store.put(value, key));
+        },
+        async list() {
+            const keys = await runRequest('readonly', store => store.getAllKeys());
+            return keys.filter(key => String(key).startsWith(STORAGE_KEY_PREFIX));
+        },
+        delete(key) {
+            return runRequest('readwrite', store => store.delete(key));
+        }
+    };
+}
+
+/**
+ * Copy app data left in localStorage into another adapter, then remove it
+ * from localStorage. Keys the target already holds are left untouched, so
+ * running this again is harmless.
+ * @param {Object} targetAdapter - Adapter to migrate into
+ */
+async function migrateFromLocalStorage(targetAdapter) {
+    const source = createLocalStorageAdapter();
+    const keys = await source.list();
+    
+    for (const key of keys) {
+        const existing = await targetAdapter.get(key);
+        if (existing === undefined) {
+            await targetAdapter.put(key, await source.get(key));
+        }
+        await source.delete(key);
+    }
+}
+
 // ============================================
-// LocalStorage Management
+// Storage Management
 // ============================================
 
+// Active adapter and the in-memory copy of every STORAGE_KEYS entry.
+// Reads are served synchronously from the cache; writes update the cache
+// and are persisted to the adapter in order.
+let storageAdapter = null;
+const storageCache = new Map();
+let storageWriteQueue = Promise.resolve();
+// Set when stored data comes from a newer build; writes are then refused so
+// this build can't damage data it doesn't understand
+let storageReadOnly = false;
+
+/**
+ * Deep copy a stored value so callers can't mutate the cache
+ * @param {*} value - Value to copy
+ * @returns {*} Copy of the value
+ */
+function cloneStoredValue(value) {
+    return value === undefined || value === null ? value : structuredClone(value);
+}
+
+/**
+ * Select the configured adapter (falling back to localStorage when
+ * IndexedDB is unavailable) and load all app data into memory
+ */
+async function initStorage() {
+    storageAdapter = createLocalStorageAdapter();
+    
+    if (STORAGE_CONFIG.backend === 'indexeddb' && typeof indexedDB !== 'undefined') {
+        const idbAdapter = createIndexedDBAdapter();
+        try {
+            await idbAdapter.open();
+            await migrateFromLocalStorage(idbAdapter);
+            storageAdapter = idbAdapter;
+        } catch (error) {
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    
+    storageCache.clear();
+    for (const key of Object.values(STORAGE_KEYS)) {
+        const value = await storageAdapter.get(key);
+        if (value !== undefined) {
+            storageCache.set(key, value);
+        }
+    }
+}
+
+/**
+ * Queue an adapter operation behind every write already pending, so writes
+ * reach the adapter in the order they were made
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise<*>} Result of the task (rejects if the task fails)
+ */
+function enqueueStorageWrite(task) {
+    if (storageReadOnly) {
+        const error = new Error('Stored data is from a newer version of the app');
+        error.name = 'ReadOnlyStorageError';
+        return Promise.reject(error);
+    }
+    const write = storageWriteQueue.then(task);
+    storageWriteQueue = write.then(() => undefined, () => undefined);
+    return write;
+}
+
+/**
+ * Wait until every pending write has reached the storage adapter
+ * @returns {Promise<void>}
+ */
+function flushStorage() {
+    return storageWriteQueue;
+}
+
 /**
- * Generic function to safely get data from localStorage
+ * Generic function to safely get data from storage
  * @param {string} key - Storage key
  * @param {*} defaultValue - Default value if key doesn't exist
  * @returns {*} Stored value or default
  */
 function getFromStorage(key, defaultValue = null) {
     try {
-        const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
+        const value = storageCache.get(key);
+        return value === undefined || value === null ? defaultValue : cloneStoredValue(value);
     } catch (error) {
-        console.error(`Error reading from localStorage (${key}):`, error);
+        console.error(`Error reading from storage (${key}):`, error);
         showError('Storage error. Please check your browser settings.');
         return defaultValue;
     }
 }
 
 /**
- * Generic function to safely save data to localStorage
+ * Generic function to safely save data to storage. The change is merged
+ * against whatever another tab may have written since this tab last read
+ * the key, so concurrent edits to different records don't overwrite each other.
  * @param {string} key - Storage key
  * @param {*} value - Value to store
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Resolves with success status once persisted
  */
 function saveToStorage(key, value) {
-    try {
-        localStorage.setItem(key, JSON.stringify(value));
-        return true;
-    } catch (error) {
-        console.error(`Error writing to localStorage (${key}):`, error);
-        if (error.name === 'QuotaExceededError') {
-            showError('Storage is full. Please free up some space.');
-        } else {
-            showError('Storage error. Please check your browser settings.');
+    const base = storageCache.get(key);
+    const snapshot = cloneStoredValue(value);
+    storageCache.set(key, snapshot);
+    
+    return enqueueStorageWrite(async () => {
+        const remote = await storageAdapter.get(key);
+        const merged = mergeStoredValues(base, snapshot, remote);
+        await storageAdapter.put(key, merged);
+        // Keep local edits queued after this one on top of the merged result
+        storageCache.set(key, mergeStoredValues(snapshot, storageCache.get(key), merged));
+        broadcastStorageChange(key);
+    }).then(
+        () => true,
+        error => {
+            console.error(`Error writing to storage (${key}):`, error);
+            // Undo this change in memory, keeping any local edits made after
+            // it. A key that didn't exist before goes back to an empty list
+            // or to not existing at all.
+            const current = storageCache.get(key);
+            const previous = base === undefined && isRecordList(snapshot) ? [] : base;
+            const restored = isEqualValue(current, snapshot)
+                ? base
+                : mergeStoredValues(snapshot, current, previous);
+            if (restored === undefined) {
+                storageCache.delete(key);
+            } else {
+                storageCache.set(key, restored);
+            }
+            
+            if (error && error.name === 'QuotaExceededError') {
+                showError('Storage is full, so your last change was not saved. Open Storage from the profile menu to free up space.');
+            } else if (error && error.name === 'ReadOnlyStorageError') {
+                showError(NEWER_SCHEMA_MESSAGE);
+            } else {
+                showError('Storage error. Please check your browser settings.');
+            }
+            // No re-render from here: views write to storage while rendering,
+            // and every failed write would render again
+            return false;
         }
-        return false;
-    }
+    );
+}
+
+/**
+ * Remove a key from storage entirely
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} Resolves with success status once persisted
+ */
+function removeFromStorage(key) {
+    storageCache.delete(key);
+    
+    return enqueueStorageWrite(async () => {
+        await storageAdapter.delete(key);
+        broadcastStorageChange(key);
+    }).then(
+        () => true,
+        error => {
+            console.error(`Error removing from storage (${key}):`, error);
+            showError(error && error.name === 'ReadOnlyStorageError'
+                ? NEWER_SCHEMA_MESSAGE
+                : 'Storage error. Please check your browser settings.');
+            return false;
+        }
+    );
 }
 
 /**
@@ -75,9 +373,10 @@ function getUsers() {
 /**
  * Save users array to storage
  * @param {Array} users - Array of user objects
+ * @returns {Promise<boolean>} Success status
  */
 function saveUsers(users) {
-    saveToStorage(STORAGE_KEYS.USERS, users);
+    return saveToStorage(STORAGE_KEYS.USERS, users);
 }
 
 /**
@@ -91,14 +390,32 @@ function getTests() {
 /**
  * Save tests array to storage
  * @param {Array} tests - Array of test objects
+ * @returns {Promise<boolean>} Success status
  */
 function saveTests(tests) {
-    saveToStorage(STORAGE_KEYS.TESTS, tests);
+    return saveToStorage(STORAGE_KEYS.TESTS, tests);
+}
+
+/**
+ * Get all workspaces from storage
+ * @returns {Array} Array of workspace objects
+ */
+function getWorkspaces() {
+    return getFromStorage(STORAGE_KEYS.WORKSPACES, []);
+}
+
+/**
+ * Save workspaces array to storage
+ * @param {Array} workspaces - Array of workspace objects
+ * @returns {Promise<boolean>} Success status
+ */
+function saveWorkspaces(workspaces) {
+    return saveToStorage(STORAGE_KEYS.WORKSPACES, workspaces);
 }
 
 /**
- * Get current session (logged-in user ID)
- * @returns {string|null} User ID or null
+ * Get the stored session, whether or not it is still valid
+ * @returns {Object|null} Session object or null
  */
 function getSession() {
     return getFromStorage(STORAGE_KEYS.SESSION, null);
@@ -106,1044 +423,7727 @@ function getSession() {
 
 /**
  * Set current session
- * @param {string|null} userId - User ID or null
+ * @param {Object|null} session - Session object or null to sign out
+ * @returns {Promise<boolean>} Success status
  */
-function setSession(userId) {
-    saveToStorage(STORAGE_KEYS.SESSION, userId);
+function setSession(session) {
+    return saveToStorage(STORAGE_KEYS.SESSION, session);
 }
 
 // ============================================
-// Authentication
+// Cross-Tab Sync
 // ============================================
 
+const SYNC_CHANNEL_NAME = 'abtest_sync';
+let syncChannel = null;
+
 /**
- * Generate a unique ID
- * @returns {string} Unique ID
+ * Deep equality for JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function isEqualValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqualValue(a[key], b[key]));
 }
 
 /**
- * Register a new user
- * @param {string} email - User email
- * @param {string} password - User password
- * @returns {Object} Result object with success status and message
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if plain object
  */
-function registerUser(email, password) {
-    const users = getUsers();
-    
-    // Check if user already exists
-    if (users.some(user => user.email.toLowerCase() === email.toLowerCase())) {
-        return { success: false, message: 'Email already registered' };
-    }
-    
-    // Validate password length
-    if (password.length < 6) {
-        return { success: false, message: 'Password must be at least 6 characters' };
-    }
-    
-    // Create new user (in production, password would be hashed)
-    const newUser = {
-        id: generateId(),
-        email: email.toLowerCase(),
-        password: password // In production, use proper hashing
-    };
-    
-    users.push(newUser);
-    saveUsers(users);
-    
-    return { success: true, user: newUser };
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
 /**
- * Login a user
- * @param {string} email - User email
- * @param {string} password - User password
- * @returns {Object} Result object with success status and user/error
+ * Check whether every item in an array is a record with an id
+ * @param {Array} items - Array to check
+ * @returns {boolean} True if all items have ids
  */
-function loginUser(email, password) {
-    const users = getUsers();
-    const user = users.find(u => 
-        u.email.toLowerCase() === email.toLowerCase() && u.password === password
-    );
-    
-    if (!user) {
-        return { success: false, message: 'Invalid email or password' };
-    }
-    
-    setSession(user.id);
-    return { success: true, user };
+function isRecordList(items) {
+    return Array.isArray(items) && items.every(item => isPlainObject(item) && item.id !== undefined);
 }
 
 /**
- * Logout current user
+ * Three-way merge of two lists of records, matched by id. Records changed
+ * only on one side take that side's version; records changed on both sides
+ * are merged field by field.
+ * @param {Array} base - Common ancestor
+ * @param {Array} local - This tab's version
+ * @param {Array} remote - Latest stored version
+ * @returns {Array} Merged list (remote order, local additions appended)
  */
-function logoutUser() {
-    setSession(null);
-    navigateTo('/');
-    updateNavigation();
+function mergeRecordLists(base, local, remote) {
+    const baseById = new Map(base.map(item => [item.id, item]));
+    const localById = new Map(local.map(item => [item.id, item]));
+    const remoteById = new Map(remote.map(item => [item.id, item]));
+    const merged = [];
+    
+    remote.forEach(remoteItem => {
+        const baseItem = baseById.get(remoteItem.id);
+        const localItem = localById.get(remoteItem.id);
+        
+        if (baseItem && !localItem) {
+            // Removed in this tab
+            return;
+        }
+        if (!localItem) {
+            merged.push(remoteItem);
+            return;
+        }
+        merged.push(baseItem ? mergeStoredValues(baseItem, localItem, remoteItem) : localItem);
+    });
+    
+    local.forEach(localItem => {
+        if (remoteById.has(localItem.id)) return;
+        const baseItem = baseById.get(localItem.id);
+        // Keep records added here, and records edited here that another tab removed
+        if (!baseItem || !isEqualValue(baseItem, localItem)) {
+            merged.push(localItem);
+        }
+    });
+    
+    return merged;
 }
 
 /**
- * Get current logged-in user
- * @returns {Object|null} User object or null
+ * Three-way merge of a stored value. Nested objects (e.g. test.votes) are
+ * merged per key and lists of records per id; anything else that changed on
+ * both sides resolves to this tab's version.
+ * @param {*} base - Value this tab last read
+ * @param {*} local - Value this tab wants to write
+ * @param {*} remote - Value currently in storage
+ * @returns {*} Merged value
  */
-function getCurrentUser() {
-    const sessionId = getSession();
-    if (!sessionId) return null;
+function mergeStoredValues(base, local, remote) {
+    if (remote === undefined || isEqualValue(remote, base)) return local;
+    if (isEqualValue(local, base)) return remote;
     
-    const users = getUsers();
-    return users.find(u => u.id === sessionId) || null;
+    if (isRecordList(local) && isRecordList(remote) && (base === undefined || isRecordList(base))) {
+        return mergeRecordLists(base || [], local, remote);
+    }
+    
+    if (isPlainObject(local) && isPlainObject(remote) && isPlainObject(base)) {
+        const merged = {};
+        const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+        keys.forEach(key => {
+            const value = mergeStoredValues(base[key], local[key], remote[key]);
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+        });
+        return merged;
+    }
+    
+    return local;
 }
 
 /**
- * Get user by ID
- * @param {string} userId - User ID
- * @returns {Object|null} User object or null
+ * Tell other tabs that a key has changed
+ * @param {string} key - Storage key
  */
-function getUserById(userId) {
-    if (!userId) return null;
-    const users = getUsers();
-    return users.find(u => u.id === userId) || null;
+function broadcastStorageChange(key) {
+    if (syncChannel) {
+        syncChannel.postMessage({ key });
+    }
 }
 
 /**
- * Get submitter display name (username part of email)
- * @param {string} userId - User ID
- * @returns {string} Formatted submitter info or "Anonymous"
+ * Reload a key another tab changed and refresh the UI
+ * @param {string} key - Storage key
  */
-function getSubmitterInfo(userId) {
-    if (!userId || userId.startsWith('shared_')) {
-        return 'Submitted by Anonymous';
-    }
+async function handleExternalStorageChange(key) {
+    if (!Object.values(STORAGE_KEYS).includes(key)) return;
     
-    const user = getUserById(userId);
-    if (!user || !user.email) {
-        return 'Submitted by Anonymous';
+    // Let this tab's own queued writes land (and merge) first
+    await flushStorage();
+    
+    try {
+        const value = await storageAdapter.get(key);
+        if (value === undefined) {
+            storageCache.delete(key);
+        } else {
+            storageCache.set(key, value);
+        }
+    } catch (error) {
+        console.error(`Error reloading storage (${key}):`, error);
+        return;
     }
     
-    const emailParts = user.email.split('@');
-    const username = emailParts[0] || 'Anonymous';
-    return `Submitted by ${username}`;
+    refreshCurrentView();
 }
 
 /**
- * Check if user is authenticated
- * @returns {boolean} True if logged in
+ * Listen for changes made in other tabs. Uses a BroadcastChannel when
+ * available (required for IndexedDB), otherwise localStorage storage events.
  */
-function isAuthenticated() {
-    return getCurrentUser() !== null;
+function setupCrossTabSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.addEventListener('message', (e) => {
+            if (e.data && e.data.key) {
+                handleExternalStorageChange(e.data.key);
+            }
+        });
+    } else if (storageAdapter && storageAdapter.name === 'localstorage') {
+        window.addEventListener('storage', (e) => {
+            if (e.key) {
+                handleExternalStorageChange(e.key);
+            }
+        });
+    }
 }
 
 // ============================================
-// Test Management
+// Image Store
 // ============================================
 
+// Uploaded images are stored once per content hash, outside the test
+// records. Tests reference them as 'img:<sha-256 hex>'.
+const IMAGE_REF_PREFIX = 'img:';
+const IMAGE_KEY_PREFIX = STORAGE_KEY_PREFIX + 'image_';
+// When each image was last stored, kept next to it
+const IMAGE_TIME_KEY_PREFIX = STORAGE_KEY_PREFIX + 'imagetime_';
+// Unreferenced images stored more recently than this are kept: a form in
+// another tab, or a save still in progress, may be about to use them
+const IMAGE_GC_GRACE_MS = 60 * 60 * 1000;
+
+// Object URLs created for stored images, by hash
+const imageObjectUrls = new Map();
+
 /**
- * Create a new test
- * @param {string} title - Test title
- * @param {string} imageA - Image A URL
- * @param {string} imageB - Image B URL
- * @param {string} userId - Creator user ID
- * @returns {Object} Created test object
+ * Check whether a value is an image store reference
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is an 'img:<hash>' reference
  */
-function createTest(title, imageA, imageB, userId) {
-    const tests = getTests();
-    const newTest = {
-        id: generateId(),
-        userId: userId,
-        title: title.trim(),
-        imageA: imageA.trim(),
-        imageB: imageB.trim(),
-        votes: {}
-    };
-    
-    tests.push(newTest);
-    saveTests(tests);
-    
-    return newTest;
+function isImageRef(value) {
+    return typeof value === 'string' && /^img:[0-9a-f]{64}$/.test(value);
 }
 
 /**
- * Get all tests (excluding deleted)
- * @returns {Array} Array of test objects
+ * Get the content hash from an image reference
+ * @param {string} ref - Image reference
+ * @returns {string} SHA-256 hex digest
  */
-function getAllTests() {
-    return getTests().filter(test => !test.deleted);
+function getImageHash(ref) {
+    return ref.slice(IMAGE_REF_PREFIX.length);
 }
 
 /**
- * Get tests created by a specific user (excluding deleted)
- * @param {string} userId - User ID
- * @returns {Array} Array of test objects
+ * Get every image store reference used by a test
+ * @param {Object} test - Test object
+ * @returns {Array<string>} Image references
  */
-function getUserTests(userId) {
-    return getTests().filter(test => test.userId === userId && !test.deleted);
+function getTestImageRefs(test) {
+    // Backups made before multivariate tests still hold imageA/imageB
+    const images = Array.isArray(test.variants)
+        ? test.variants.filter(variant => !isTextVariant(variant)).map(variant => variant.image)
+        : [test.imageA, test.imageB];
+    return images.filter(isImageRef);
 }
 
 /**
- * Get deleted tests created by a specific user
- * @param {string} userId - User ID
- * @returns {Array} Array of deleted test objects
+ * Point a test at different stored images
+ * @param {Object} test - Test object, updated in place
+ * @param {Map} refMap - Old image reference to new image reference
+ * @returns {boolean} True if any reference changed
  */
-function getDeletedUserTests(userId) {
-    return getTests().filter(test => test.userId === userId && test.deleted === true);
+function replaceTestImageRefs(test, refMap) {
+    let changed = false;
+    test.variants.forEach(variant => {
+        if (refMap.has(variant.image)) {
+            variant.image = refMap.get(variant.image);
+            changed = true;
+        }
+    });
+    return changed;
 }
 
 /**
- * Vote on a test
- * @param {string} testId - Test ID
- * @param {string} userId - User ID
- * @param {string} option - 'A' or 'B'
- * @returns {Object} Result object with success status
+ * Compute the SHA-256 hex digest of a blob
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} Hex digest
  */
-function voteOnTest(testId, userId, option) {
-    if (option !== 'A' && option !== 'B') {
-        return { success: false, message: 'Invalid vote option' };
-    }
-    
-    const tests = getTests();
-    const test = tests.find(t => t.id === testId);
-    
-    if (!test) {
-        return { success: false, message: 'Test not found' };
-    }
-    
-    // Check if user already voted
-    if (test.votes[userId]) {
-        return { success: false, message: 'You have already voted on this test' };
-    }
-    
-    // Record vote
-    test.votes[userId] = option;
-    saveTests(tests);
-    
-    return { success: true };
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
 }
 
 /**
- * Check if user has voted on a test
- * @param {string} testId - Test ID
- * @param {string} userId - User ID
- * @returns {boolean} True if user has voted
+ * Convert a data URL to a blob
+ * @param {string} dataUrl - Data URL
+ * @returns {Promise<Blob>} Blob
  */
-function hasUserVoted(testId, userId) {
-    const tests = getTests();
-    const test = tests.find(t => t.id === testId);
-    return test && test.votes[userId] ? true : false;
+async function dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
 }
 
 /**
- * Get a test by ID
- * @param {string} testId - Test ID
- * @returns {Object|null} Test object or null
+ * Store an image, reusing the existing copy if the same content is stored
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} Image reference
  */
-function getTestById(testId) {
-    const tests = getTests();
-    return tests.find(t => t.id === testId) || null;
+async function storeImageBlob(blob) {
+    const hash = await hashBlob(blob);
+    const key = IMAGE_KEY_PREFIX + hash;
+    
+    await enqueueStorageWrite(async () => {
+        const existing = await storageAdapter.get(key);
+        if (existing === undefined) {
+            // localStorage can only hold strings, so keep a data URL there
+            const value = storageAdapter.supportsBlobs ? blob : await fileToDataUrl(blob);
+            await storageAdapter.put(key, value);
+        }
+        // Restart the grace period (see collectUnreferencedImages())
+        await storageAdapter.put(IMAGE_TIME_KEY_PREFIX + hash, Date.now());
+    });
+    
+    return IMAGE_REF_PREFIX + hash;
 }
 
 /**
- * Delete a test (soft delete - marks as deleted)
- * @param {string} testId - Test ID
- * @param {string} userId - User ID (must match test creator)
- * @returns {Object} Result object with success status and message
+ * Delete a stored image
+ * @param {string} hash - Image content hash
  */
-function deleteTest(testId, userId) {
-    const tests = getTests();
-    const testIndex = tests.findIndex(t => t.id === testId);
-    
-    if (testIndex === -1) {
-        return { success: false, message: 'Test not found' };
+async function deleteStoredImage(hash) {
+    await enqueueStorageWrite(async () => {
+        await storageAdapter.delete(IMAGE_KEY_PREFIX + hash);
+        await storageAdapter.delete(IMAGE_TIME_KEY_PREFIX + hash);
+    });
+    if (imageObjectUrls.has(hash)) {
+        URL.revokeObjectURL(imageObjectUrls.get(hash));
+        imageObjectUrls.delete(hash);
     }
-    
-    const test = tests[testIndex];
-    
-    // Verify user owns the test
-    if (test.userId !== userId) {
-        return { success: false, message: 'You can only delete your own tests' };
+}
+
+/**
+ * Move an inline data URL into the image store. Other values (remote URLs,
+ * existing references) are returned unchanged.
+ * @param {string} value - Image URL, data URL or reference
+ * @returns {Promise<string>} Value to store on the test
+ */
+async function internImage(value) {
+    if (typeof value === 'string' && value.startsWith('data:image/')) {
+        return storeImageBlob(await dataUrlToBlob(value));
     }
-    
-    // Mark test as deleted (soft delete)
-    test.deleted = true;
-    test.deletedAt = Date.now();
-    saveTests(tests);
-    
-    return { success: true, message: 'Test deleted successfully' };
+    return value;
 }
 
 /**
- * Restore a deleted test
- * @param {string} testId - Test ID
- * @param {string} userId - User ID (must match test creator)
- * @returns {Object} Result object with success status and message
+ * Like internImage(), but collect the image for storing later instead of
+ * storing it now
+ * @param {string} value - Image URL, data URL or reference
+ * @param {Map} images - Image hash to Blob, added to
+ * @returns {Promise<string>} Value to store on the test
  */
-function restoreTest(testId, userId) {
-    const tests = getTests();
-    const testIndex = tests.findIndex(t => t.id === testId);
-    
-    if (testIndex === -1) {
-        return { success: false, message: 'Test not found' };
+async function stageImage(value, images) {
+    if (typeof value === 'string' && value.startsWith('data:image/')) {
+        const blob = await dataUrlToBlob(value);
+        const hash = await hashBlob(blob);
+        images.set(hash, blob);
+        return IMAGE_REF_PREFIX + hash;
     }
-    
-    const test = tests[testIndex];
-    
-    // Verify user owns the test
-    if (test.userId !== userId) {
-        return { success: false, message: 'You can only restore your own tests' };
+    return value;
+}
+
+/**
+ * Load a stored image
+ * @param {string} ref - Image reference
+ * @returns {Promise<Blob|null>} Image data or null if missing
+ */
+async function loadImageBlob(ref) {
+    const value = await storageAdapter.get(IMAGE_KEY_PREFIX + getImageHash(ref));
+    if (value === undefined || value === null) {
+        return null;
     }
-    
-    // Restore test
-    test.deleted = false;
-    delete test.deletedAt;
-    saveTests(tests);
-    
-    return { success: true, message: 'Test restored successfully' };
+    return value instanceof Blob ? value : dataUrlToBlob(value);
 }
 
 /**
- * Permanently delete a test
- * @param {string} testId - Test ID
- * @param {string} userId - User ID (must match test creator)
- * @returns {Object} Result object with success status and message
+ * Resolve an image reference to an object URL
+ * @param {string} ref - Image reference
+ * @returns {Promise<string>} Object URL
  */
-function permanentlyDeleteTest(testId, userId) {
-    const tests = getTests();
-    const testIndex = tests.findIndex(t => t.id === testId);
-    
-    if (testIndex === -1) {
-        return { success: false, message: 'Test not found' };
+async function resolveImageUrl(ref) {
+    const hash = getImageHash(ref);
+    if (imageObjectUrls.has(hash)) {
+        return imageObjectUrls.get(hash);
     }
     
-    const test = tests[testIndex];
-    
-    // Verify user owns the test
-    if (test.userId !== userId) {
-        return { success: false, message: 'You can only delete your own tests' };
+    const blob = await loadImageBlob(ref);
+    if (!blob) {
+        throw new Error('Image not found');
     }
     
-    // Permanently remove test from array
-    tests.splice(testIndex, 1);
-    saveTests(tests);
-    
-    return { success: true, message: 'Test permanently deleted' };
+    const url = URL.createObjectURL(blob);
+    imageObjectUrls.set(hash, url);
+    return url;
 }
 
 /**
- * Get vote counts for a test
- * @param {Object} test - Test object
- * @returns {Object} Object with countA and countB
+ * Resolve an image value to something that can travel outside this browser
+ * @param {string} value - Image URL or reference
+ * @returns {Promise<string>} Image URL or data URL
  */
-function getVoteCounts(test) {
-    const votes = Object.values(test.votes || {});
-    return {
-        countA: votes.filter(v => v === 'A').length,
-        countB: votes.filter(v => v === 'B').length
-    };
+async function exportImage(value) {
+    if (!isImageRef(value)) {
+        return value;
+    }
+    const blob = await loadImageBlob(value);
+    if (!blob) {
+        throw new Error('Image not found');
+    }
+    return fileToDataUrl(blob);
 }
 
 /**
- * Generate a shareable link for a test
+ * Copy a test with its stored images inlined as data URLs, for sending
+ * it outside this browser
  * @param {Object} test - Test object
- * @returns {string} Shareable URL
+ * @returns {Promise<Object>} Portable copy of the test
  */
-function generateShareLink(test) {
-    // Encode test data as base64 JSON in URL
-    const testData = {
-        title: test.title,
-        imageA: test.imageA,
-        imageB: test.imageB
-    };
-    const encoded = btoa(JSON.stringify(testData));
-    const baseUrl = window.location.origin + window.location.pathname;
-    return `${baseUrl}#/share?data=${encodeURIComponent(encoded)}`;
+async function inlineTestImages(test) {
+    const copy = { ...test, variants: [] };
+    for (const variant of test.variants) {
+        copy.variants.push(isTextVariant(variant)
+            ? { ...variant }
+            : { ...variant, image: await exportImage(variant.image) });
+    }
+    return copy;
 }
 
 /**
- * Import test from shareable link
- * @param {string} encodedData - Base64 encoded test data
- * @returns {Object} Result object with success status and test/message
+ * Move a test's inline images into the image store
+ * @param {Object} test - Test object, updated in place
+ * @returns {Promise<Object>} The same test
  */
-function importSharedTest(encodedData) {
-    try {
-        const decoded = JSON.parse(atob(encodedData));
-        
-        // Validate test data
-        if (!decoded.title || !decoded.imageA || !decoded.imageB) {
-            return { success: false, message: 'Invalid test data' };
-        }
-        
-        // Check if test already exists (by title and images)
-        const existingTests = getTests();
-        const duplicate = existingTests.find(t => 
-            t.title === decoded.title && 
-            t.imageA === decoded.imageA && 
-            t.imageB === decoded.imageB
-        );
-        
-        if (duplicate) {
-            return { success: false, message: 'This test already exists', test: duplicate };
+async function internTestImages(test) {
+    for (const variant of test.variants) {
+        if (!isTextVariant(variant)) {
+            variant.image = await internImage(variant.image);
         }
-        
-        // Create new test with imported data
-        // Use current user ID or generate a temporary one
-        const currentUser = getCurrentUser();
-        const userId = currentUser ? currentUser.id : 'shared_' + generateId();
-        
-        const newTest = {
-            id: generateId(),
-            userId: userId,
-            title: decoded.title,
-            imageA: decoded.imageA,
-            imageB: decoded.imageB,
-            votes: {},
-            shared: true // Mark as shared/imported
-        };
-        
-        const tests = getTests();
-        tests.push(newTest);
-        saveTests(tests);
-        
-        return { success: true, test: newTest };
-    } catch (error) {
-        console.error('Error importing shared test:', error);
-        return { success: false, message: 'Failed to import test data' };
     }
+    return test;
 }
 
-// ============================================
-// DOM Utilities
-// ============================================
-
 /**
- * Show error message to user
- * @param {string} message - Error message
+ * Build the source attribute for an <img> showing a test image. References
+ * that aren't resolved yet are left for resolveImageRefs().
+ * @param {string} value - Image URL or reference
+ * @returns {string} HTML attribute string
  */
-function showError(message) {
-    const errorEl = document.getElementById('error-message');
-    if (errorEl) {
-        errorEl.textContent = message;
-        errorEl.classList.remove('hidden');
-        setTimeout(() => {
-            errorEl.classList.add('hidden');
-        }, 5000);
+function imageSrcAttribute(value) {
+    if (isImageRef(value)) {
+        const url = imageObjectUrls.get(getImageHash(value));
+        return url ? `src="${url}"` : `data-image-ref="${escapeHtml(value)}"`;
     }
+    return `src="${escapeHtml(value)}"`;
 }
 
 /**
- * Show loading state
- * @param {boolean} show - Whether to show loading
+ * Load every unresolved image reference rendered inside a container
+ * @param {HTMLElement} container - Container element
  */
-function showLoading(show) {
-    const loadingEl = document.getElementById('loading');
-    if (loadingEl) {
-        if (show) {
-            loadingEl.classList.remove('hidden');
-        } else {
-            loadingEl.classList.add('hidden');
+function resolveImageRefs(container) {
+    container.querySelectorAll('img[data-image-ref]').forEach(img => {
+        resolveImageUrl(img.dataset.imageRef)
+            .then(url => {
+                img.src = url;
+            })
+            .catch(() => {
+                img.dispatchEvent(new Event('error'));
+            });
+    });
+}
+
+/**
+ * Delete stored images that no test, avatar or unsent sync operation
+ * references any more. Images currently picked in the create or profile
+ * form, and images stored within IMAGE_GC_GRACE_MS, are kept.
+ */
+async function collectUnreferencedImages() {
+    await flushStorage();
+    
+    try {
+        // Read records from the adapter so changes made by other tabs count
+        const tests = (await storageAdapter.get(STORAGE_KEYS.TESTS)) || [];
+        const users = (await storageAdapter.get(STORAGE_KEYS.USERS)) || [];
+        const referenced = new Set();
+        tests.forEach(test => {
+            getTestImageRefs(test).forEach(ref => referenced.add(getImageHash(ref)));
+        });
+        users.forEach(user => {
+            getUserImageRefs(user).forEach(ref => referenced.add(getImageHash(ref)));
+        });
+        // Queued operations send their images later
+        const outbox = (await storageAdapter.get(STORAGE_KEYS.OUTBOX)) || [];
+        outbox.forEach(operation => {
+            getOperationImageRefs(operation).forEach(ref => referenced.add(getImageHash(ref)));
+        });
+        document.querySelectorAll('#create-test-form input, #profile-form input').forEach(input => {
+            if (isImageRef(input.value.trim())) {
+                referenced.add(getImageHash(input.value.trim()));
+            }
+        });
+        
+        const keys = await storageAdapter.list();
+        for (const key of keys) {
+            if (!key.startsWith(IMAGE_KEY_PREFIX)) continue;
+            const hash = key.slice(IMAGE_KEY_PREFIX.length);
+            if (referenced.has(hash)) continue;
+            
+            // Images stored before times were kept count as old
+            const storedAt = await storageAdapter.get(IMAGE_TIME_KEY_PREFIX + hash);
+            if (typeof storedAt === 'number' && Date.now() - storedAt < IMAGE_GC_GRACE_MS) continue;
+            
+            await deleteStoredImage(hash);
         }
+    } catch (error) {
+        console.error('Error collecting unreferenced images:', error);
     }
 }
 
+// ============================================
+// Storage Usage & Cleanup
+// ============================================
+
+// Number of largest image-bearing tests flagged in the storage panel
+const LARGE_TEST_FLAG_COUNT = 3;
+// Images are scaled down to fit this box when recompressed
+const IMAGE_RECOMPRESS_MAX_DIMENSION = 1600;
+const IMAGE_RECOMPRESS_QUALITY = 0.8;
+// A recompressed copy replaces the original only if it saves at least this share
+const IMAGE_RECOMPRESS_MIN_SAVING = 0.1;
+// Formats that can be recompressed without losing animation or vector data
+const RECOMPRESSIBLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/bmp'];
+// Tests older than this can have their votes dropped
+const OLD_TEST_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deleted tests are purged this many days after they were moved to the trash
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MAX_TRASH_RETENTION_DAYS = 365;
+
 /**
- * Hide all views
+ * Get the number of bytes a value takes when serialized
+ * @param {*} value - Stored value
+ * @returns {number} Size in bytes
  */
-function hideAllViews() {
-    document.querySelectorAll('.view').forEach(view => {
-        view.classList.add('hidden');
-    });
+function getByteSize(value) {
+    if (value instanceof Blob) {
+        return value.size;
+    }
+    return new Blob([typeof value === 'string' ? value : JSON.stringify(value)]).size;
 }
 
 /**
- * Show a specific view
- * @param {string} viewId - ID of view to show
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
  */
-function showView(viewId) {
-    hideAllViews();
-    const view = document.getElementById(viewId);
-    if (view) {
-        view.classList.remove('hidden');
-        // Focus management for accessibility
-        const heading = view.querySelector('h1');
-        if (heading) {
-            heading.focus();
-        }
-    }
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
- * Clear form errors
- * @param {HTMLFormElement} form - Form element
+ * Measure how much space the workspace uses
+ * @returns {Promise<Object>} Usage report: { keys, images, tests, totalBytes, quota }
  */
-function clearFormErrors(form) {
-    form.querySelectorAll('.error-text').forEach(el => {
-        el.textContent = '';
-    });
-    // Remove error classes from inputs
-    form.querySelectorAll('input').forEach(input => {
-        input.classList.remove('error');
+async function getStorageUsage() {
+    await flushStorage();
+    
+    const keys = [];
+    Object.values(STORAGE_KEYS).forEach(key => {
+        if (storageCache.has(key)) {
+            keys.push({ key, bytes: getByteSize(storageCache.get(key)) });
+        }
     });
+    
+    const imageSizes = new Map();
+    const adapterKeys = await storageAdapter.list();
+    for (const key of adapterKeys) {
+        if (key.startsWith(IMAGE_KEY_PREFIX)) {
+            const value = await storageAdapter.get(key);
+            imageSizes.set(key.slice(IMAGE_KEY_PREFIX.length), value === undefined ? 0 : getByteSize(value));
+        }
+    }
+    const imageBytes = Array.from(imageSizes.values()).reduce((sum, bytes) => sum + bytes, 0);
+    
+    const tests = getTests().map(test => {
+        const hashes = new Set(getTestImageRefs(test).map(getImageHash));
+        const testImageBytes = Array.from(hashes).reduce((sum, hash) => sum + (imageSizes.get(hash) || 0), 0);
+        const recordBytes = getByteSize(test);
+        return {
+            test,
+            recordBytes,
+            imageBytes: testImageBytes,
+            totalBytes: recordBytes + testImageBytes,
+            flagged: false
+        };
+    }).sort((a, b) => b.totalBytes - a.totalBytes);
+    
+    tests
+        .filter(entry => entry.imageBytes > 0)
+        .sort((a, b) => b.imageBytes - a.imageBytes)
+        .slice(0, LARGE_TEST_FLAG_COUNT)
+        .forEach(entry => {
+            entry.flagged = true;
+        });
+    
+    let quota = null;
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            quota = await navigator.storage.estimate();
+        } catch (error) {
+            console.error('Error estimating storage quota:', error);
+        }
+    }
+    
+    return {
+        keys,
+        images: { count: imageSizes.size, bytes: imageBytes },
+        tests,
+        totalBytes: keys.reduce((sum, entry) => sum + entry.bytes, 0) + imageBytes,
+        quota
+    };
 }
 
 /**
- * Set field error
- * @param {string} fieldId - Field ID
- * @param {string} message - Error message
+ * Permanently delete every test in the trash of a user's active workspace
+ * that they are allowed to delete
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result object with success status and count
  */
-function setFieldError(fieldId, message) {
-    const errorEl = document.getElementById(`${fieldId}-error`);
-    const inputEl = document.getElementById(fieldId);
+async function emptyTrash(userId) {
+    const trashIds = new Set(getDeletedUserTests(userId)
+        .filter(test => hasTestPermission(userId, test, 'delete'))
+        .map(test => test.id));
+    const tests = getTests();
+    const remaining = tests.filter(test => !trashIds.has(test.id));
+    const count = tests.length - remaining.length;
     
-    if (errorEl) {
-        errorEl.textContent = message;
+    if (count === 0) {
+        return { success: true, count };
     }
     
-    // Add or remove error class from input
-    if (inputEl) {
-        if (message) {
-            inputEl.classList.add('error');
-        } else {
-            inputEl.classList.remove('error');
-        }
+    if (!await saveTests(remaining)) {
+        return { success: false, message: 'Failed to empty trash' };
     }
+    trashIds.forEach(testId => {
+        queueSyncOperation('permanentlyDeleteTest', { testId, userId });
+    });
+    
+    await collectUnreferencedImages();
+    return { success: true, count };
 }
 
 /**
- * Validate email format
- * @param {string} email - Email to validate
- * @returns {boolean} True if valid
+ * Get how many days deleted tests stay in the trash on this device
+ * @returns {number} Retention in days
  */
-function isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+function getTrashRetentionDays() {
+    return getFromStorage(STORAGE_KEYS.TRASH_RETENTION, DEFAULT_TRASH_RETENTION_DAYS);
 }
 
 /**
- * Validate URL format (supports both http/https URLs and data URLs)
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid
+ * Change how many days deleted tests stay in the trash on this device
+ * @param {number} days - Whole number of days, 1 to MAX_TRASH_RETENTION_DAYS
+ * @returns {Promise<Object>} Result object with success status and message
  */
-function isValidUrl(url) {
-    if (!url) return false;
-    
-    // Check for data URL
-    if (url.startsWith('data:image/')) {
-        return true;
+async function setTrashRetentionDays(days) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+        return { success: false, message: `Enter a whole number of days from 1 to ${MAX_TRASH_RETENTION_DAYS}` };
     }
-    
-    // Check for regular URL
-    try {
-        new URL(url);
-        return true;
-    } catch {
-        return false;
+    if (!await saveToStorage(STORAGE_KEYS.TRASH_RETENTION, days)) {
+        return { success: false, message: 'Failed to save the retention period' };
     }
+    return { success: true, message: `Deleted tests are now kept for ${days} day${days === 1 ? '' : 's'}` };
 }
 
-// ============================================
-// Navigation & Routing
-// ============================================
-
 /**
- * Navigate to a route
- * @param {string} path - Route path
+ * Get the number of days left before a deleted test is purged
+ * @param {Object} test - Deleted test
+ * @param {number} now - Current time in ms
+ * @returns {number} Whole days left, rounded up (0 when due)
  */
-function navigateTo(path) {
-    window.location.hash = path;
+function getDaysUntilPurge(test, now = Date.now()) {
+    // Tests synced without a deletion time count from now (see purgeExpiredTrash())
+    const deletedAt = typeof test.deletedAt === 'number' ? test.deletedAt : now;
+    const purgeAt = deletedAt + getTrashRetentionDays() * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
 }
 
 /**
- * Handle route changes
+ * Permanently delete the signed-in user's tests that have been in the trash
+ * for longer than the retention period, here and on the sync server. Runs at
+ * startup. Tests the user may not delete are left alone: the retention
+ * period is a setting of this device, not of their owners.
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Object>} Result object with success status and count
  */
-function handleRoute() {
-    const hash = window.location.hash.slice(1) || '/';
-    // Extract route path without query string (hash routes have query in hash)
-    const routePath = hash.split('?')[0];
-    const routeName = ROUTES[routePath] || 'browse';
-    
-    // Protected routes require authentication
-    const protectedRoutes = ['create', 'dashboard'];
-    if (protectedRoutes.includes(routeName) && !isAuthenticated()) {
-        navigateTo('/login');
-        return;
-    }
-    
-    // Redirect logged-in users away from auth pages
-    if ((routeName === 'login' || routeName === 'register') && isAuthenticated()) {
-        navigateTo('/');
-        return;
+async function purgeExpiredTrash(now = Date.now()) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        return { success: true, count: 0 };
     }
+    const tests = getTests();
     
-    showView(`${routeName}-view`);
-    updateNavigation();
+    // Start the clock for tests synced without a deletion time
+    const unstamped = tests.filter(test => test.deleted && typeof test.deletedAt !== 'number');
+    unstamped.forEach(test => {
+        test.deletedAt = now;
+    });
     
-    // Handle share route with query parameters (in hash)
-    if (routeName === 'share') {
-        const queryPart = hash.split('?')[1] || '';
-        const urlParams = new URLSearchParams(queryPart);
-        const data = urlParams.get('data');
-        if (data) {
-            handleSharedTest(data);
-        } else {
-            showError('Invalid share link');
-            navigateTo('/');
+    const expired = tests.filter(test => test.deleted &&
+        getDaysUntilPurge(test, now) === 0 &&
+        hasTestPermission(currentUser.id, test, 'delete'));
+    if (expired.length === 0) {
+        if (unstamped.length > 0) {
+            await saveTests(tests);
         }
-        return;
+        return { success: true, count: 0 };
     }
     
-    // Load view-specific data
-    switch(routeName) {
-        case 'browse':
-            renderBrowseView();
-            break;
-        case 'dashboard':
-            renderDashboardView();
-            break;
+    const expiredIds = new Set(expired.map(test => test.id));
+    if (!await saveTests(tests.filter(test => !expiredIds.has(test.id)))) {
+        return { success: false, message: 'Failed to purge the trash' };
     }
+    
+    expired.forEach(test => {
+        queueSyncOperation('permanentlyDeleteTest', { testId: test.id, userId: currentUser.id });
+    });
+    
+    await collectUnreferencedImages();
+    return { success: true, count: expired.length };
 }
 
 /**
- * Update navigation based on authentication state
+ * Re-encode an image smaller (scaled to fit IMAGE_RECOMPRESS_MAX_DIMENSION).
+ * WebP images that already fit are left alone: they are what an earlier
+ * run produced, and encoding them again only loses quality.
+ * @param {Blob} blob - Original image
+ * @returns {Promise<Blob|null>} Smaller image, or null if it can't be made
+ *   at least IMAGE_RECOMPRESS_MIN_SAVING smaller
  */
-function updateNavigation() {
-    const isLoggedIn = isAuthenticated();
-    const currentUser = getCurrentUser();
+async function recompressImageBlob(blob) {
+    if (!RECOMPRESSIBLE_IMAGE_TYPES.includes(blob.type)) {
+        return null;
+    }
     
-    // Show/hide navigation items
-    document.getElementById('create-nav-item').classList.toggle('hidden', !isLoggedIn);
-    document.getElementById('dashboard-nav-item').classList.toggle('hidden', !isLoggedIn);
-    document.getElementById('profile-nav-item').classList.toggle('hidden', !isLoggedIn);
-    document.getElementById('login-nav-item').classList.toggle('hidden', isLoggedIn);
-    document.getElementById('register-nav-item').classList.toggle('hidden', isLoggedIn);
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, IMAGE_RECOMPRESS_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    if (blob.type === 'image/webp' && scale === 1) {
+        bitmap.close();
+        return null;
+    }
     
-    // Update mobile menu items
-    const mobileCreate = document.getElementById('mobile-create-nav-item');
-    const mobileDashboard = document.getElementById('mobile-dashboard-nav-item');
-    const mobileProfile = document.getElementById('mobile-profile-nav-item');
-    const mobileLogin = document.getElementById('mobile-login-nav-item');
-    const mobileRegister = document.getElementById('mobile-register-nav-item');
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
     
-    if (mobileCreate) mobileCreate.classList.toggle('hidden', !isLoggedIn);
-    if (mobileDashboard) mobileDashboard.classList.toggle('hidden', !isLoggedIn);
-    if (mobileProfile) mobileProfile.classList.toggle('hidden', !isLoggedIn);
-    if (mobileLogin) mobileLogin.classList.toggle('hidden', isLoggedIn);
-    if (mobileRegister) mobileRegister.classList.toggle('hidden', isLoggedIn);
+    // WebP keeps transparency; browsers that can't encode it fall back to PNG
+    const output = await new Promise(resolve => {
+        canvas.toBlob(resolve, 'image/webp', IMAGE_RECOMPRESS_QUALITY);
+    });
     
-    // Close profile dropdown when navigation updates
-    closeProfileDropdown();
+    return output && output.size <= blob.size * (1 - IMAGE_RECOMPRESS_MIN_SAVING) ? output : null;
+}
+
+/**
+ * Recompress the images of a user's tests that can be made smaller and point
+ * those tests at the new copies. Other users' tests keep their images, even
+ * where they share one with this user.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result object with success status, count and savedBytes
+ */
+async function recompressStoredImages(userId) {
+    const ownTests = test => test.userId === userId;
+    const refMap = new Map();
+    let savedBytes = 0;
+    
+    try {
+        const refs = new Set(getTests().filter(ownTests).flatMap(getTestImageRefs));
+        for (const ref of refs) {
+            const blob = await loadImageBlob(ref);
+            const smaller = blob ? await recompressImageBlob(blob) : null;
+            if (smaller) {
+                refMap.set(ref, await storeImageBlob(smaller));
+                savedBytes += blob.size - smaller.size;
+            }
+        }
+    } catch (error) {
+        console.error('Error recompressing images:', error);
+        if (refMap.size === 0) {
+            return { success: false, message: 'Failed to recompress images' };
+        }
+    }
+    
+    if (refMap.size > 0) {
+        const tests = getTests();
+        const changed = tests.filter(ownTests).filter(test => replaceTestImageRefs(test, refMap));
+        if (!await saveTests(tests)) {
+            return { success: false, message: 'Failed to save recompressed images' };
+        }
+        changed.forEach(test => {
+            queueSyncOperation('replaceTestImages', { testId: test.id, userId, variants: test.variants });
+        });
+        await collectUnreferencedImages();
+    }
+    
+    return { success: true, count: refMap.size, savedBytes };
+}
+
+/**
+ * Drop the votes of a user's tests created more than OLD_TEST_AGE_DAYS ago
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result object with success status and count
+ */
+async function dropVotesFromOldTests(userId) {
+    const cutoff = Date.now() - OLD_TEST_AGE_DAYS * DAY_MS;
+    const tests = getTests();
+    let count = 0;
+    
+    const cleared = tests.filter(test =>
+        test.userId === userId && test.createdAt < cutoff && Object.keys(test.votes).length > 0);
+    cleared.forEach(test => {
+        test.votes = {};
+    });
+    
+    if (cleared.length > 0 && !await saveTests(tests)) {
+        return { success: false, message: 'Failed to drop votes' };
+    }
+    cleared.forEach(test => {
+        queueSyncOperation('clearVotes', { testId: test.id, userId });
+    });
+    return { success: true, count: cleared.length };
 }
 
 // ============================================
-// View Rendering
+// Remote Sync
 // ============================================
 
+// Local mutations are recorded in an outbox and pushed to a REST endpoint
+// (see server/sync-server.js) whenever one is configured and reachable.
+// Remote changes are pulled with a cursor once the outbox is empty, as
+// the signed-in user may see them.
+// Each operation is sent with a session token of the user it acts for;
+// tokens come from signing in to the server (or registering through it)
+// and are kept per user in the device's sync state.
+const SYNC_INTERVAL_MS = 30000;
+const SYNC_DEBOUNCE_MS = 1000;
+
+let syncInProgress = false;
+let syncDebounceTimer = null;
+
 /**
- * Render the browse tests view
+ * Get device sync state (endpoint, cursor, status)
+ * @returns {Object} Sync state
  */
-function renderBrowseView() {
-    const container = document.getElementById('tests-grid');
-    const noTestsEl = document.getElementById('no-tests');
-    const authCtaSection = document.getElementById('auth-cta-section');
-    const tests = getAllTests();
+function getSyncState() {
+    return getFromStorage(STORAGE_KEYS.SYNC_STATE, {});
+}
+
+/**
+ * Save device sync state
+ * @param {Object} state - Sync state
+ * @returns {Promise<boolean>} Success status
+ */
+function saveSyncState(state) {
+    return saveToStorage(STORAGE_KEYS.SYNC_STATE, state);
+}
+
+/**
+ * Get the sync server session token this device holds for a user
+ * @param {string} userId - User ID
+ * @returns {string|null} Session token or null
+ */
+function getSyncSessionToken(userId) {
+    return (getSyncState().sessionTokens || {})[userId] || null;
+}
+
+/**
+ * Add or remove sync server session tokens
+ * @param {Object} changes - Map of user ID to token, or to null to forget it
+ * @returns {Promise<boolean>} Success status
+ */
+function updateSyncSessionTokens(changes) {
+    const state = getSyncState();
+    const sessionTokens = { ...(state.sessionTokens || {}) };
+    Object.entries(changes).forEach(([userId, token]) => {
+        if (token) {
+            sessionTokens[userId] = token;
+        } else {
+            delete sessionTokens[userId];
+        }
+    });
+    return saveSyncState({ ...state, sessionTokens });
+}
+
+/**
+ * Sign in to the sync server, keeping the session token it returns
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @returns {Promise<Object|null>} The server's copy of the user (without
+ *   credentials), or null when there is no server, it can't be reached or
+ *   the password is wrong
+ */
+async function signInToSyncServer(email, password) {
+    const { endpoint } = getSyncState();
+    if (!endpoint || navigator.onLine === false) {
+        return null;
+    }
+    
+    try {
+        const response = await fetch(`${endpoint}/session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+        if (!response.ok) {
+            return null;
+        }
+        const { token, user } = await response.json();
+        await updateSyncSessionTokens({ [user.id]: token });
+        return user;
+    } catch (error) {
+        console.error('Sync server sign-in failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the user an outbox operation acts for (mirrors the server)
+ * @param {Object} operation - Outbox operation
+ * @returns {string|null} User ID, or null when no session is needed
+ *   (registering an account, guest votes)
+ */
+function getSyncOperationActor(operation) {
+    const { payload } = operation;
+    switch (operation.type) {
+        case 'registerUser':
+            return null;
+        case 'createWorkspace':
+            return payload.workspace.ownerId;
+        case 'createTest':
+            return payload.test.userId;
+        case 'reportTest':
+            return payload.report.userId;
+        case 'setUserRole':
+        case 'inviteToWorkspace':
+        case 'cancelWorkspaceInvite':
+        case 'setWorkspaceMemberPermissions':
+        case 'removeWorkspaceMember':
+            return payload.actorId;
+        case 'voteOnTest':
+            return isGuestVoterId(payload.userId) ? null : payload.userId;
+        default:
+            return payload.userId;
+    }
+}
+
+/**
+ * Get operations waiting to be pushed
+ * @returns {Array} Outbox operations, oldest first
+ */
+function getOutbox() {
+    return getFromStorage(STORAGE_KEYS.OUTBOX, []);
+}
+
+/**
+ * Record a local mutation for the sync server. Nothing is recorded while no
+ * server is configured.
+ * @param {string} type - Operation type (createTest, voteOnTest, ...)
+ * @param {Object} payload - Operation data
+ */
+function queueSyncOperation(type, payload) {
+    if (!getSyncState().endpoint) return;
+    
+    const outbox = getOutbox();
+    outbox.push({ id: generateId(), type, payload, createdAt: Date.now() });
+    saveToStorage(STORAGE_KEYS.OUTBOX, outbox);
+    scheduleSync();
+}
+
+/**
+ * Sync shortly after a mutation, batching quick successive changes
+ */
+function scheduleSync() {
+    if (!getSyncState().endpoint) return;
+    clearTimeout(syncDebounceTimer);
+    syncDebounceTimer = setTimeout(syncNow, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Get the stored images an outbox operation still has to send
+ * @param {Object} operation - Outbox operation
+ * @returns {Array<string>} Image references
+ */
+function getOperationImageRefs(operation) {
+    switch (operation.type) {
+        case 'createTest':
+            return getTestImageRefs(operation.payload.test);
+        case 'updateTest':
+        case 'replaceTestImages':
+            return getTestImageRefs({ variants: operation.payload.variants });
+        case 'updateProfile':
+            return isImageRef(operation.payload.profile.avatar) ? [operation.payload.profile.avatar] : [];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Prepare an outbox operation for sending (stored images are inlined)
+ * @param {Object} operation - Outbox operation
+ * @returns {Promise<Object>} Operation ready to send
+ */
+async function serializeSyncOperation(operation) {
+    if (operation.type === 'createTest') {
+        // Tests queued before variants existed are sent in the new shape
+        const test = upgradeLegacyVariants({ ...operation.payload.test });
+        return { ...operation, payload: { test: await inlineTestImages(test) } };
+    }
+    if (operation.type === 'updateTest' || operation.type === 'replaceTestImages') {
+        const { variants } = await inlineTestImages({ variants: operation.payload.variants });
+        return { ...operation, payload: { ...operation.payload, variants } };
+    }
+    if (operation.type === 'updateProfile') {
+        const profile = operation.payload.profile;
+        // A later update replaces an avatar that has since been collected
+        const avatar = await exportImage(profile.avatar).catch(() => null);
+        return { ...operation, payload: { ...operation.payload, profile: { ...profile, avatar } } };
+    }
+    return operation;
+}
+
+/**
+ * Send queued operations to the sync server. Operations of users this
+ * device holds no session token for stay queued until they sign in again.
+ * @param {string} endpoint - Server base URL
+ * @returns {Promise<Array>} Operations the server rejected
+ */
+async function pushOutbox(endpoint) {
+    const operations = [];
+    const unsendable = [];
+    for (const operation of getOutbox()) {
+        const actor = getSyncOperationActor(operation);
+        const token = actor === null ? null : getSyncSessionToken(actor);
+        if (actor !== null && !token) continue;
+        
+        try {
+            operations.push({ ...await serializeSyncOperation(operation), token });
+        } catch (error) {
+            // An image it needs is gone; keeping it would block the outbox for good
+            console.error(`Cannot send operation ${operation.id}:`, error);
+            unsendable.push({ id: operation.id, reason: 'an image it uses is no longer stored' });
+        }
+    }
+    if (unsendable.length > 0) {
+        const dropped = new Set(unsendable.map(item => item.id));
+        await saveToStorage(STORAGE_KEYS.OUTBOX, getOutbox().filter(operation => !dropped.has(operation.id)));
+    }
+    if (operations.length === 0) {
+        return unsendable;
+    }
+    
+    const response = await fetch(`${endpoint}/ops`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: getSyncState().clientId, ops: operations })
+    });
+    if (!response.ok) {
+        throw new Error(`Sync server responded with ${response.status}`);
+    }
+    
+    const { applied = [], rejected = [], unauthenticated = [], tokens = {} } = await response.json();
+    const done = new Set([...applied, ...rejected.map(item => item.id)]);
+    // Re-read: more operations may have been queued while the request ran
+    await saveToStorage(STORAGE_KEYS.OUTBOX, getOutbox().filter(operation => !done.has(operation.id)));
+    
+    // Tokens the server refused have expired or were revoked
+    const tokenChanges = { ...tokens };
+    operations
+        .filter(operation => unauthenticated.includes(operation.id))
+        .forEach(operation => {
+            tokenChanges[getSyncOperationActor(operation)] = null;
+        });
+    // Signing out everywhere ends this device's server session too
+    operations
+        .filter(operation => operation.type === 'revokeSessions' && !operation.payload.keepCurrentSession && applied.includes(operation.id))
+        .forEach(operation => {
+            tokenChanges[operation.payload.userId] = null;
+        });
+    if (Object.keys(tokenChanges).length > 0) {
+        await updateSyncSessionTokens(tokenChanges);
+    }
+    
+    // Accounts registered by this push can now send the rest of their operations
+    if (Object.keys(tokens).length > 0) {
+        return [...unsendable, ...rejected, ...await pushOutbox(endpoint)];
+    }
+    return [...unsendable, ...rejected];
+}
+
+/**
+ * The server never sends credentials, so a pulled user keeps the ones this
+ * device already has, unless the password was changed on another device
+ * since (the next login then checks it with the server)
+ * @param {Object} remote - User from the server
+ * @param {Object} local - Same user as stored on this device
+ * @returns {Object} User to store
+ */
+function keepLocalCredentials(remote, local) {
+    if (remote.credentialsChangedAt !== local.credentialsChangedAt) {
+        return remote;
+    }
+    const user = { ...remote };
+    if (local.credentials) user.credentials = local.credentials;
+    if (local.password) user.password = local.password;
+    return user;
+}
+
+/**
+ * Fetch records changed on the server since the last pull and apply them.
+ * The server only sends what the signed-in user may see, so nothing is
+ * pulled without a session and switching users starts from scratch.
+ * @param {string} endpoint - Server base URL
+ * @returns {Promise<boolean>} True if local data changed
+ */
+async function pullChanges(endpoint) {
     const currentUser = getCurrentUser();
-    const isLoggedIn = !!currentUser;
+    const token = currentUser && getSyncSessionToken(currentUser.id);
+    if (!token) {
+        return false;
+    }
     
-    // Show/hide CTA section based on authentication
-    if (authCtaSection) {
-        if (isLoggedIn) {
-            authCtaSection.classList.add('hidden');
-        } else {
-            authCtaSection.classList.remove('hidden');
+    const state = getSyncState();
+    const cursor = state.cursorUserId === currentUser.id ? state.cursor || 0 : 0;
+    const response = await fetch(`${endpoint}/changes?since=${encodeURIComponent(cursor)}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    if (response.status === 401) {
+        // The session expired or was revoked
+        await updateSyncSessionTokens({ [currentUser.id]: null });
+        return false;
+    }
+    if (!response.ok) {
+        throw new Error(`Sync server responded with ${response.status}`);
+    }
+    
+    const changes = await response.json();
+    const remoteUsers = changes.users || [];
+    const remoteTests = changes.tests || [];
+    const remoteWorkspaces = changes.workspaces || [];
+    let purged = false;
+    
+    if (remoteUsers.length > 0) {
+        for (const remote of remoteUsers) {
+            if (remote.profile && remote.profile.avatar) {
+                remote.profile.avatar = await internImage(remote.profile.avatar);
+            }
         }
+        
+        const users = getUsers();
+        remoteUsers.forEach(remote => {
+            const index = users.findIndex(user => user.id === remote.id);
+            if (remote.purged) {
+                if (index !== -1) {
+                    users.splice(index, 1);
+                    purged = true;
+                }
+            } else if (index === -1) {
+                users.push(remote);
+            } else if (remote.email === undefined) {
+                // Other users come with their public profile only
+                users[index] = { ...users[index], profile: remote.profile };
+            } else {
+                users[index] = keepLocalCredentials(remote, users[index]);
+            }
+        });
+        await saveUsers(users);
     }
     
-    if (tests.length === 0) {
-        container.innerHTML = '';
-        noTestsEl.classList.remove('hidden');
-        return;
+    if (remoteTests.length > 0) {
+        for (const remote of remoteTests) {
+            if (!remote.purged) {
+                // The server may still hold tests from before variants
+                upgradeLegacyVariants(remote);
+                await internTestImages(remote);
+            }
+        }
+        
+        const tests = getTests();
+        remoteTests.forEach(remote => {
+            const index = tests.findIndex(test => test.id === remote.id);
+            if (remote.purged) {
+                if (index !== -1) {
+                    tests.splice(index, 1);
+                    purged = true;
+                }
+            } else if (index === -1) {
+                tests.push(remote);
+            } else {
+                tests[index] = remote;
+            }
+        });
+        await saveTests(tests);
     }
     
-    noTestsEl.classList.add('hidden');
-    const userId = currentUser ? currentUser.id : null;
+    if (remoteWorkspaces.length > 0) {
+        const workspaces = getWorkspaces();
+        remoteWorkspaces.forEach(remote => {
+            const index = workspaces.findIndex(workspace => workspace.id === remote.id);
+            if (remote.purged) {
+                if (index !== -1) {
+                    workspaces.splice(index, 1);
+                }
+            } else if (index === -1) {
+                workspaces.push(remote);
+            } else {
+                workspaces[index] = remote;
+            }
+        });
+        await saveWorkspaces(workspaces);
+    }
     
-    container.innerHTML = tests.map(test => {
-        const hasVoted = userId ? hasUserVoted(test.id, userId) : false;
-        const userVote = userId && test.votes[userId] ? test.votes[userId] : null;
+    await saveSyncState({ ...getSyncState(), cursor: changes.cursor, cursorUserId: currentUser.id });
+    
+    if (purged) {
+        collectUnreferencedImages();
+    }
+    return remoteUsers.length > 0 || remoteTests.length > 0 || remoteWorkspaces.length > 0;
+}
+
+/**
+ * Push pending operations, then pull remote changes. Does nothing when no
+ * endpoint is configured or the browser is offline; the outbox is kept
+ * until the server acknowledges each operation.
+ * @returns {Promise<boolean>} True if the sync completed
+ */
+async function syncNow() {
+    const state = getSyncState();
+    if (!state.endpoint || syncInProgress || navigator.onLine === false) {
+        return false;
+    }
+    
+    syncInProgress = true;
+    try {
+        const rejected = await pushOutbox(state.endpoint);
+        if (rejected.length > 0) {
+            showError(`${rejected.length} change(s) were rejected by the sync server: ${rejected[0].reason}`);
+        }
         
-        return `
-            <article class="test-card" role="listitem">
-                <div class="test-card-header">
-                    <div class="test-title-group">
-                        <h3>${escapeHtml(test.title)}</h3>
-                        <p class="test-submitter">${escapeHtml(getSubmitterInfo(test.userId))}</p>
-                    </div>
-                    <button class="share-button" data-test-id="${test.id}" aria-label="Share this test" title="Share test">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <circle cx="18" cy="5" r="3"></circle>
-                            <circle cx="6" cy="12" r="3"></circle>
-                            <circle cx="18" cy="19" r="3"></circle>
-                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
-                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
-                        </svg>
-                    </button>
-                </div>
-                <div class="test-images">
-                    <div class="test-image-wrapper">
-                        <img src="${escapeHtml(test.imageA)}" alt="Option A for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                        <span class="test-label">A</span>
-                    </div>
-                    <div class="test-image-wrapper">
-                        <img src="${escapeHtml(test.imageB)}" alt="Option B for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                        <span class="test-label">B</span>
-                    </div>
-                </div>
-                ${userId ? (
-                    hasVoted ? `
-                        <div class="already-voted" role="status" aria-live="polite">
-                            You voted for option ${userVote}
-                        </div>
-                    ` : `
-                        <div class="vote-buttons">
-                            <button class="vote-button" data-test-id="${test.id}" data-option="A" aria-label="Vote for option A">
-                                Vote A
-                            </button>
-                            <button class="vote-button" data-test-id="${test.id}" data-option="B" aria-label="Vote for option B">
-                                Vote B
-                            </button>
-                        </div>
-                    `
-                ) : `
-                    <div class="already-voted">
-                        <a href="#/login">Login to vote</a>
-                    </div>
-                `}
-            </article>
-        `;
-    }).join('');
+        // Only pull once local changes are on the server, so they can't be
+        // overwritten. Operations of users without a session don't hold up
+        // everyone else; they are sent once their user signs in again.
+        const unsent = getOutbox().filter(operation => {
+            const actor = getSyncOperationActor(operation);
+            return actor === null || getSyncSessionToken(actor);
+        });
+        const changed = unsent.length === 0 && await pullChanges(state.endpoint);
+        
+        // Whatever is left waits for its user to sign in to the server
+        const lastError = getOutbox().length > 0
+            ? 'some changes wait for you to sign in to the sync server (enter your password below)'
+            : null;
+        await saveSyncState({ ...getSyncState(), lastSyncedAt: Date.now(), lastError });
+        if (changed) {
+            refreshCurrentView();
+        }
+        return true;
+    } catch (error) {
+        console.error('Sync failed:', error);
+        await saveSyncState({ ...getSyncState(), lastError: error.message });
+        return false;
+    } finally {
+        syncInProgress = false;
+        if (getCurrentRouteName() === 'storage') {
+            renderSyncStatus();
+        }
+    }
+}
+
+/**
+ * Set (or clear) the sync server endpoint. Changing servers restarts the
+ * pull cursor so the new server's data is fetched in full.
+ * @param {string} endpoint - Server base URL, or empty to disable sync
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function configureSync(endpoint) {
+    const trimmed = endpoint.trim().replace(/\/+$/, '');
+    
+    if (trimmed) {
+        try {
+            const url = new URL(trimmed);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error('Unsupported protocol');
+            }
+        } catch {
+            return { success: false, message: 'Please enter a valid http(s) URL' };
+        }
+    }
+    
+    const state = getSyncState();
+    await saveSyncState({
+        ...state,
+        endpoint: trimmed || null,
+        clientId: state.clientId || generateId(),
+        cursor: trimmed === state.endpoint ? state.cursor : 0,
+        // Sessions belong to the server they were made on
+        sessionTokens: trimmed === state.endpoint ? state.sessionTokens : {},
+        lastError: null
+    });
+    
+    if (trimmed) {
+        await syncNow();
+    }
+    return { success: true, message: trimmed ? 'Sync enabled' : 'Sync disabled' };
+}
+
+/**
+ * Start background sync (interval and reconnect)
+ */
+function setupRemoteSync() {
+    window.addEventListener('online', syncNow);
+    setInterval(syncNow, SYNC_INTERVAL_MS);
+    syncNow();
+}
+
+// ============================================
+// Schema Migrations
+// ============================================
+
+/**
+ * Ordered migration registry. Each migration receives the data of every
+ * STORAGE_KEYS entry (keyed by storage key, missing keys are undefined) and
+ * mutates it in place, optionally asynchronously. Migrations must be idempotent: running one against
+ * data it has already upgraded must leave that data unchanged. Images go
+ * into the second argument (see stageImage()) and are stored only once
+ * every migration has run.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize votes, deleted and shared fields on tests',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (Array.isArray(tests)) {
+                tests.forEach(test => {
+                    if (!test.votes || typeof test.votes !== 'object') {
+                        test.votes = {};
+                    }
+                    test.deleted = test.deleted === true;
+                    if (!test.deleted) {
+                        delete test.deletedAt;
+                    } else if (typeof test.deletedAt !== 'number') {
+                        test.deletedAt = Date.now();
+                    }
+                    test.shared = test.shared === true;
+                });
+            }
+            
+            const users = data[STORAGE_KEYS.USERS];
+            if (Array.isArray(users)) {
+                users.forEach(user => {
+                    user.email = String(user.email || '').toLowerCase();
+                });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Move inline image data URLs into the image store',
+        async migrate(data, images) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            // Tests still had one field per image at this version
+            for (const test of tests) {
+                test.imageA = await stageImage(test.imageA, images);
+                test.imageB = await stageImage(test.imageB, images);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Add createdAt to tests',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                if (typeof test.createdAt === 'number') return;
+                // generateId() ids start with the creation time in base 36
+                const timestamp = parseInt(String(test.id).slice(0, 8), 36);
+                const plausible = timestamp >= Date.UTC(2000, 0, 1) && timestamp <= Date.now();
+                test.createdAt = plausible ? timestamp : Date.now();
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Turn the stored user id into a session object',
+        migrate(data) {
+            const session = data[STORAGE_KEYS.SESSION];
+            if (typeof session === 'string') {
+                data[STORAGE_KEYS.SESSION] = buildSession(session, false);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Add profiles to users',
+        migrate(data) {
+            const users = data[STORAGE_KEYS.USERS];
+            if (!Array.isArray(users)) return;
+            
+            users.forEach(user => {
+                user.profile = getUserProfile(user);
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Add roles to users and moderation fields to tests',
+        migrate(data) {
+            const users = data[STORAGE_KEYS.USERS];
+            if (Array.isArray(users)) {
+                users.forEach(user => {
+                    user.role = getUserRole(user);
+                });
+                // Someone has to be able to moderate: the first account becomes admin
+                if (users.length > 0 && !users.some(user => user.role === 'admin')) {
+                    users[0].role = 'admin';
+                }
+            }
+            
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (Array.isArray(tests)) {
+                tests.forEach(test => {
+                    test.hidden = test.hidden === true;
+                    if (!Array.isArray(test.reports)) {
+                        test.reports = [];
+                    }
+                });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Add the guest voting setting to tests',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                test.allowGuestVotes = test.allowGuestVotes === true;
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Give every user a personal workspace and move their tests into it',
+        migrate(data) {
+            const users = data[STORAGE_KEYS.USERS] || [];
+            const workspaces = Array.isArray(data[STORAGE_KEYS.WORKSPACES]) ? data[STORAGE_KEYS.WORKSPACES] : [];
+            
+            users.forEach(user => {
+                if (!workspaces.some(workspace => workspace.id === getPersonalWorkspaceId(user.id))) {
+                    workspaces.push(createPersonalWorkspace(user.id));
+                }
+            });
+            data[STORAGE_KEYS.WORKSPACES] = workspaces;
+            
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            // Tests of shared imports and deleted accounts have no workspace to go to
+            tests.forEach(test => {
+                if (test.workspaceId !== undefined) return;
+                test.workspaceId = users.some(user => user.id === test.userId)
+                    ? getPersonalWorkspaceId(test.userId)
+                    : null;
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'Turn the two images of A/B tests into a list of variants',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            // Votes already hold 'A' or 'B', which become the variant ids
+            tests.forEach(upgradeLegacyVariants);
+        }
+    },
+    {
+        version: 10,
+        description: 'Mark existing variants as image variants',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                test.variants.forEach(variant => {
+                    if (!variant.type) {
+                        variant.type = 'image';
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Give tests a lifecycle status (existing tests keep running)',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                if (test.status) return;
+                test.status = 'running';
+                test.startsAt = null;
+                test.endsAt = null;
+                test.targetVotes = null;
+                test.closedAt = null;
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'Add revision history to tests',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                if (!Array.isArray(test.revisions)) {
+                    test.revisions = [];
+                    test.forkedFrom = null;
+                }
+            });
+        }
+    },
+    {
+        version: 13,
+        description: 'Add tags and a category to tests',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                if (!Array.isArray(test.tags)) {
+                    test.tags = [];
+                }
+                test.category = normalizeCategory(test.category);
+            });
+        }
+    },
+    {
+        version: 14,
+        description: 'Add descriptions, voting questions and variant captions',
+        migrate(data) {
+            const tests = data[STORAGE_KEYS.TESTS];
+            if (!Array.isArray(tests)) return;
+            
+            tests.forEach(test => {
+                test.description = test.description || '';
+                test.question = test.question || '';
+                (test.variants || []).forEach(variant => {
+                    variant.caption = variant.caption || '';
+                });
+            });
+        }
+    }
+];
+
+// Latest schema version known to this build
+const SCHEMA_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+const NEWER_SCHEMA_MESSAGE = 'Your data was saved by a newer version of this app, so changes cannot be saved here. Please reload to update.';
+
+/**
+ * Read the current value of every data key (everything except the version)
+ * @returns {Object} Map of storage key to value (undefined when absent)
+ */
+function readSchemaData() {
+    const data = {};
+    Object.values(STORAGE_KEYS).forEach(key => {
+        if (key !== STORAGE_KEYS.SCHEMA_VERSION) {
+            data[key] = cloneStoredValue(storageCache.get(key));
+        }
+    });
+    return data;
+}
+
+/**
+ * Write a set of data keys back to storage, removing keys that are undefined
+ * @param {Object} data - Map of storage key to value
+ * @returns {Promise<boolean>} True if every write succeeded
+ */
+async function writeSchemaData(data) {
+    const results = await Promise.all(Object.entries(data).map(([key, value]) =>
+        value === undefined ? removeFromStorage(key) : saveToStorage(key, value)
+    ));
+    return results.every(Boolean);
+}
+
+/**
+ * Run every migration newer than a given version against a set of data
+ * @param {Object} data - Map of storage key to value, mutated in place
+ * @param {number} fromVersion - Schema version the data is at
+ * @param {Map} images - Image hash to Blob, added to with images the
+ *   migrations move into the image store
+ * @throws {Error} If a migration fails (message names the migration)
+ */
+async function applyMigrations(data, fromVersion, images) {
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        try {
+            await migration.migrate(data, images);
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Bring stored data up to SCHEMA_VERSION by running every pending migration.
+ * Migrations run against a copy; if any of them throws or the result can't be
+ * persisted, the pre-migration snapshot is written back. Data from a newer
+ * build is left alone and storage becomes read-only.
+ * @returns {Promise<boolean>} True if data is at the current schema version
+ */
+async function runMigrations() {
+    const currentVersion = getFromStorage(STORAGE_KEYS.SCHEMA_VERSION, 0);
+    if (currentVersion > SCHEMA_VERSION) {
+        console.error(`Stored schema version ${currentVersion} is newer than this build (${SCHEMA_VERSION})`);
+        storageReadOnly = true;
+        showError(NEWER_SCHEMA_MESSAGE);
+        return false;
+    }
+    
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+    
+    if (pending.length === 0) {
+        return true;
+    }
+    
+    const snapshot = readSchemaData();
+    const data = structuredClone(snapshot);
+    const images = new Map();
+    const addedImages = [];
+    
+    try {
+        await applyMigrations(data, currentVersion, images);
+        
+        for (const [hash, blob] of images) {
+            if (await storageAdapter.get(IMAGE_KEY_PREFIX + hash) === undefined) {
+                addedImages.push(hash);
+            }
+            await storeImageBlob(blob);
+        }
+        
+        const saved = await writeSchemaData(data) &&
+            await saveToStorage(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
+        if (!saved) {
+            throw new Error('Failed to save migrated data');
+        }
+        return true;
+    } catch (error) {
+        console.error('Schema upgrade failed:', error);
+        
+        await writeSchemaData(snapshot);
+        await saveToStorage(STORAGE_KEYS.SCHEMA_VERSION, currentVersion);
+        for (const hash of addedImages) {
+            await deleteStoredImage(hash);
+        }
+        showError('Could not upgrade your data. It has been left unchanged.');
+        return false;
+    }
+}
+
+// ============================================
+// Password Hashing
+// ============================================
+
+const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const PASSWORD_HASH_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    // Spread in chunks: large arrays exceed the argument limit
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive a password hash with PBKDF2
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - Iteration count
+ * @returns {Promise<Uint8Array>} Derived hash
+ */
+async function derivePasswordHash(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        PASSWORD_HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Credentials to store on the user
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const hash = await derivePasswordHash(password, salt, PASSWORD_HASH_ITERATIONS);
+    return {
+        algorithm: PASSWORD_HASH_ALGORITHM,
+        iterations: PASSWORD_HASH_ITERATIONS,
+        salt: bytesToBase64(salt),
+        hash: bytesToBase64(hash)
+    };
+}
+
+/**
+ * Compare two byte arrays in time that depends only on their length
+ * @param {Uint8Array} a - First value
+ * @param {Uint8Array} b - Second value
+ * @returns {boolean} True if equal
+ */
+function constantTimeEqual(a, b) {
+    const length = Math.max(a.length, b.length);
+    let difference = a.length ^ b.length;
+    for (let i = 0; i < length; i++) {
+        difference |= (a[i] || 0) ^ (b[i] || 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * Check a password against a user's stored credentials. Accounts created
+ * before hashing was introduced still hold a plaintext password. Users
+ * pulled from the sync server hold neither until they sign in on this device.
+ * @param {Object} user - User object
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(user, password) {
+    if (user.credentials) {
+        const { salt, iterations, hash } = user.credentials;
+        const derived = await derivePasswordHash(password, base64ToBytes(salt), iterations);
+        return constantTimeEqual(derived, base64ToBytes(hash));
+    }
+    if (typeof user.password !== 'string') {
+        return false;
+    }
+    
+    const encoder = new TextEncoder();
+    return constantTimeEqual(encoder.encode(password), encoder.encode(user.password));
+}
+
+// ============================================
+// Login Throttling
+// ============================================
+
+/**
+ * Get failed login records, by lowercased email
+ * @returns {Object} Map of email to { failures, lockouts, lastFailureAt, lockedUntil }
+ */
+function getLoginAttempts() {
+    return getFromStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, {});
+}
+
+/**
+ * Get the failed login record for an email, ignoring stale ones. Once a
+ * lockout has ended the failure count starts over, but the number of
+ * lockouts is kept so the next one lasts longer.
+ * @param {Object} attempts - Result of getLoginAttempts()
+ * @param {string} email - Email
+ * @returns {Object|null} Record or null
+ */
+function getLoginAttemptRecord(attempts, email) {
+    const record = attempts[email.toLowerCase()];
+    const now = Date.now();
+    if (!record) {
+        return null;
+    }
+    if (record.lockedUntil > now) {
+        return record;
+    }
+    
+    const lockouts = record.lockedUntil && now - record.lockedUntil <= LOGIN_THROTTLE_CONFIG.lockoutMemory
+        ? record.lockouts || 1
+        : 0;
+    const failures = now - record.lastFailureAt <= LOGIN_THROTTLE_CONFIG.resetAfter &&
+        !(record.lockedUntil > record.lastFailureAt) ? record.failures : 0;
+    if (failures === 0 && lockouts === 0) {
+        return null;
+    }
+    return { ...record, failures, lockouts };
+}
+
+/**
+ * Check how long an email has to wait before the next login attempt
+ * @param {string} email - Email
+ * @returns {Object} { waitMs, locked } - waitMs is 0 when a login may be tried now
+ */
+function getLoginThrottle(email) {
+    const record = getLoginAttemptRecord(getLoginAttempts(), email);
+    const now = Date.now();
+    
+    if (!record) {
+        return { waitMs: 0, locked: false };
+    }
+    if (record.lockedUntil && record.lockedUntil > now) {
+        return { waitMs: record.lockedUntil - now, locked: true };
+    }
+    
+    const extraFailures = record.failures - LOGIN_THROTTLE_CONFIG.freeAttempts;
+    if (extraFailures <= 0) {
+        return { waitMs: 0, locked: false };
+    }
+    const delay = Math.min(LOGIN_THROTTLE_CONFIG.baseDelay * 2 ** (extraFailures - 1), LOGIN_THROTTLE_CONFIG.maxDelay);
+    return { waitMs: Math.max(0, record.lastFailureAt + delay - now), locked: false };
+}
+
+/**
+ * Record a failed login for an email, locking it once there are too many
+ * @param {string} email - Email
+ * @returns {Promise<boolean>} Success status
+ */
+function recordFailedLogin(email) {
+    const attempts = getLoginAttempts();
+    const key = email.toLowerCase();
+    const record = getLoginAttemptRecord(attempts, key) || { failures: 0, lockouts: 0 };
+    const now = Date.now();
+    
+    record.failures += 1;
+    record.lastFailureAt = now;
+    if (record.failures >= LOGIN_THROTTLE_CONFIG.lockoutAttempts) {
+        const lockouts = record.lockouts || 0;
+        const duration = Math.min(
+            LOGIN_THROTTLE_CONFIG.lockoutDuration * 2 ** lockouts,
+            LOGIN_THROTTLE_CONFIG.maxLockoutDuration
+        );
+        record.lockedUntil = now + duration;
+        record.lockouts = lockouts + 1;
+    }
+    attempts[key] = record;
+    return saveToStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, attempts);
+}
+
+/**
+ * Forget failed logins for an email after a successful one
+ * @param {string} email - Email
+ * @returns {Promise<boolean>} Success status
+ */
+function clearFailedLogins(email) {
+    const attempts = getLoginAttempts();
+    const key = email.toLowerCase();
+    if (!(key in attempts)) {
+        return Promise.resolve(true);
+    }
+    delete attempts[key];
+    return saveToStorage(STORAGE_KEYS.LOGIN_ATTEMPTS, attempts);
+}
+
+/**
+ * Describe a wait in words
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} E.g. "8 seconds" or "15 minutes"
+ */
+function formatWaitTime(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// ============================================
+// Password Strength
+// ============================================
+
+const PASSWORD_MIN_LENGTH = 8;
+
+// Passwords at least this long need not mix character types
+const PASSPHRASE_MIN_LENGTH = 16;
+
+const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// Frequently leaked passwords, lowercase. Any of these is rejected outright.
+const COMMON_PASSWORDS = new Set([
+    '123456', '123456789', '12345678', 'password', 'qwerty', '12345', '1234567', '111111',
+    '123123', 'abc123', '1234567890', 'password1', 'password123', 'qwerty123', '1q2w3e4r',
+    '1qaz2wsx', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', '000000', '654321', '666666', '121212',
+    '987654321', '11111111', '88888888', '00000000', 'iloveyou', 'admin', 'admin123',
+    'administrator', 'welcome', 'welcome1', 'welcome123', 'letmein', 'monkey', 'dragon',
+    'master', 'sunshine', 'princess', 'football', 'baseball', 'basketball', 'soccer',
+    'superman', 'batman', 'starwars', 'trustno1', 'whatever', 'freedom', 'shadow', 'michael',
+    'jennifer', 'jordan23', 'hunter2', 'charlie', 'donald', 'mustang', 'access', 'flower',
+    'hello123', 'helloworld', 'login', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'pass1234',
+    'qazwsx', 'zaq12wsx', 'q1w2e3r4', 'q1w2e3r4t5', 'aa123456', 'abcd1234', 'abcdef',
+    'abcdefg', 'abcdefgh', 'changeme', 'default', 'secret', 'secret123', 'test123',
+    'testing', 'computer', 'internet', 'samsung', 'google', 'linkedin', 'facebook',
+    'iloveyou1', 'lovely', 'loveme', 'ashley', 'bailey', 'qwerty1', 'qwertyu', 'asdf1234',
+    'asdfasdf', 'killer', 'pokemon', 'matrix', 'ninja', 'azerty', 'solo', 'starwars1',
+    'summer2024', 'winter2024', 'spring2024', 'autumn2024', 'password2024', 'abtest', 'abtest123'
+]);
+
+/**
+ * Count the kinds of characters in a password
+ * @param {string} password - Password
+ * @returns {number} 0-4: lowercase, uppercase, digits and symbols present
+ */
+function countCharacterClasses(password) {
+    return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+}
+
+/**
+ * Rate a new password and list the rules it breaks
+ * @param {string} password - Password
+ * @param {string} email - Account email, which the password shouldn't contain
+ * @returns {Object} { score (0-4), label, errors } - the password is acceptable when errors is empty
+ */
+function checkPasswordStrength(password, email = '') {
+    const errors = [];
+    const lower = password.toLowerCase();
+    const classes = countCharacterClasses(password);
+    const emailName = email.split('@')[0].toLowerCase();
+    
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (COMMON_PASSWORDS.has(lower)) {
+        errors.push('This password is too common. Please choose another');
+    }
+    if (emailName.length >= 3 && lower.includes(emailName)) {
+        errors.push('Password must not contain your email');
+    }
+    if (/^(.)\1*$/.test(password)) {
+        errors.push('Password must not be one repeated character');
+    } else if (password.length < PASSPHRASE_MIN_LENGTH && classes < 3) {
+        errors.push(`Use at least three of lowercase, uppercase, numbers and symbols, or ${PASSPHRASE_MIN_LENGTH}+ characters`);
+    }
+    
+    let score = 0;
+    if (password.length >= PASSWORD_MIN_LENGTH) score++;
+    if (password.length >= 12) score++;
+    if (classes >= 3) score++;
+    if (password.length >= PASSPHRASE_MIN_LENGTH || classes === 4) score++;
+    if (errors.length > 0) {
+        score = Math.min(score, 1);
+    }
+    
+    return { score, label: PASSWORD_STRENGTH_LABELS[score], errors };
+}
+
+// ============================================
+// Authentication
+// ============================================
+
+/**
+ * Generate a unique ID
+ * @returns {string} Unique ID
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Ids as generateId() makes them, with the personal_, guest_ and deleted_
+// prefixes. Records from outside this device must use ids of this form.
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check that a value is a well-formed record id
+ * @param {*} id - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidRecordId(id) {
+    return typeof id === 'string' && RECORD_ID_PATTERN.test(id);
+}
+
+/**
+ * Register a new user
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function registerUser(email, password) {
+    // Check if user already exists
+    if (isEmailRegistered(getUsers(), email)) {
+        return { success: false, message: 'Email already registered' };
+    }
+    
+    const strength = checkPasswordStrength(password, email);
+    if (strength.errors.length > 0) {
+        return { success: false, message: strength.errors[0] };
+    }
+    
+    const newUser = {
+        id: generateId(),
+        email: email.toLowerCase(),
+        credentials: await hashPassword(password),
+        profile: createDefaultProfile(),
+        role: DEFAULT_ROLE
+    };
+    
+    // Re-read after hashing: another tab may have registered the same email meanwhile
+    const users = getUsers();
+    if (isEmailRegistered(users, newUser.email)) {
+        return { success: false, message: 'Email already registered' };
+    }
+    
+    // The first account administers the app
+    if (users.length === 0) {
+        newUser.role = 'admin';
+    }
+    
+    users.push(newUser);
+    saveUsers(users);
+    queueSyncOperation('registerUser', { user: newUser });
+    
+    const personal = createPersonalWorkspace(newUser.id);
+    saveWorkspaces([...getWorkspaces(), personal]);
+    queueSyncOperation('createWorkspace', { workspace: personal });
+    
+    return { success: true, user: newUser };
+}
+
+/**
+ * Login a user. Plaintext passwords from older accounts are replaced with a
+ * hash on the first successful login. Repeated failures for an email are
+ * slowed down and then locked out (see LOGIN_THROTTLE_CONFIG). With a sync
+ * server configured the user is signed in there too, and accounts this
+ * device can't check (from another device, or whose password changed
+ * elsewhere) are checked by the server.
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @param {boolean} remember - Keep the session for SESSION_CONFIG.rememberMaxAge
+ * @returns {Promise<Object>} Result object with success status and user/error
+ */
+async function loginUser(email, password, remember = false) {
+    // Unknown emails are throttled too, so throttling doesn't reveal which exist
+    const throttle = getLoginThrottle(email);
+    if (throttle.waitMs > 0) {
+        return {
+            success: false,
+            message: throttle.locked
+                ? `Too many failed attempts. This account is locked for ${formatWaitTime(throttle.waitMs)}`
+                : `Too many failed attempts. Try again in ${formatWaitTime(throttle.waitMs)}`,
+            retryAfter: throttle.waitMs
+        };
+    }
+    
+    // Other users pulled from a sync server come without an email
+    let user = getUsers().find(u => typeof u.email === 'string' && u.email.toLowerCase() === email.toLowerCase());
+    
+    if (user && await verifyPassword(user, password)) {
+        if (!getSyncSessionToken(user.id)) {
+            await signInToSyncServer(email, password);
+        }
+    } else {
+        const remote = await signInToSyncServer(email, password);
+        if (!remote) {
+            if (!user) {
+                // Spend the same time as a real check so unknown emails can't be told apart
+                await hashPassword(password);
+            }
+            await recordFailedLogin(email);
+            return { success: false, message: 'Invalid email or password' };
+        }
+        user = await storeSignedInUser(remote, password);
+    }
+    
+    await clearFailedLogins(email);
+    
+    if (!user.credentials) {
+        const credentials = await hashPassword(password);
+        const users = getUsers();
+        const storedUser = users.find(u => u.id === user.id);
+        if (storedUser) {
+            storedUser.credentials = credentials;
+            delete storedUser.password;
+            saveUsers(users);
+            queueSyncOperation('updateCredentials', { userId: user.id, credentials });
+        }
+    }
+    
+    await createSession(user.id, remember);
+    return { success: true, user };
+}
+
+/**
+ * Store a user the sync server signed in, with credentials for this device
+ * so the next login works offline
+ * @param {Object} remote - User from the server (without credentials)
+ * @param {string} password - Password the server accepted
+ * @returns {Promise<Object>} Stored user
+ */
+async function storeSignedInUser(remote, password) {
+    const credentials = await hashPassword(password);
+    const users = getUsers();
+    const user = { ...remote, credentials };
+    const index = users.findIndex(u => u.id === remote.id);
+    if (index === -1) {
+        users.push(user);
+    } else {
+        users[index] = user;
+    }
+    await saveUsers(users);
+    return user;
+}
+
+/**
+ * Logout current user
+ */
+function logoutUser() {
+    const session = getSession();
+    // Don't leave a sync server token behind on a shared machine
+    if (session && getSyncSessionToken(session.userId)) {
+        updateSyncSessionTokens({ [session.userId]: null });
+    }
+    setSession(null);
+    navigateTo('/');
+    updateNavigation();
+}
+
+/**
+ * Get current logged-in user. Expired, idle and revoked sessions count as
+ * logged out.
+ * @returns {Object|null} User object or null
+ */
+function getCurrentUser() {
+    const session = getActiveSession();
+    return session ? getUserById(session.userId) : null;
+}
+
+/**
+ * Check whether an email is already used by an account
+ * @param {Array} users - Users to search
+ * @param {string} email - Email to look for (any case)
+ * @param {string|null} exceptUserId - Account to ignore, e.g. the one changing its email
+ * @returns {boolean} True if another account uses the email
+ */
+function isEmailRegistered(users, email, exceptUserId = null) {
+    const normalized = email.toLowerCase();
+    return users.some(user => user.id !== exceptUserId && typeof user.email === 'string' && user.email.toLowerCase() === normalized);
+}
+
+/**
+ * Get user by ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} User object or null
+ */
+function getUserById(userId) {
+    if (!userId) return null;
+    const users = getUsers();
+    return users.find(u => u.id === userId) || null;
+}
+
+/**
+ * Get submitter display name from the user's profile
+ * @param {string} userId - User ID
+ * @returns {string} Formatted submitter info or "Anonymous"
+ */
+function getSubmitterInfo(userId) {
+    if (!userId || userId.startsWith('shared_')) {
+        return 'Submitted by Anonymous';
+    }
+    
+    return `Submitted by ${getDisplayName(getUserById(userId))}`;
+}
+
+/**
+ * Check if user is authenticated
+ * @returns {boolean} True if logged in
+ */
+function isAuthenticated() {
+    return getCurrentUser() !== null;
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+// Shown when a session ends without the user logging out, by end reason
+const SESSION_END_MESSAGES = {
+    idle: 'You were signed out after a period of inactivity',
+    expired: 'Your session has expired. Please log in again',
+    revoked: 'You were signed out everywhere. Please log in again'
+};
+
+/**
+ * Build a new session object
+ * @param {string} userId - User ID
+ * @param {boolean} remember - Keep the session for SESSION_CONFIG.rememberMaxAge
+ * @returns {Object} Session object
+ */
+function buildSession(userId, remember) {
+    const now = Date.now();
+    return {
+        id: generateId(),
+        userId,
+        createdAt: now,
+        lastActivityAt: now,
+        expiresAt: now + (remember ? SESSION_CONFIG.rememberMaxAge : SESSION_CONFIG.maxAge),
+        remember: remember === true
+    };
+}
+
+/**
+ * Start a session for a user, replacing any current one
+ * @param {string} userId - User ID
+ * @param {boolean} remember - Keep the session for SESSION_CONFIG.rememberMaxAge
+ * @returns {Promise<boolean>} Success status
+ */
+function createSession(userId, remember = false) {
+    return setSession(buildSession(userId, remember));
+}
+
+/**
+ * Work out whether (and why) a session has ended
+ * @param {Object} session - Session object
+ * @param {Object|null} user - The session's user
+ * @param {number} now - Current time
+ * @returns {string|null} 'missing', 'expired', 'idle' or 'revoked', or null if still valid
+ */
+function getSessionEndReason(session, user, now = Date.now()) {
+    if (!user) return 'missing';
+    if (now >= session.expiresAt) return 'expired';
+    if (!session.remember && now - session.lastActivityAt >= SESSION_CONFIG.idleTimeout) return 'idle';
+    if (user.sessionsRevokedAt && session.createdAt < user.sessionsRevokedAt) return 'revoked';
+    return null;
+}
+
+/**
+ * Get the stored session if it is still valid
+ * @returns {Object|null} Session object or null
+ */
+function getActiveSession() {
+    const session = getSession();
+    if (!session) return null;
+    return getSessionEndReason(session, getUserById(session.userId)) ? null : session;
+}
+
+/**
+ * Clear a session that has ended and tell the user why
+ * @returns {boolean} True if a session was ended
+ */
+function endExpiredSession() {
+    const session = getSession();
+    if (!session) return false;
+    
+    const reason = getSessionEndReason(session, getUserById(session.userId));
+    if (!reason) return false;
+    
+    setSession(null);
+    if (SESSION_END_MESSAGES[reason]) {
+        showError(SESSION_END_MESSAGES[reason]);
+    }
+    return true;
+}
+
+/**
+ * Record user activity on the current session (throttled to
+ * SESSION_CONFIG.activityWriteInterval)
+ */
+function recordSessionActivity() {
+    const session = getActiveSession();
+    if (!session) return;
+    
+    const now = Date.now();
+    if (now - session.lastActivityAt < SESSION_CONFIG.activityWriteInterval) return;
+    
+    session.lastActivityAt = now;
+    setSession(session);
+}
+
+/**
+ * Sign the current user out of every session on every device. Sessions
+ * started before the revocation time stop being valid once it syncs.
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function signOutEverywhere() {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        return { success: false, message: 'You must be logged in' };
+    }
+    
+    const revokedAt = Date.now();
+    const users = getUsers();
+    const user = users.find(u => u.id === currentUser.id);
+    user.sessionsRevokedAt = revokedAt;
+    
+    if (!await saveUsers(users)) {
+        return { success: false, message: 'Failed to sign out other sessions' };
+    }
+    
+    queueSyncOperation('revokeSessions', { userId: user.id, revokedAt });
+    await setSession(null);
+    return { success: true, message: 'Signed out on all devices' };
+}
+
+// ============================================
+// Profiles
+// ============================================
+
+const PROFILE_LIMITS = {
+    displayName: 40,
+    bio: 160
+};
+
+/**
+ * Create an empty profile
+ * @returns {Object} Profile: { displayName, avatar, bio }
+ */
+function createDefaultProfile() {
+    return { displayName: '', avatar: null, bio: '' };
+}
+
+/**
+ * Get a user's profile, filling in missing fields
+ * @param {Object|null} user - User object
+ * @returns {Object} Profile
+ */
+function getUserProfile(user) {
+    return { ...createDefaultProfile(), ...(user && user.profile) };
+}
+
+/**
+ * Get the name to show for a user. Users without a display name get one
+ * made from the end of their id, which tells them apart without revealing
+ * their email.
+ * @param {Object|null} user - User object
+ * @returns {string} Display name, e.g. "User 7f3k", or "Anonymous" without a user
+ */
+function getDisplayName(user) {
+    if (!user) {
+        return 'Anonymous';
+    }
+    return getUserProfile(user).displayName || `User ${String(user.id).slice(-4)}`;
+}
+
+/**
+ * Get the avatar to show for a user: their uploaded image, or an
+ * identicon generated from their id
+ * @param {Object|null} user - User object
+ * @param {string} fallbackSeed - Identicon seed when there is no user
+ * @returns {string} Image reference or data URL
+ */
+function getAvatarSrc(user, fallbackSeed = 'anonymous') {
+    const avatar = getUserProfile(user).avatar;
+    if (isImageRef(avatar)) {
+        return avatar;
+    }
+    return generateIdenticon(user ? user.id : fallbackSeed);
+}
+
+/**
+ * Generate a symmetric 5x5 identicon
+ * @param {string} seed - Value the pattern and colour are derived from
+ * @returns {string} SVG data URL
+ */
+function generateIdenticon(seed) {
+    // FNV-1a: low bits pick the hue, higher bits the cells
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    
+    const hue = hash % 360;
+    const cells = [];
+    for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+            if ((hash >>> (8 + row * 3 + col)) & 1) {
+                cells.push(`<rect x="${col}" y="${row}" width="1" height="1"/>`);
+                if (col < 2) {
+                    cells.push(`<rect x="${4 - col}" y="${row}" width="1" height="1"/>`);
+                }
+            }
+        }
+    }
+    
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-0.5 -0.5 6 6" shape-rendering="crispEdges">` +
+        `<rect x="-0.5" y="-0.5" width="6" height="6" fill="hsl(${hue}, 40%, 92%)"/>` +
+        `<g fill="hsl(${hue}, 55%, 48%)">${cells.join('')}</g></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Get every image store reference used by a user
+ * @param {Object} user - User object
+ * @returns {Array<string>} Image references
+ */
+function getUserImageRefs(user) {
+    const avatar = getUserProfile(user).avatar;
+    return isImageRef(avatar) ? [avatar] : [];
+}
+
+/**
+ * Update a user's profile
+ * @param {string} userId - User ID
+ * @param {Object} updates - Profile fields to change (displayName, avatar, bio)
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function updateProfile(userId, updates) {
+    const users = getUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const profile = { ...getUserProfile(user), ...updates };
+    profile.displayName = String(profile.displayName || '').trim();
+    profile.bio = String(profile.bio || '').trim();
+    
+    if (profile.displayName.length > PROFILE_LIMITS.displayName) {
+        return { success: false, message: `Display name must be at most ${PROFILE_LIMITS.displayName} characters` };
+    }
+    if (profile.bio.length > PROFILE_LIMITS.bio) {
+        return { success: false, message: `Bio must be at most ${PROFILE_LIMITS.bio} characters` };
+    }
+    if (profile.avatar !== null && !isImageRef(profile.avatar)) {
+        return { success: false, message: 'Avatar must be an uploaded image' };
+    }
+    
+    const previousAvatar = getUserProfile(user).avatar;
+    user.profile = profile;
+    if (!await saveUsers(users)) {
+        return { success: false, message: 'Failed to save profile' };
+    }
+    queueSyncOperation('updateProfile', { userId, profile });
+    
+    if (previousAvatar && previousAvatar !== profile.avatar) {
+        collectUnreferencedImages();
+    }
+    return { success: true, message: 'Profile saved' };
+}
+
+// ============================================
+// Account Settings
+// ============================================
+
+// Deleted accounts that keep their data hand it to an id with this prefix
+const DELETED_USER_ID_PREFIX = 'deleted_';
+
+/**
+ * Change a user's email
+ * @param {string} userId - User ID
+ * @param {string} newEmail - New email
+ * @param {string} password - Current password, to confirm the change
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function changeEmail(userId, newEmail, password) {
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const email = newEmail.toLowerCase();
+    if (email === user.email) {
+        return { success: false, message: 'This is already your email' };
+    }
+    if (!await verifyPassword(user, password)) {
+        return { success: false, message: 'Current password is incorrect' };
+    }
+    
+    // Re-read after hashing: another tab may have registered the email meanwhile
+    const users = getUsers();
+    if (isEmailRegistered(users, email, userId)) {
+        return { success: false, message: 'Email already registered' };
+    }
+    
+    users.find(u => u.id === userId).email = email;
+    if (!await saveUsers(users)) {
+        return { success: false, message: 'Failed to change email' };
+    }
+    queueSyncOperation('changeEmail', { userId, email });
+    
+    return { success: true, message: 'Email changed' };
+}
+
+/**
+ * Change a user's password. Every other session of the account is signed
+ * out; this one stays signed in.
+ * @param {string} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const strength = checkPasswordStrength(newPassword, user.email);
+    if (strength.errors.length > 0) {
+        return { success: false, message: strength.errors[0] };
+    }
+    if (!await verifyPassword(user, currentPassword)) {
+        return { success: false, message: 'Current password is incorrect' };
+    }
+    
+    const credentials = await hashPassword(newPassword);
+    const revokedAt = Date.now();
+    const users = getUsers();
+    const storedUser = users.find(u => u.id === userId);
+    if (!storedUser) {
+        return { success: false, message: 'User not found' };
+    }
+    storedUser.credentials = credentials;
+    storedUser.credentialsChangedAt = revokedAt;
+    storedUser.sessionsRevokedAt = revokedAt;
+    delete storedUser.password;
+    
+    if (!await saveUsers(users)) {
+        return { success: false, message: 'Failed to change password' };
+    }
+    queueSyncOperation('updateCredentials', { userId, credentials, changedAt: revokedAt });
+    queueSyncOperation('revokeSessions', { userId, revokedAt, keepCurrentSession: true });
+    
+    const session = getSession();
+    await createSession(userId, session ? session.remember : false);
+    
+    return { success: true, message: 'Password changed. Your other sessions have been signed out' };
+}
+
+/**
+ * Detach a user from tests: their tests, votes and reports are either
+ * handed to an anonymous id or removed. Revisions they made stay in the
+ * history without their id.
+ * @param {Array} tests - Tests, updated in place
+ * @param {string} userId - User ID
+ * @param {string|null} anonymousId - Id that takes over tests and votes, or null to delete them
+ * @returns {Array} Remaining tests
+ */
+function detachUserFromTests(tests, userId, anonymousId) {
+    const remaining = anonymousId ? tests : tests.filter(test => test.userId !== userId);
+    
+    remaining.forEach(test => {
+        if (test.userId === userId) {
+            test.userId = anonymousId;
+        }
+        if (userId in test.votes) {
+            if (anonymousId) {
+                test.votes[anonymousId] = test.votes[userId];
+            }
+            delete test.votes[userId];
+        }
+        if (test.reports) {
+            test.reports = test.reports
+                .filter(report => anonymousId || report.userId !== userId)
+                .map(report => report.userId === userId ? { ...report, userId: anonymousId } : report);
+        }
+        (test.revisions || []).forEach(revision => {
+            if (revision.userId === userId) {
+                revision.userId = anonymousId;
+            }
+        });
+    });
+    
+    return remaining;
+}
+
+/**
+ * Delete a user's account
+ * @param {string} userId - User ID
+ * @param {string} password - Current password, to confirm the deletion
+ * @param {string} mode - 'anonymize' keeps the user's tests and votes without
+ *   their name, 'delete' removes them
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function deleteAccount(userId, password, mode = 'anonymize') {
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    if (!await verifyPassword(user, password)) {
+        return { success: false, message: 'Password is incorrect' };
+    }
+    
+    // One id for all of the user's data, unrelated to their account id
+    const anonymousId = mode === 'anonymize' ? DELETED_USER_ID_PREFIX + generateId() : null;
+    const tests = detachUserFromTests(getTests(), userId, anonymousId);
+    const users = getUsers().filter(u => u.id !== userId);
+    const workspaces = detachUserFromWorkspaces(getWorkspaces(), userId);
+    
+    if (!await saveTests(tests) || !await saveUsers(users) || !await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to delete account' };
+    }
+    queueSyncOperation('deleteAccount', { userId, anonymousId });
+    
+    await setSession(null);
+    collectUnreferencedImages();
+    return { success: true, message: 'Your account has been deleted' };
+}
+
+// ============================================
+// Roles
+// ============================================
+
+// What each role may do. Roles are listed from least to most privileged.
+const ROLE_PERMISSIONS = {
+    voter: ['vote'],
+    creator: ['vote', 'create'],
+    moderator: ['vote', 'create', 'moderate'],
+    admin: ['vote', 'create', 'moderate', 'manageUsers']
+};
+
+const ROLE_LABELS = {
+    voter: 'Voter',
+    creator: 'Creator',
+    moderator: 'Moderator',
+    admin: 'Admin'
+};
+
+// Role given to new accounts (and to accounts from before roles existed)
+const DEFAULT_ROLE = 'creator';
+
+/**
+ * Get a user's role
+ * @param {Object|null} user - User object
+ * @returns {string} Role name
+ */
+function getUserRole(user) {
+    return user && ROLE_PERMISSIONS[user.role] ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object|null} user - User object
+ * @param {string} permission - 'vote', 'create', 'moderate' or 'manageUsers'
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(user, permission) {
+    return !!user && ROLE_PERMISSIONS[getUserRole(user)].includes(permission);
+}
+
+/**
+ * Check whether a user may act on a test: through its workspace, or as a moderator
+ * @param {Object|null} user - User object
+ * @param {Object} test - Test object
+ * @param {string} permission - Workspace permission needed ('delete' by default)
+ * @returns {boolean} True if allowed
+ */
+function canManageTest(user, test, permission = 'delete') {
+    return !!user && (hasTestPermission(user.id, test, permission) || hasPermission(user, 'moderate'));
+}
+
+/**
+ * Change a user's role
+ * @param {string} actorId - Admin making the change
+ * @param {string} userId - User to change
+ * @param {string} role - New role
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function setUserRole(actorId, userId, role) {
+    if (!hasPermission(getUserById(actorId), 'manageUsers')) {
+        return { success: false, message: 'Only admins can change roles' };
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+        return { success: false, message: 'Unknown role' };
+    }
+    
+    const users = getUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const admins = users.filter(u => getUserRole(u) === 'admin');
+    if (getUserRole(user) === 'admin' && role !== 'admin' && admins.length === 1) {
+        return { success: false, message: 'There must be at least one admin' };
+    }
+    
+    user.role = role;
+    if (!await saveUsers(users)) {
+        return { success: false, message: 'Failed to change role' };
+    }
+    queueSyncOperation('setUserRole', { actorId, userId, role });
+    recordModerationAction('setRole', actorId, { userId, reason: `Role changed to ${ROLE_LABELS[role]}` });
+    
+    return { success: true, message: `${getDisplayName(user)} is now a ${ROLE_LABELS[role].toLowerCase()}` };
+}
+
+// ============================================
+// Workspaces
+// ============================================
+
+// Tests belong to a workspace. Every user has a personal workspace and can
+// create team workspaces, invite members by email and pick what each
+// member may do there.
+const WORKSPACE_PERMISSIONS = ['view', 'edit', 'delete'];
+
+const WORKSPACE_PERMISSION_LABELS = {
+    view: 'View results',
+    edit: 'Edit',
+    delete: 'Delete'
+};
+
+const WORKSPACE_NAME_MAX_LENGTH = 40;
+
+// Personal workspace ids are derived from the user id, so every device
+// creates the same one
+const PERSONAL_WORKSPACE_PREFIX = 'personal_';
+
+/**
+ * Get the id of a user's personal workspace
+ * @param {string} userId - User ID
+ * @returns {string} Workspace ID
+ */
+function getPersonalWorkspaceId(userId) {
+    return PERSONAL_WORKSPACE_PREFIX + userId;
+}
+
+/**
+ * Build a workspace owned by a user
+ * @param {string} ownerId - Owner user ID
+ * @param {string} name - Workspace name
+ * @param {Object} options - id and personal flag
+ * @returns {Object} Workspace object
+ */
+function buildWorkspace(ownerId, name, { id = generateId(), personal = false } = {}) {
+    return {
+        id,
+        name,
+        ownerId,
+        personal,
+        createdAt: Date.now(),
+        members: [{ userId: ownerId, permissions: [...WORKSPACE_PERMISSIONS] }],
+        invites: []
+    };
+}
+
+/**
+ * Build a user's personal workspace
+ * @param {string} userId - User ID
+ * @returns {Object} Workspace object
+ */
+function createPersonalWorkspace(userId) {
+    return buildWorkspace(userId, 'Personal', { id: getPersonalWorkspaceId(userId), personal: true });
+}
+
+/**
+ * Get a workspace by ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object|null} Workspace object or null
+ */
+function getWorkspaceById(workspaceId) {
+    return getWorkspaces().find(workspace => workspace.id === workspaceId) || null;
+}
+
+/**
+ * Get the workspaces a user is a member of, personal workspace first
+ * @param {string} userId - User ID
+ * @returns {Array} Workspaces
+ */
+function getUserWorkspaces(userId) {
+    return getWorkspaces()
+        .filter(workspace => workspace.members.some(member => member.userId === userId))
+        .sort((a, b) => (b.personal ? 1 : 0) - (a.personal ? 1 : 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a workspace member has a permission
+ * @param {Object|null} workspace - Workspace object
+ * @param {string} userId - User ID
+ * @param {string} permission - 'view', 'edit' or 'delete'
+ * @returns {boolean} True if allowed
+ */
+function hasWorkspacePermission(workspace, userId, permission) {
+    const member = workspace && workspace.members.find(m => m.userId === userId);
+    return !!member && member.permissions.includes(permission);
+}
+
+/**
+ * Check whether a user has a permission on a test through its workspace.
+ * Tests outside any workspace (or one this device doesn't have) are managed
+ * by their creator alone.
+ * @param {string} userId - User ID
+ * @param {Object} test - Test object
+ * @param {string} permission - 'view', 'edit' or 'delete'
+ * @returns {boolean} True if allowed
+ */
+function hasTestPermission(userId, test, permission) {
+    const workspace = test.workspaceId && getWorkspaceById(test.workspaceId);
+    // The workspace may not have been pulled yet; its creator still manages the test
+    if (!workspace) {
+        return test.userId === userId;
+    }
+    return hasWorkspacePermission(workspace, userId, permission);
+}
+
+/**
+ * Keep a permission list valid: known permissions only, always including view
+ * @param {Array<string>} permissions - Requested permissions
+ * @returns {Array<string>} Normalized permissions
+ */
+function normalizeWorkspacePermissions(permissions) {
+    const requested = Array.isArray(permissions) ? permissions : [];
+    return WORKSPACE_PERMISSIONS.filter(permission => permission === 'view' || requested.includes(permission));
+}
+
+/**
+ * Create a user's personal workspace if this device doesn't have it, e.g.
+ * for users pulled from a sync server or imported from a backup
+ * @param {string} userId - User ID
+ */
+function ensurePersonalWorkspace(userId) {
+    if (!getUserById(userId) || getWorkspaceById(getPersonalWorkspaceId(userId))) {
+        return;
+    }
+    const personal = createPersonalWorkspace(userId);
+    saveWorkspaces([...getWorkspaces(), personal]);
+    queueSyncOperation('createWorkspace', { workspace: personal });
+}
+
+/**
+ * Get the workspace a user is working in on this device: the one chosen in
+ * the session, or their personal workspace
+ * @param {string} userId - User ID
+ * @returns {Object|null} Workspace object or null
+ */
+function getActiveWorkspace(userId) {
+    ensurePersonalWorkspace(userId);
+    const workspaces = getUserWorkspaces(userId);
+    const session = getSession();
+    const chosen = session && session.userId === userId && session.workspaceId;
+    return workspaces.find(workspace => workspace.id === chosen) || workspaces[0] || null;
+}
+
+/**
+ * Switch the current session to another workspace
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function switchWorkspace(userId, workspaceId) {
+    const workspace = getWorkspaceById(workspaceId);
+    const session = getSession();
+    
+    if (!workspace || !hasWorkspacePermission(workspace, userId, 'view')) {
+        return { success: false, message: 'Workspace not found' };
+    }
+    if (!session || session.userId !== userId) {
+        return { success: false, message: 'You must be logged in' };
+    }
+    
+    if (!await setSession({ ...session, workspaceId })) {
+        return { success: false, message: 'Failed to switch workspace' };
+    }
+    return { success: true, message: `Switched to ${workspace.name}` };
+}
+
+/**
+ * Create a team workspace
+ * @param {string} userId - Owner user ID
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} Result object with success status, message and workspace
+ */
+async function createWorkspace(userId, name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+        return { success: false, message: 'Workspace name is required' };
+    }
+    if (trimmed.length > WORKSPACE_NAME_MAX_LENGTH) {
+        return { success: false, message: `Workspace name must be at most ${WORKSPACE_NAME_MAX_LENGTH} characters` };
+    }
+    
+    const workspace = buildWorkspace(userId, trimmed);
+    if (!await saveWorkspaces([...getWorkspaces(), workspace])) {
+        return { success: false, message: 'Failed to create workspace' };
+    }
+    queueSyncOperation('createWorkspace', { workspace });
+    
+    return { success: true, message: 'Workspace created', workspace };
+}
+
+/**
+ * Find a workspace the actor owns, for member management
+ * @param {Array} workspaces - Workspaces
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Acting user ID
+ * @returns {Object} { workspace } or { message } when not allowed
+ */
+function findOwnedWorkspace(workspaces, workspaceId, actorId) {
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    if (!workspace) {
+        return { message: 'Workspace not found' };
+    }
+    if (workspace.ownerId !== actorId) {
+        return { message: 'Only the workspace owner can manage members' };
+    }
+    if (workspace.personal) {
+        return { message: 'Create a team workspace to invite people' };
+    }
+    return { workspace };
+}
+
+/**
+ * Invite someone to a workspace by email
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Owner user ID
+ * @param {string} email - Email to invite
+ * @param {Array<string>} permissions - Permissions the member will get
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function inviteToWorkspace(workspaceId, actorId, email, permissions) {
+    const normalizedEmail = email.trim().toLowerCase();
+    if (!isValidEmail(normalizedEmail)) {
+        return { success: false, message: 'Please enter a valid email address' };
+    }
+    
+    const workspaces = getWorkspaces();
+    const { workspace, message } = findOwnedWorkspace(workspaces, workspaceId, actorId);
+    if (!workspace) {
+        return { success: false, message };
+    }
+    
+    const invitee = getUsers().find(user => user.email === normalizedEmail);
+    if (invitee && workspace.members.some(member => member.userId === invitee.id)) {
+        return { success: false, message: 'This person is already a member' };
+    }
+    if (workspace.invites.some(invite => invite.email === normalizedEmail)) {
+        return { success: false, message: 'This email has already been invited' };
+    }
+    
+    const invite = {
+        email: normalizedEmail,
+        permissions: normalizeWorkspacePermissions(permissions),
+        invitedBy: actorId,
+        createdAt: Date.now()
+    };
+    workspace.invites.push(invite);
+    if (!await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to send invite' };
+    }
+    queueSyncOperation('inviteToWorkspace', { workspaceId, actorId, invite });
+    
+    return { success: true, message: `Invited ${normalizedEmail}` };
+}
+
+/**
+ * Withdraw a pending invite
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Owner user ID
+ * @param {string} email - Invited email
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function cancelWorkspaceInvite(workspaceId, actorId, email) {
+    const workspaces = getWorkspaces();
+    const { workspace, message } = findOwnedWorkspace(workspaces, workspaceId, actorId);
+    if (!workspace) {
+        return { success: false, message };
+    }
+    
+    workspace.invites = workspace.invites.filter(invite => invite.email !== email);
+    if (!await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to cancel invite' };
+    }
+    queueSyncOperation('cancelWorkspaceInvite', { workspaceId, actorId, email });
+    
+    return { success: true, message: 'Invite cancelled' };
+}
+
+/**
+ * Get the workspaces that have invited a user
+ * @param {Object} user - User object
+ * @returns {Array} Workspaces with a pending invite for the user's email
+ */
+function getPendingInvites(user) {
+    return getWorkspaces().filter(workspace =>
+        workspace.invites.some(invite => invite.email === user.email) &&
+        !workspace.members.some(member => member.userId === user.id)
+    );
+}
+
+/**
+ * Accept or decline an invite
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Invited user ID
+ * @param {boolean} accept - True to join the workspace
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function respondToWorkspaceInvite(workspaceId, userId, accept) {
+    const user = getUserById(userId);
+    const workspaces = getWorkspaces();
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    const invite = user && workspace && workspace.invites.find(i => i.email === user.email);
+    
+    if (!invite) {
+        return { success: false, message: 'Invite not found' };
+    }
+    
+    workspace.invites = workspace.invites.filter(i => i !== invite);
+    if (accept && !workspace.members.some(member => member.userId === userId)) {
+        workspace.members.push({ userId, permissions: invite.permissions });
+    }
+    if (!await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to answer invite' };
+    }
+    queueSyncOperation('respondToWorkspaceInvite', { workspaceId, userId, accept: accept === true });
+    
+    return { success: true, message: accept ? `You joined ${workspace.name}` : 'Invite declined' };
+}
+
+/**
+ * Change what a member may do in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Owner user ID
+ * @param {string} memberId - Member user ID
+ * @param {Array<string>} permissions - New permissions
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function setWorkspaceMemberPermissions(workspaceId, actorId, memberId, permissions) {
+    const workspaces = getWorkspaces();
+    const { workspace, message } = findOwnedWorkspace(workspaces, workspaceId, actorId);
+    if (!workspace) {
+        return { success: false, message };
+    }
+    if (memberId === workspace.ownerId) {
+        return { success: false, message: 'The owner always has every permission' };
+    }
+    
+    const member = workspace.members.find(m => m.userId === memberId);
+    if (!member) {
+        return { success: false, message: 'Member not found' };
+    }
+    
+    member.permissions = normalizeWorkspacePermissions(permissions);
+    if (!await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to update permissions' };
+    }
+    queueSyncOperation('setWorkspaceMemberPermissions', { workspaceId, actorId, memberId, permissions: member.permissions });
+    
+    return { success: true, message: 'Permissions updated' };
+}
+
+/**
+ * Remove a member from a workspace. Owners remove others; members remove
+ * themselves to leave.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Acting user ID
+ * @param {string} memberId - Member user ID
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function removeWorkspaceMember(workspaceId, actorId, memberId) {
+    const workspaces = getWorkspaces();
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    
+    if (!workspace || !workspace.members.some(member => member.userId === memberId)) {
+        return { success: false, message: 'Member not found' };
+    }
+    if (actorId !== memberId && actorId !== workspace.ownerId) {
+        return { success: false, message: 'Only the workspace owner can remove members' };
+    }
+    if (memberId === workspace.ownerId) {
+        return { success: false, message: 'The owner cannot leave their own workspace' };
+    }
+    
+    workspace.members = workspace.members.filter(member => member.userId !== memberId);
+    if (!await saveWorkspaces(workspaces)) {
+        return { success: false, message: 'Failed to remove member' };
+    }
+    queueSyncOperation('removeWorkspaceMember', { workspaceId, actorId, memberId });
+    
+    return { success: true, message: actorId === memberId ? `You left ${workspace.name}` : 'Member removed' };
+}
+
+/**
+ * Take a deleted user out of workspaces. Their personal workspace goes away;
+ * team workspaces they own pass to the longest-standing member, or go away
+ * when nobody else is in them.
+ * @param {Array} workspaces - Workspaces, updated in place
+ * @param {string} userId - User ID
+ * @returns {Array} Remaining workspaces
+ */
+function detachUserFromWorkspaces(workspaces, userId) {
+    return workspaces.filter(workspace => {
+        workspace.members = workspace.members.filter(member => member.userId !== userId);
+        if (workspace.ownerId !== userId) {
+            return true;
+        }
+        if (workspace.personal || workspace.members.length === 0) {
+            return false;
+        }
+        workspace.ownerId = workspace.members[0].userId;
+        workspace.members[0].permissions = [...WORKSPACE_PERMISSIONS];
+        return true;
+    });
+}
+
+// ============================================
+// Test Management
+// ============================================
+
+// A test compares an ordered list of variants. Variant ids are letters by
+// position and are what votes store; the label is what people see.
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = VARIANT_IDS.length;
+const VARIANT_LABEL_MAX_LENGTH = 30;
+
+// A variant shows either an image or a short rich-text snippet (headline,
+// CTA label, tagline). See formatRichText() for the supported markup.
+const VARIANT_TYPES = ['image', 'text'];
+const VARIANT_TEXT_MAX_LENGTH = 500;
+const VARIANT_CAPTION_MAX_LENGTH = 140;
+const TEST_DESCRIPTION_MAX_LENGTH = 500;
+const TEST_QUESTION_MAX_LENGTH = 120;
+
+/**
+ * Check whether a variant is a text snippet rather than an image
+ * @param {Object} variant - Variant
+ * @returns {boolean} True for text variants
+ */
+function isTextVariant(variant) {
+    return variant.type === 'text';
+}
+
+/**
+ * Build a test's variant list from form or share link entries
+ * @param {Array<Object>} entries - { type, label, caption, image } or
+ *   { type, label, caption, text } per variant, in order; caption is optional
+ * @returns {Array<Object>} Variants ({ id, type, label, caption } plus image or text)
+ */
+function buildVariants(entries) {
+    return entries.map((entry, index) => {
+        const id = VARIANT_IDS[index];
+        const label = typeof entry.label === 'string' ? entry.label.trim().slice(0, VARIANT_LABEL_MAX_LENGTH) : '';
+        const caption = typeof entry.caption === 'string' ? entry.caption.trim().slice(0, VARIANT_CAPTION_MAX_LENGTH) : '';
+        return entry.type === 'text'
+            ? { id, type: 'text', label: label || id, caption, text: entry.text.trim() }
+            : { id, type: 'image', label: label || id, caption, image: entry.image.trim() };
+    });
+}
+
+/**
+ * Clean up a test's optional description and voting question
+ * @param {Object} fields - { description, question } as typed or from a share link
+ * @returns {Object} { description, question }, trimmed and cut to length
+ */
+function buildTestIntro(fields) {
+    const clean = (value, maxLength) => typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+    return {
+        description: clean(fields.description, TEST_DESCRIPTION_MAX_LENGTH),
+        question: clean(fields.question, TEST_QUESTION_MAX_LENGTH)
+    };
+}
+
+/**
+ * Check a form or share link entry for a variant
+ * @param {Object} entry - { type, image } or { type, text }
+ * @returns {string|null} Error message, or null if the entry is valid
+ */
+function validateVariantEntry(entry) {
+    if (!entry || !VARIANT_TYPES.includes(entry.type || 'image')) {
+        return 'Unknown variant type';
+    }
+    if (entry.type === 'text') {
+        const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+        if (!text) {
+            return 'Text is required';
+        }
+        if (text.length > VARIANT_TEXT_MAX_LENGTH) {
+            return `Text must be at most ${VARIANT_TEXT_MAX_LENGTH} characters`;
+        }
+        return null;
+    }
+    if (typeof entry.image !== 'string' || !entry.image.trim()) {
+        return 'Image is required (URL or file)';
+    }
+    if (!isValidUrl(entry.image.trim())) {
+        return 'Please enter a valid URL or upload an image file';
+    }
+    return null;
+}
+
+/**
+ * Get the variants of a test stored with one field per image
+ * @param {Object} record - Test or share link data with imageA/imageB
+ * @returns {Array<Object>} Variants A and B
+ */
+function getLegacyVariants(record) {
+    return [
+        { id: 'A', type: 'image', label: 'A', image: record.imageA || '' },
+        { id: 'B', type: 'image', label: 'B', image: record.imageB || '' }
+    ];
+}
+
+/**
+ * Move a test stored with imageA/imageB over to a variant list
+ * @param {Object} test - Test object, updated in place
+ * @returns {Object} The same test
+ */
+function upgradeLegacyVariants(test) {
+    if (!Array.isArray(test.variants)) {
+        test.variants = getLegacyVariants(test);
+        delete test.imageA;
+        delete test.imageB;
+    }
+    return test;
+}
+
+/**
+ * Get the label of one of a test's variants
+ * @param {Object} test - Test object
+ * @param {string} variantId - Variant id
+ * @returns {string} Variant label (the id if the variant is unknown)
+ */
+function getVariantLabel(test, variantId) {
+    const variant = test.variants.find(v => v.id === variantId);
+    return variant ? variant.label : variantId;
+}
+
+/**
+ * Create a new test
+ * @param {string} title - Test title
+ * @param {Array<Object>} variants - Variant entries in order (see buildVariants())
+ * @param {string} userId - Creator user ID
+ * @param {boolean} allowGuestVotes - Let logged-out visitors vote
+ * @param {string} workspaceId - Workspace the test belongs to (the creator's personal one by default)
+ * @param {Object} options - Schedule ({ draft, startsAt, endsAt, targetVotes }, see
+ *   buildTestLifecycle()), description and question (see buildTestIntro()),
+ *   tags and category, and forkedFrom or duplicatedFrom,
+ *   the test this one was forked or duplicated from. Both link the tests into an
+ *   experiment series.
+ * @returns {Promise<Object|null>} Created test object, or null if it could not be saved
+ */
+async function createTest(title, variants, userId, allowGuestVotes = false, workspaceId = getPersonalWorkspaceId(userId), options = {}) {
+    const sourceId = options.forkedFrom || options.duplicatedFrom;
+    const sourceTest = sourceId ? getTestById(sourceId) : null;
+    const sourceField = options.forkedFrom ? 'forkedFrom' : 'duplicatedFrom';
+    const tests = getTests();
+    const newTest = {
+        id: generateId(),
+        userId: userId,
+        workspaceId,
+        title: title.trim(),
+        ...buildTestIntro(options),
+        variants: buildVariants(variants),
+        votes: {},
+        createdAt: Date.now(),
+        deleted: false,
+        shared: false,
+        hidden: false,
+        reports: [],
+        allowGuestVotes: allowGuestVotes === true,
+        tags: parseTags(options.tags),
+        category: normalizeCategory(options.category),
+        ...buildTestLifecycle(options),
+        closedAt: null,
+        // Forks and duplicates both link to their source through forkedFrom
+        forkedFrom: sourceTest ? sourceTest.id : null,
+        revisions: sourceTest
+            ? [createRevision(userId, [{ field: sourceField, testId: sourceTest.id, from: sourceTest.title }])]
+            : []
+    };
+    
+    tests.push(newTest);
+    if (!await saveTests(tests)) {
+        return null;
+    }
+    queueSyncOperation('createTest', { test: newTest });
+    
+    return newTest;
+}
+
+/**
+ * Build a revision history entry
+ * @param {string} userId - Editor user ID
+ * @param {Array<Object>} changes - Changes, as returned by diffTestEdit()
+ * @param {boolean} votesReset - Whether the edit cleared the votes
+ * @returns {Object} Revision
+ */
+function createRevision(userId, changes, votesReset = false) {
+    return { id: generateId(), at: Date.now(), userId, changes, votesReset };
+}
+
+/**
+ * List what an edit changes on a test
+ * @param {Object} test - Test object
+ * @param {Object} edit - { title, description, question, variants, allowGuestVotes,
+ *   tags, category } with variants from buildVariants() and tags from parseTags()
+ * @returns {Array<Object>} Changes ({ field, variantId, from, to }). Image
+ *   changes don't keep the old image.
+ */
+function diffTestEdit(test, edit) {
+    const changes = [];
+    if (edit.title !== test.title) {
+        changes.push({ field: 'title', from: test.title, to: edit.title });
+    }
+    ['description', 'question'].forEach(field => {
+        if (edit[field] !== (test[field] || '')) {
+            changes.push({ field, from: test[field] || '', to: edit[field] });
+        }
+    });
+    
+    const count = Math.max(test.variants.length, edit.variants.length);
+    for (let index = 0; index < count; index++) {
+        const before = test.variants[index];
+        const after = edit.variants[index];
+        if (!before) {
+            changes.push({ field: 'variantAdded', variantId: after.id });
+        } else if (!after) {
+            changes.push({ field: 'variantRemoved', variantId: before.id });
+        } else {
+            if (isTextVariant(before) && isTextVariant(after) && before.text !== after.text) {
+                changes.push({ field: 'text', variantId: after.id, from: before.text, to: after.text });
+            } else if (isTextVariant(before) !== isTextVariant(after) || before.image !== after.image) {
+                changes.push({ field: 'content', variantId: after.id });
+            }
+            if (before.label !== after.label) {
+                changes.push({ field: 'label', variantId: after.id, from: before.label, to: after.label });
+            }
+            if ((before.caption || '') !== after.caption) {
+                changes.push({ field: 'caption', variantId: after.id, from: before.caption || '', to: after.caption });
+            }
+        }
+    }
+    
+    if (edit.allowGuestVotes !== (test.allowGuestVotes === true)) {
+        changes.push({ field: 'allowGuestVotes', from: test.allowGuestVotes === true, to: edit.allowGuestVotes });
+    }
+    const tags = test.tags || [];
+    if (edit.tags.join(',') !== tags.join(',')) {
+        changes.push({ field: 'tags', from: tags, to: edit.tags });
+    }
+    if (edit.category !== test.category) {
+        changes.push({ field: 'category', from: test.category, to: edit.category });
+    }
+    return changes;
+}
+
+/**
+ * Check whether a change alters what voters were choosing between
+ * @param {Object} change - Change from diffTestEdit()
+ * @returns {boolean} True for added, removed or replaced variants
+ */
+function isVariantContentChange(change) {
+    return ['content', 'text', 'variantAdded', 'variantRemoved'].includes(change.field);
+}
+
+/**
+ * Describe a revision change for the history list
+ * @param {Object} change - Change from diffTestEdit()
+ * @returns {string} Plain text description
+ */
+function describeRevisionChange(change) {
+    switch (change.field) {
+        case 'title':
+            return `Title changed from "${change.from}" to "${change.to}"`;
+        case 'description':
+            return change.to ? 'Description changed' : 'Description removed';
+        case 'question':
+            return change.to ? `Question changed to "${change.to}"` : 'Question removed';
+        case 'label':
+            return `Variant ${change.variantId} label changed from "${change.from}" to "${change.to}"`;
+        case 'caption':
+            return change.to ? `Variant ${change.variantId} caption changed to "${change.to}"` : `Variant ${change.variantId} caption removed`;
+        case 'text':
+            return `Variant ${change.variantId} text changed from "${change.from}" to "${change.to}"`;
+        case 'content':
+            return `Variant ${change.variantId} replaced`;
+        case 'variantAdded':
+            return `Variant ${change.variantId} added`;
+        case 'variantRemoved':
+            return `Variant ${change.variantId} removed`;
+        case 'allowGuestVotes':
+            return change.to ? 'Guest votes turned on' : 'Guest votes turned off';
+        case 'tags':
+            return change.to.length ? `Tags set to ${change.to.join(', ')}` : 'Tags removed';
+        case 'category':
+            return `Category changed from ${TEST_CATEGORY_LABELS[change.from] || change.from} to ${TEST_CATEGORY_LABELS[change.to] || change.to}`;
+        case 'forkedFrom':
+            return `Forked from "${change.from}"`;
+        case 'duplicatedFrom':
+            return `Duplicated from "${change.from}"`;
+        default:
+            return 'Test changed';
+    }
+}
+
+/**
+ * Save an edit to a test as a new revision. Replacing, adding or removing
+ * variants once votes exist needs voteHandling: 'reset' clears the votes,
+ * 'fork' leaves the test alone and saves the edit as a new test.
+ * @param {string} testId - Test ID
+ * @param {string} userId - Editor user ID (needs edit permission)
+ * @param {Object} edit - { title, description, question, variants, allowGuestVotes,
+ *   tags, category } with variant entries as for createTest()
+ * @param {string|null} voteHandling - 'reset' or 'fork'
+ * @returns {Promise<Object>} Result object with success status, message and
+ *   test; needsVoteHandling is set when the caller has to choose
+ */
+async function updateTest(testId, userId, edit, voteHandling = null) {
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    
+    if (!test || test.deleted) {
+        return { success: false, message: 'Test not found' };
+    }
+    if (!hasTestPermission(userId, test, 'edit')) {
+        return { success: false, message: 'You do not have permission to edit this test' };
+    }
+    
+    const title = edit.title.trim();
+    const { description, question } = buildTestIntro(edit);
+    const variants = buildVariants(edit.variants);
+    const allowGuestVotes = edit.allowGuestVotes === true;
+    const tags = parseTags(edit.tags);
+    const category = normalizeCategory(edit.category);
+    const changes = diffTestEdit(test, { title, description, question, variants, allowGuestVotes, tags, category });
+    if (changes.length === 0) {
+        return { success: true, message: 'No changes to save', test };
+    }
+    
+    const voteCount = Object.keys(test.votes).length;
+    const needsVoteHandling = voteCount > 0 && changes.some(isVariantContentChange);
+    if (needsVoteHandling && voteHandling === 'fork') {
+        const fork = await createTest(title, edit.variants, userId, allowGuestVotes, test.workspaceId, { forkedFrom: test.id, description, question, tags, category });
+        if (!fork) {
+            return { success: false, message: 'Failed to save the new test' };
+        }
+        return { success: true, message: 'Saved as a new test', test: fork, forked: true };
+    }
+    if (needsVoteHandling && voteHandling !== 'reset') {
+        return {
+            success: false,
+            needsVoteHandling: true,
+            message: `This test already has ${voteCount} vote(s). Reset them or save the changes as a new test.`
+        };
+    }
+    
+    const revision = createRevision(userId, changes, needsVoteHandling);
+    test.title = title;
+    test.description = description;
+    test.question = question;
+    test.variants = variants;
+    test.allowGuestVotes = allowGuestVotes;
+    test.tags = tags;
+    test.category = category;
+    if (revision.votesReset) {
+        test.votes = {};
+    }
+    test.revisions = [...(test.revisions || []), revision];
+    
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to save changes' };
+    }
+    queueSyncOperation('updateTest', {
+        testId, userId, title, description, question, variants, allowGuestVotes, tags, category, revision
+    });
+    
+    // Replaced images may not be used anywhere else
+    collectUnreferencedImages();
+    
+    return { success: true, message: revision.votesReset ? 'Changes saved and votes reset' : 'Changes saved', test };
+}
+
+/**
+ * Get all tests on browse (excluding deleted, hidden by a moderator and not started yet)
+ * @returns {Array} Array of test objects
+ */
+function getAllTests() {
+    return getTests().filter(test => !test.deleted && !test.hidden && isTestPublished(test));
+}
+
+/**
+ * Get the tests of a user's active workspace (excluding deleted)
+ * @param {string} userId - User ID
+ * @returns {Array} Array of test objects
+ */
+function getUserTests(userId) {
+    return getWorkspaceTests(getActiveWorkspace(userId), userId).filter(test => !test.deleted);
+}
+
+/**
+ * Get the deleted tests of a user's active workspace
+ * @param {string} userId - User ID
+ * @returns {Array} Array of deleted test objects
+ */
+function getDeletedUserTests(userId) {
+    return getWorkspaceTests(getActiveWorkspace(userId), userId).filter(test => test.deleted === true);
+}
+
+/**
+ * Get the tests of a workspace, if the user may view its results
+ * @param {Object|null} workspace - Workspace object
+ * @param {string} userId - User ID
+ * @returns {Array} Array of test objects
+ */
+function getWorkspaceTests(workspace, userId) {
+    if (!hasWorkspacePermission(workspace, userId, 'view')) {
+        return [];
+    }
+    return getTests().filter(test => test.workspaceId === workspace.id);
+}
+
+/**
+ * Vote on a test
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID, or the device's guest voter ID
+ * @param {string} option - Id of one of the test's variants
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function voteOnTest(testId, userId, option) {
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    
+    if (!test) {
+        return { success: false, message: 'Test not found' };
+    }
+    
+    if (!test.variants.some(variant => variant.id === option)) {
+        return { success: false, message: 'Invalid vote option' };
+    }
+    
+    if (getTestStatus(test) !== 'running') {
+        return { success: false, message: 'This test is not accepting votes' };
+    }
+    
+    if (isGuestVoterId(userId) && !test.allowGuestVotes) {
+        return { success: false, message: 'Please log in to vote on this test' };
+    }
+    
+    // Check if user already voted
+    if (test.votes[userId]) {
+        return { success: false, message: 'You have already voted on this test' };
+    }
+    
+    // Record vote
+    test.votes[userId] = option;
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to save your vote' };
+    }
+    queueSyncOperation('voteOnTest', { testId, userId, option });
+    
+    return { success: true };
+}
+
+/**
+ * Check if user has voted on a test
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID
+ * @returns {boolean} True if user has voted
+ */
+function hasUserVoted(testId, userId) {
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    return test && test.votes[userId] ? true : false;
+}
+
+/**
+ * Get a test by ID
+ * @param {string} testId - Test ID
+ * @returns {Object|null} Test object or null
+ */
+function getTestById(testId) {
+    const tests = getTests();
+    return tests.find(t => t.id === testId) || null;
+}
+
+/**
+ * Delete a test (soft delete - marks as deleted)
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID (a workspace member with delete permission, or a moderator)
+ * @param {string} reason - Why a moderator deleted someone else's test
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function deleteTest(testId, userId, reason = '') {
+    const tests = getTests();
+    const testIndex = tests.findIndex(t => t.id === testId);
+    
+    if (testIndex === -1) {
+        return { success: false, message: 'Test not found' };
+    }
+    
+    const test = tests[testIndex];
+    
+    // Verify the user may delete in the test's workspace, or moderates
+    if (!canManageTest(getUserById(userId), test)) {
+        return { success: false, message: 'You do not have permission to delete this test' };
+    }
+    const moderating = !hasTestPermission(userId, test, 'delete');
+    if (moderating && !reason.trim()) {
+        return { success: false, message: 'Please give a reason' };
+    }
+    
+    // Mark test as deleted (soft delete)
+    test.deleted = true;
+    test.deletedAt = Date.now();
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to delete test' };
+    }
+    queueSyncOperation('deleteTest', { testId, userId, deletedAt: test.deletedAt });
+    if (moderating) {
+        recordModerationAction('delete', userId, { testId, testTitle: test.title, userId: test.userId, reason });
+    }
+    
+    return { success: true, message: 'Test deleted successfully' };
+}
+
+/**
+ * Restore a deleted test
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID (a workspace member with delete permission, or a moderator)
+ * @param {string} reason - Why a moderator restored someone else's test
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function restoreTest(testId, userId, reason = '') {
+    const tests = getTests();
+    const testIndex = tests.findIndex(t => t.id === testId);
+    
+    if (testIndex === -1) {
+        return { success: false, message: 'Test not found' };
+    }
+    
+    const test = tests[testIndex];
+    
+    // Verify the user may delete in the test's workspace, or moderates
+    if (!canManageTest(getUserById(userId), test)) {
+        return { success: false, message: 'You do not have permission to restore this test' };
+    }
+    const moderating = !hasTestPermission(userId, test, 'delete');
+    if (moderating && !reason.trim()) {
+        return { success: false, message: 'Please give a reason' };
+    }
+    
+    // Restore test
+    test.deleted = false;
+    delete test.deletedAt;
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to restore test' };
+    }
+    queueSyncOperation('restoreTest', { testId, userId });
+    if (moderating) {
+        recordModerationAction('restore', userId, { testId, testTitle: test.title, userId: test.userId, reason });
+    }
+    
+    return { success: true, message: 'Test restored successfully' };
+}
+
+/**
+ * Permanently delete a test
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID (a workspace member with delete permission, or a moderator)
+ * @param {string} reason - Why a moderator deleted someone else's test
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function permanentlyDeleteTest(testId, userId, reason = '') {
+    const tests = getTests();
+    const testIndex = tests.findIndex(t => t.id === testId);
+    
+    if (testIndex === -1) {
+        return { success: false, message: 'Test not found' };
+    }
+    
+    const test = tests[testIndex];
+    
+    // Verify the user may delete in the test's workspace, or moderates
+    if (!canManageTest(getUserById(userId), test)) {
+        return { success: false, message: 'You do not have permission to delete this test' };
+    }
+    const moderating = !hasTestPermission(userId, test, 'delete');
+    if (moderating && !reason.trim()) {
+        return { success: false, message: 'Please give a reason' };
+    }
+    
+    // Permanently remove test from array
+    tests.splice(testIndex, 1);
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to delete test' };
+    }
+    queueSyncOperation('permanentlyDeleteTest', { testId, userId });
+    if (moderating) {
+        recordModerationAction('permanentDelete', userId, { testId, testTitle: test.title, userId: test.userId, reason });
+    }
+    
+    // Drop images only this test was using
+    collectUnreferencedImages();
+    
+    return { success: true, message: 'Test permanently deleted' };
+}
+
+/**
+ * Get vote counts for a test
+ * @param {Object} test - Test object
+ * @returns {Object} { counts, total } where counts maps each variant id to its votes
+ */
+function getVoteCounts(test) {
+    const counts = {};
+    test.variants.forEach(variant => {
+        counts[variant.id] = 0;
+    });
+    let total = 0;
+    Object.values(test.votes || {}).forEach(option => {
+        if (option in counts) {
+            counts[option]++;
+            total++;
+        }
+    });
+    return { counts, total };
+}
+
+/**
+ * Get vote counts for a test split into registered and guest votes
+ * @param {Object} test - Test object
+ * @returns {Object} { registered, guest }, each shaped like getVoteCounts()
+ */
+function getVoteBreakdown(test) {
+    const registered = {};
+    const guest = {};
+    Object.entries(test.votes || {}).forEach(([voterId, option]) => {
+        (isGuestVoterId(voterId) ? guest : registered)[voterId] = option;
+    });
+    return {
+        registered: getVoteCounts({ variants: test.variants, votes: registered }),
+        guest: getVoteCounts({ variants: test.variants, votes: guest })
+    };
+}
+
+/**
+ * Generate a shareable link for a test
+ * @param {Object} test - Test object
+ * @returns {Promise<string>} Shareable URL
+ */
+async function generateShareLink(test) {
+    // Encode test data as base64 JSON in URL (stored images are inlined)
+    const variants = [];
+    for (const variant of test.variants) {
+        variants.push(isTextVariant(variant)
+            ? { type: 'text', label: variant.label, caption: variant.caption || '', text: variant.text }
+            : { type: 'image', label: variant.label, caption: variant.caption || '', image: await exportImage(variant.image) });
+    }
+    const testData = {
+        title: test.title,
+        description: test.description || '',
+        question: test.question || '',
+        variants,
+        allowGuestVotes: test.allowGuestVotes === true,
+        tags: test.tags || [],
+        category: test.category
+    };
+    // Base64 of the UTF-8 bytes: btoa() alone rejects characters beyond Latin-1
+    const encoded = bytesToBase64(new TextEncoder().encode(JSON.stringify(testData)));
+    const baseUrl = window.location.origin + window.location.pathname;
+    return `${baseUrl}#/share?data=${encodeURIComponent(encoded)}`;
+}
+
+/**
+ * Decode the data of a share link. Links are base64 of UTF-8 JSON; older
+ * links were base64 of the JSON string itself, which only differs when they
+ * hold characters outside ASCII.
+ * @param {string} encodedData - Base64 encoded test data
+ * @returns {string} JSON text
+ */
+function decodeShareData(encodedData) {
+    const bytes = base64ToBytes(encodedData);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return atob(encodedData);
+    }
+}
+
+/**
+ * Import test from shareable link
+ * @param {string} encodedData - Base64 encoded test data
+ * @returns {Promise<Object>} Result object with success status and test/message
+ */
+async function importSharedTest(encodedData) {
+    try {
+        const decoded = JSON.parse(decodeShareData(encodedData));
+        
+        // Links made before multivariate tests carry imageA and imageB
+        const entries = Array.isArray(decoded.variants)
+            ? decoded.variants
+            : [{ image: decoded.imageA }, { image: decoded.imageB }];
+        
+        // Validate test data
+        const validVariants = entries.length >= MIN_VARIANTS &&
+            entries.length <= MAX_VARIANTS &&
+            entries.every(entry => validateVariantEntry(entry) === null);
+        if (!decoded.title || !validVariants) {
+            return { success: false, message: 'Invalid test data' };
+        }
+        
+        // Move inline images into the image store
+        const variants = buildVariants(entries);
+        for (const variant of variants) {
+            if (!isTextVariant(variant)) {
+                variant.image = await internImage(variant.image);
+            }
+        }
+        
+        // Check if test already exists (by title and variant content)
+        const existingTests = getTests();
+        const duplicate = existingTests.find(t => 
+            t.title === decoded.title && 
+            t.variants.length === variants.length &&
+            t.variants.every((variant, index) => isTextVariant(variant)
+                ? variant.text === variants[index].text
+                : variant.image === variants[index].image)
+        );
+        
+        if (duplicate) {
+            return { success: false, message: 'This test already exists', test: duplicate };
+        }
+        
+        // Create new test with imported data
+        // Use current user ID (if they may create tests) or generate a temporary one
+        const currentUser = getCurrentUser();
+        const userId = hasPermission(currentUser, 'create') ? currentUser.id : 'shared_' + generateId();
+        
+        const newTest = {
+            id: generateId(),
+            userId: userId,
+            workspaceId: userId === currentUser?.id ? getPersonalWorkspaceId(userId) : null,
+            title: decoded.title,
+            ...buildTestIntro(decoded),
+            variants,
+            votes: {},
+            createdAt: Date.now(),
+            deleted: false,
+            shared: true, // Mark as shared/imported
+            hidden: false,
+            reports: [],
+            allowGuestVotes: decoded.allowGuestVotes === true,
+            tags: parseTags(decoded.tags).slice(0, MAX_TEST_TAGS).filter(tag => tag.length <= TAG_MAX_LENGTH),
+            category: normalizeCategory(decoded.category),
+            ...buildTestLifecycle(),
+            closedAt: null,
+            forkedFrom: null,
+            revisions: []
+        };
+        
+        const tests = getTests();
+        tests.push(newTest);
+        if (!await saveTests(tests)) {
+            return { success: false, message: 'Failed to save imported test' };
+        }
+        // Tests imported while logged out stay on this device
+        if (userId === currentUser?.id) {
+            queueSyncOperation('createTest', { test: newTest });
+        }
+        
+        return { success: true, test: newTest };
+    } catch (error) {
+        console.error('Error importing shared test:', error);
+        return { success: false, message: 'Failed to import test data' };
+    }
+}
+
+// ============================================
+// Guest Voting
+// ============================================
+
+// Votes from logged-out visitors are keyed by a random id kept on their
+// device, so each guest still gets one vote per test
+const GUEST_ID_PREFIX = 'guest_';
+
+/**
+ * Check whether a voter id belongs to a guest
+ * @param {string} voterId - Voter ID
+ * @returns {boolean} True for guest voter IDs
+ */
+function isGuestVoterId(voterId) {
+    return typeof voterId === 'string' && voterId.startsWith(GUEST_ID_PREFIX);
+}
+
+/**
+ * Get this device's guest voter ID without creating one
+ * @returns {string|null} Guest voter ID or null
+ */
+function getGuestVoterId() {
+    return getFromStorage(STORAGE_KEYS.GUEST_ID, null);
+}
+
+/**
+ * Get this device's guest voter ID, creating it on first use
+ * @returns {Promise<string|null>} Guest voter ID, or null if it couldn't be stored
+ */
+async function ensureGuestVoterId() {
+    const existing = getGuestVoterId();
+    if (existing) {
+        return existing;
+    }
+    
+    const guestId = GUEST_ID_PREFIX + generateId();
+    // An id that isn't stored would give the guest a fresh vote on every visit
+    return await saveToStorage(STORAGE_KEYS.GUEST_ID, guestId) ? guestId : null;
+}
+
+/**
+ * Turn guest voting on or off for a test
+ * @param {string} testId - Test ID
+ * @param {string} userId - Owner user ID
+ * @param {boolean} allowed - Whether guests may vote
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function setGuestVoting(testId, userId, allowed) {
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    
+    if (!test) {
+        return { success: false, message: 'Test not found' };
+    }
+    if (!hasTestPermission(userId, test, 'edit')) {
+        return { success: false, message: 'You do not have permission to edit this test' };
+    }
+    
+    test.allowGuestVotes = allowed === true;
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to update test' };
+    }
+    queueSyncOperation('setGuestVoting', { testId, userId, allowGuestVotes: test.allowGuestVotes });
+    
+    return {
+        success: true,
+        message: test.allowGuestVotes ? 'Guests can now vote on this test' : 'Only registered users can vote on this test now'
+    };
+}
+
+// ============================================
+// Test Lifecycle
+// ============================================
+
+// Stored statuses. A scheduled test runs once its start date passes, and a
+// running test closes at its end date or target vote count; getTestStatus()
+// works those out, so nothing has to run on a timer.
+const TEST_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'closed'];
+
+const TEST_STATUS_LABELS = {
+    draft: 'Draft',
+    scheduled: 'Scheduled',
+    running: 'Running',
+    paused: 'Paused',
+    closed: 'Closed'
+};
+
+// Owner actions and the status each one moves a test to
+const TEST_LIFECYCLE_ACTIONS = {
+    publish: { status: 'running', label: 'Publish', from: ['draft'], message: 'Test published' },
+    pause: { status: 'paused', label: 'Pause', from: ['scheduled', 'running'], message: 'Test paused' },
+    resume: { status: 'running', label: 'Resume', from: ['paused'], message: 'Test resumed' },
+    close: { status: 'closed', label: 'Close', from: ['draft', 'scheduled', 'running', 'paused'], message: 'Test closed' }
+};
+
+/**
+ * Get the status a test is in right now
+ * @param {Object} test - Test object
+ * @param {number} now - Current time in ms
+ * @returns {string} One of TEST_STATUSES
+ */
+function getTestStatus(test, now = Date.now()) {
+    const status = test.status || 'running';
+    if (status === 'draft' || status === 'paused' || status === 'closed') {
+        return status;
+    }
+    if (test.startsAt && now < test.startsAt) {
+        return 'scheduled';
+    }
+    if ((test.endsAt && now >= test.endsAt) ||
+        (test.targetVotes && getVoteCounts(test).total >= test.targetVotes)) {
+        return 'closed';
+    }
+    return 'running';
+}
+
+/**
+ * Check whether anyone but the test's editors can see it on browse
+ * @param {Object} test - Test object
+ * @returns {boolean} True once the test has started
+ */
+function isTestPublished(test) {
+    const status = getTestStatus(test);
+    return status !== 'draft' && status !== 'scheduled';
+}
+
+/**
+ * Work out the initial status and schedule of a new test
+ * @param {Object} lifecycle - { draft, startsAt, endsAt, targetVotes } (all optional)
+ * @returns {Object} { status, startsAt, endsAt, targetVotes }
+ */
+function buildTestLifecycle(lifecycle = {}) {
+    const startsAt = lifecycle.startsAt || null;
+    let status = 'running';
+    if (lifecycle.draft) {
+        status = 'draft';
+    } else if (startsAt && startsAt > Date.now()) {
+        status = 'scheduled';
+    }
+    return {
+        status,
+        startsAt,
+        endsAt: lifecycle.endsAt || null,
+        targetVotes: lifecycle.targetVotes || null
+    };
+}
+
+/**
+ * Check a new test's schedule
+ * @param {Object} lifecycle - { startsAt, endsAt, targetVotes }
+ * @returns {Object} Map of field name to error message (empty when valid)
+ */
+function validateTestLifecycle({ startsAt, endsAt, targetVotes }) {
+    const errors = {};
+    if (endsAt && endsAt <= Date.now()) {
+        errors.endsAt = 'End date must be in the future';
+    } else if (endsAt && startsAt && endsAt <= startsAt) {
+        errors.endsAt = 'End date must be after the start date';
+    }
+    if (targetVotes !== null && targetVotes !== undefined &&
+        (!Number.isInteger(targetVotes) || targetVotes < 1)) {
+        errors.targetVotes = 'Target votes must be a whole number of at least 1';
+    }
+    return errors;
+}
+
+/**
+ * Get the lifecycle actions available on a test in its current status
+ * @param {Object} test - Test object
+ * @returns {Array<string>} Keys of TEST_LIFECYCLE_ACTIONS
+ */
+function getTestLifecycleActions(test) {
+    const status = getTestStatus(test);
+    return Object.keys(TEST_LIFECYCLE_ACTIONS).filter(action => TEST_LIFECYCLE_ACTIONS[action].from.includes(status));
+}
+
+/**
+ * Publish, pause, resume or close a test
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID (needs edit permission on the test)
+ * @param {string} action - Key of TEST_LIFECYCLE_ACTIONS
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function changeTestStatus(testId, userId, action) {
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    const transition = TEST_LIFECYCLE_ACTIONS[action];
+    
+    if (!test || test.deleted) {
+        return { success: false, message: 'Test not found' };
+    }
+    if (!hasTestPermission(userId, test, 'edit')) {
+        return { success: false, message: 'You do not have permission to edit this test' };
+    }
+    if (!transition) {
+        return { success: false, message: 'Unknown action' };
+    }
+    if (!getTestLifecycleActions(test).includes(action)) {
+        return { success: false, message: `Cannot ${transition.label.toLowerCase()} a ${getTestStatus(test)} test` };
+    }
+    
+    // A resumed or published test waits for its start date if that's still ahead
+    test.status = transition.status === 'running' && test.startsAt && test.startsAt > Date.now()
+        ? 'scheduled'
+        : transition.status;
+    test.closedAt = test.status === 'closed' ? Date.now() : null;
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to update test' };
+    }
+    queueSyncOperation('setTestStatus', { testId, userId, status: test.status, closedAt: test.closedAt });
+    
+    return { success: true, message: transition.message };
+}
+
+/**
+ * Get the variants with the most votes
+ * @param {Object} test - Test object
+ * @returns {Array<Object>} Leading variants (several on a tie, none without votes)
+ */
+function getLeadingVariants(test) {
+    const { counts, total } = getVoteCounts(test);
+    if (total === 0) {
+        return [];
+    }
+    const top = Math.max(...Object.values(counts));
+    return test.variants.filter(variant => counts[variant.id] === top);
+}
+
+// ============================================
+// Experiment Series
+// ============================================
+
+/**
+ * Get the first test of the series a test belongs to, following the
+ * forkedFrom links of forks and duplicates back to the original
+ * @param {Object} test - Test object
+ * @param {Map<string, Object>} testsById - All tests by id, deleted ones included
+ * @returns {Object} The original test (the test itself when it wasn't derived)
+ */
+function getSeriesRoot(test, testsById) {
+    const seen = new Set([test.id]);
+    let root = test;
+    while (root.forkedFrom && testsById.has(root.forkedFrom) && !seen.has(root.forkedFrom)) {
+        root = testsById.get(root.forkedFrom);
+        seen.add(root.id);
+    }
+    return root;
+}
+
+/**
+ * Get the rounds of the experiment series a test belongs to
+ * @param {string} testId - Test ID
+ * @returns {Array<Object>} Tests of the series not in the trash, oldest
+ *   first (empty when the test doesn't exist)
+ */
+function getTestSeries(testId) {
+    const tests = getTests();
+    const testsById = new Map(tests.map(test => [test.id, test]));
+    const test = testsById.get(testId);
+    if (!test) {
+        return [];
+    }
+    
+    // Trashed rounds still link the rest of the series together
+    const rootId = getSeriesRoot(test, testsById).id;
+    return tests
+        .filter(t => !t.deleted && getSeriesRoot(t, testsById).id === rootId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Count the rounds of every test's series in one pass over the tests
+ * @param {Array<Object>} tests - All tests, deleted ones included
+ * @returns {Map<string, number>} Test ID to the number of rounds of its series
+ *   not in the trash
+ */
+function countSeriesRounds(tests) {
+    const testsById = new Map(tests.map(test => [test.id, test]));
+    const rootIds = new Map(tests.map(test => [test.id, getSeriesRoot(test, testsById).id]));
+    
+    const roundsByRoot = new Map();
+    tests.filter(test => !test.deleted).forEach(test => {
+        const rootId = rootIds.get(test.id);
+        roundsByRoot.set(rootId, (roundsByRoot.get(rootId) || 0) + 1);
+    });
+    return new Map(tests.map(test => [test.id, roundsByRoot.get(rootIds.get(test.id)) || 0]));
+}
+
+/**
+ * Get what a variant shows, to recognize it across rounds of a series
+ * @param {Object} variant - Variant object
+ * @returns {string} Text or image reference
+ */
+function getVariantContent(variant) {
+    return isTextVariant(variant) ? variant.text : variant.image;
+}
+
+/**
+ * Summarize each round of a series: its votes, winner and whether the
+ * winner changed since the previous decided round
+ * @param {Array<Object>} series - Tests as returned by getTestSeries()
+ * @returns {Array<Object>} { test, votes, leaders, outcome } per round, where
+ *   outcome is 'none', 'tie', 'first', 'kept' or 'new'
+ */
+function summarizeSeries(series) {
+    let previousWinner = null;
+    return series.map(test => {
+        const votes = getVoteCounts(test);
+        const leaders = getLeadingVariants(test);
+        let outcome = 'none';
+        if (leaders.length > 1) {
+            outcome = 'tie';
+        } else if (leaders.length === 1) {
+            const content = getVariantContent(leaders[0]);
+            if (previousWinner === null) {
+                outcome = 'first';
+            } else {
+                outcome = content === previousWinner ? 'kept' : 'new';
+            }
+            previousWinner = content;
+        }
+        return { test, votes, leaders, outcome };
+    });
+}
+
+// ============================================
+// Tags & Categories
+// ============================================
+
+const TEST_CATEGORY_LABELS = {
+    general: 'General',
+    'landing-page': 'Landing page',
+    icon: 'Icons & logos',
+    ui: 'Interface',
+    copy: 'Copy',
+    email: 'Email',
+    ad: 'Ads'
+};
+const TEST_CATEGORIES = Object.keys(TEST_CATEGORY_LABELS);
+const DEFAULT_TEST_CATEGORY = 'general';
+const MAX_TEST_TAGS = 8;
+const TAG_MAX_LENGTH = 24;
+
+/**
+ * Normalize a tag: lowercase, with runs of spaces turned into dashes and
+ * anything but letters (in any script), digits and dashes dropped
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalized tag (empty if nothing is left)
+ */
+function normalizeTag(tag) {
+    return String(tag)
+        .normalize('NFC')
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^\p{L}\p{M}\p{N}-]/gu, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse a comma separated tag list
+ * @param {string|Array<string>} input - Tags as typed, or a list of tags
+ * @returns {Array<string>} Normalized tags without duplicates, in order
+ */
+function parseTags(input) {
+    const tags = Array.isArray(input) ? input : String(input || '').split(',');
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Validate a parsed tag list
+ * @param {Array<string>} tags - Tags from parseTags()
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTags(tags) {
+    if (tags.length > MAX_TEST_TAGS) {
+        return `Use at most ${MAX_TEST_TAGS} tags`;
+    }
+    const tooLong = tags.find(tag => tag.length > TAG_MAX_LENGTH);
+    if (tooLong) {
+        return `Tags must be ${TAG_MAX_LENGTH} characters or less ("${tooLong}")`;
+    }
+    return null;
+}
+
+/**
+ * Fall back to the default category for unknown values
+ * @param {string} category - Category key
+ * @returns {string} One of TEST_CATEGORIES
+ */
+function normalizeCategory(category) {
+    return TEST_CATEGORIES.includes(category) ? category : DEFAULT_TEST_CATEGORY;
+}
+
+/**
+ * Keep the tests matching the browse filters
+ * @param {Array<Object>} tests - Tests to filter
+ * @param {Object} filters - { tag, category }, null for no filter (see getBrowseFilters())
+ * @returns {Array<Object>} Matching tests
+ */
+function filterTests(tests, filters) {
+    return tests.filter(test =>
+        (!filters.tag || (test.tags || []).includes(filters.tag)) &&
+        (!filters.category || test.category === filters.category)
+    );
+}
+
+/**
+ * Count how many tests use each tag
+ * @param {Array<Object>} tests - Tests to count
+ * @returns {Array<Array>} [tag, count] pairs, most used first, then by name
+ */
+function countTags(tests) {
+    const counts = new Map();
+    tests.forEach(test => {
+        (test.tags || []).forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+    });
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// ============================================
+// Browse Search & Sorting
+// ============================================
+
+const BROWSE_SORT_LABELS = {
+    newest: 'Newest',
+    votes: 'Most voted',
+    close: 'Closest race',
+    unvoted: 'Not voted by me'
+};
+const BROWSE_SORTS = Object.keys(BROWSE_SORT_LABELS);
+const DEFAULT_BROWSE_SORT = 'newest';
+const BROWSE_PAGE_SIZE = 12;
+
+// Markup each browse card was rendered from, to skip unchanged cards on re-render
+const browseCardMarkup = new WeakMap();
+const SEARCH_QUERY_MAX_LENGTH = 100;
+
+/**
+ * Get the text a search matches against: title, description, question,
+ * tags and variant labels, captions and texts
+ * @param {Object} test - Test object
+ * @returns {string} Lowercase search text
+ */
+function getTestSearchText(test) {
+    return [
+        test.title,
+        test.description || '',
+        test.question || '',
+        ...(test.tags || []),
+        ...test.variants.map(variant => variant.label),
+        ...test.variants.map(variant => variant.caption || ''),
+        ...test.variants.filter(isTextVariant).map(variant => variant.text)
+    ].join('\n').toLowerCase();
+}
+
+/**
+ * Keep the tests containing every word of a search query
+ * @param {Array<Object>} tests - Tests to search
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Matching tests (all of them for an empty query)
+ */
+function searchTests(tests, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+        return tests;
+    }
+    return tests.filter(test => {
+        const text = getTestSearchText(test);
+        return terms.every(term => text.includes(term));
+    });
+}
+
+/**
+ * Get the gap between the vote shares of a test's two leading variants
+ * @param {Object} test - Test object
+ * @returns {number} Gap between 0 (a dead heat) and 1, Infinity without votes
+ */
+function getRaceMargin(test) {
+    const { counts, total } = getVoteCounts(test);
+    if (total === 0) {
+        return Infinity;
+    }
+    const [first, second] = Object.values(counts).sort((a, b) => b - a);
+    return (first - second) / total;
+}
+
+/**
+ * Sort tests for browse. Ties keep the newest first.
+ * @param {Array<Object>} tests - Tests to sort
+ * @param {string} sort - One of BROWSE_SORTS
+ * @param {string|null} voterId - Viewer's voter ID, for the 'unvoted' order
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortTests(tests, sort, voterId) {
+    const newest = (a, b) => b.createdAt - a.createdAt;
+    const orders = {
+        newest,
+        votes: (a, b) => Object.keys(b.votes).length - Object.keys(a.votes).length || newest(a, b),
+        close: (a, b) => getRaceMargin(a) - getRaceMargin(b) || newest(a, b),
+        unvoted: (a, b) => Number(!!(voterId && a.votes[voterId])) - Number(!!(voterId && b.votes[voterId])) || newest(a, b)
+    };
+    return tests.slice().sort(orders[sort] || newest);
+}
+
+/**
+ * Apply the browse filters, search and sort order to a list of tests
+ * @param {Array<Object>} tests - Tests on browse
+ * @param {Object} filters - Browse state (see getBrowseFilters())
+ * @param {string|null} voterId - Viewer's voter ID
+ * @returns {Array<Object>} Tests to list, in order
+ */
+function getBrowseResults(tests, filters, voterId) {
+    return sortTests(searchTests(filterTests(tests, filters), filters.query), filters.sort, voterId);
+}
+
+// ============================================
+// Bulk Actions
+// ============================================
+
+// Actions on several dashboard tests at once. panel is the dashboard tab
+// offering the action; outcome completes "N tests will be ..."
+const BULK_ACTIONS = {
+    delete: { label: 'Move to trash', panel: 'active', permission: 'delete', outcome: 'moved to the trash' },
+    tag: { label: 'Add tags', panel: 'active', permission: 'edit', outcome: 'tagged' },
+    close: { label: 'Close voting', panel: 'active', permission: 'edit', outcome: 'closed for voting' },
+    export: { label: 'Export', panel: 'both', permission: 'view', outcome: 'exported to a backup file' },
+    restore: { label: 'Restore', panel: 'deleted', permission: 'delete', outcome: 'restored' },
+    permanentDelete: { label: 'Delete permanently', panel: 'deleted', permission: 'delete', outcome: 'permanently deleted' }
+};
+
+/**
+ * Work out which selected tests a bulk action applies to, and why the
+ * others are skipped
+ * @param {Array<string>} testIds - Selected test IDs
+ * @param {string} userId - User ID
+ * @param {string} action - Key of BULK_ACTIONS
+ * @returns {Object} { tests, skipped } where skipped holds { test, reason }
+ */
+function planBulkAction(testIds, userId, action) {
+    const { permission } = BULK_ACTIONS[action];
+    const plan = { tests: [], skipped: [] };
+    
+    testIds.map(getTestById).filter(Boolean).forEach(test => {
+        let reason = null;
+        if (!hasTestPermission(userId, test, permission)) {
+            reason = `you may not ${permission} it`;
+        } else if (action === 'close' && !getTestLifecycleActions(test).includes('close')) {
+            reason = `it is ${TEST_STATUS_LABELS[getTestStatus(test)].toLowerCase()}`;
+        }
+        
+        if (reason) {
+            plan.skipped.push({ test, reason });
+        } else {
+            plan.tests.push(test);
+        }
+    });
+    return plan;
+}
+
+/**
+ * Describe a bulk action plan for the confirmation modal
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} plan - Plan from planBulkAction()
+ * @returns {Array<string>} Plain text summary lines
+ */
+function describeBulkPlan(action, plan) {
+    const count = plan.tests.length;
+    const lines = [`${count} test${count === 1 ? '' : 's'} will be ${BULK_ACTIONS[action].outcome}.`];
+    if (action === 'permanentDelete' && count > 0) {
+        lines.push('This cannot be undone.');
+    }
+    plan.skipped.forEach(({ test, reason }) => {
+        lines.push(`"${test.title}" will be skipped: ${reason}.`);
+    });
+    return lines;
+}
+
+/**
+ * Add tags to a test, keeping its existing ones
+ * @param {Object} test - Test object
+ * @param {string} userId - User ID (needs edit permission)
+ * @param {Array<string>} tags - Tags from parseTags()
+ * @returns {Promise<Object>} Result object as from updateTest()
+ */
+function addTestTags(test, userId, tags) {
+    const merged = parseTags([...(test.tags || []), ...tags]);
+    if (merged.length > MAX_TEST_TAGS) {
+        return Promise.resolve({ success: false, message: `A test can have at most ${MAX_TEST_TAGS} tags` });
+    }
+    return updateTest(test.id, userId, {
+        title: test.title,
+        description: test.description,
+        question: test.question,
+        variants: test.variants,
+        allowGuestVotes: test.allowGuestVotes,
+        tags: merged,
+        category: test.category
+    });
+}
+
+/**
+ * Apply a bulk action to the tests of a plan, one test at a time. Export is
+ * not applied here (see createTestsBundle()).
+ * @param {Object} plan - Plan from planBulkAction()
+ * @param {string} userId - User ID
+ * @param {string} action - Key of BULK_ACTIONS other than export
+ * @param {Object} options - { tags } for the tag action
+ * @returns {Promise<Object>} Result object with success status, message,
+ *   count and failed ({ test, message } per test that could not be changed)
+ */
+async function applyBulkAction(plan, userId, action, options = {}) {
+    const failed = [];
+    
+    for (const test of plan.tests) {
+        let result;
+        switch (action) {
+            case 'delete':
+                result = await deleteTest(test.id, userId);
+                break;
+            case 'restore':
+                result = await restoreTest(test.id, userId);
+                break;
+            case 'permanentDelete':
+                result = await permanentlyDeleteTest(test.id, userId);
+                break;
+            case 'close':
+                result = await changeTestStatus(test.id, userId, 'close');
+                break;
+            case 'tag':
+                result = await addTestTags(test, userId, options.tags);
+                break;
+            default:
+                result = { success: false, message: 'Unknown action' };
+        }
+        if (!result.success) {
+            failed.push({ test, message: result.message });
+        }
+    }
+    
+    const count = plan.tests.length - failed.length;
+    let message = `${count} test${count === 1 ? '' : 's'} ${BULK_ACTIONS[action].outcome}`;
+    if (failed.length > 0) {
+        message += `; ${failed.length} failed ("${failed[0].test.title}": ${failed[0].message})`;
+    }
+    return { success: failed.length === 0, message, count, failed };
+}
+
+// ============================================
+// Moderation
+// ============================================
+
+// Oldest moderation log entries are dropped beyond this many
+const MODERATION_LOG_LIMIT = 500;
+const REPORT_REASON_MAX_LENGTH = 200;
+
+const MODERATION_ACTION_LABELS = {
+    hide: 'Hid test',
+    unhide: 'Unhid test',
+    delete: 'Moved test to trash',
+    restore: 'Restored test',
+    permanentDelete: 'Permanently deleted test',
+    dismissReports: 'Dismissed reports',
+    setRole: 'Changed role'
+};
+
+/**
+ * Get the moderation log
+ * @returns {Array} Log entries, oldest first
+ */
+function getModerationLog() {
+    return getFromStorage(STORAGE_KEYS.MODERATION_LOG, []);
+}
+
+/**
+ * Add an entry to the moderation log
+ * @param {string} action - Key of MODERATION_ACTION_LABELS
+ * @param {string} moderatorId - User who acted
+ * @param {Object} details - testId, testTitle, userId (affected user) and reason
+ * @returns {Promise<boolean>} Success status
+ */
+function recordModerationAction(action, moderatorId, details) {
+    const log = getModerationLog();
+    log.push({ id: generateId(), action, moderatorId, createdAt: Date.now(), ...details });
+    return saveToStorage(STORAGE_KEYS.MODERATION_LOG, log.slice(-MODERATION_LOG_LIMIT));
+}
+
+/**
+ * Get tests with open reports
+ * @returns {Array} Reported tests, most reported first
+ */
+function getReportedTests() {
+    return getTests()
+        .filter(test => test.reports && test.reports.length > 0)
+        .sort((a, b) => b.reports.length - a.reports.length);
+}
+
+/**
+ * Check whether a user has reported a test
+ * @param {Object} test - Test object
+ * @param {string} userId - User ID
+ * @returns {boolean} True if reported
+ */
+function hasUserReported(test, userId) {
+    return (test.reports || []).some(report => report.userId === userId);
+}
+
+/**
+ * Report a test to the moderators
+ * @param {string} testId - Test ID
+ * @param {string} userId - Reporting user ID
+ * @param {string} reason - What is wrong with the test
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function reportTest(testId, userId, reason) {
+    const trimmed = reason.trim();
+    if (!trimmed) {
+        return { success: false, message: 'Please say what is wrong with this test' };
+    }
+    if (trimmed.length > REPORT_REASON_MAX_LENGTH) {
+        return { success: false, message: `Reason must be at most ${REPORT_REASON_MAX_LENGTH} characters` };
+    }
+    
+    const tests = getTests();
+    const test = tests.find(t => t.id === testId);
+    if (!test || test.deleted) {
+        return { success: false, message: 'Test not found' };
+    }
+    if (test.userId === userId) {
+        return { success: false, message: 'You cannot report your own test' };
+    }
+    if (hasUserReported(test, userId)) {
+        return { success: false, message: 'You have already reported this test' };
+    }
+    
+    const report = { userId, reason: trimmed, createdAt: Date.now() };
+    test.reports = [...(test.reports || []), report];
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to report test' };
+    }
+    queueSyncOperation('reportTest', { testId, report });
+    
+    return { success: true, message: 'Thanks, a moderator will take a look' };
+}
+
+/**
+ * Find a test for a moderator action
+ * @param {Array} tests - Tests
+ * @param {string} testId - Test ID
+ * @param {string} moderatorId - Moderator user ID
+ * @param {string} reason - Reason for the action
+ * @returns {Object} { test } or { message } when the action isn't allowed
+ */
+function findModeratedTest(tests, testId, moderatorId, reason) {
+    if (!hasPermission(getUserById(moderatorId), 'moderate')) {
+        return { message: 'Only moderators can do this' };
+    }
+    if (!reason.trim()) {
+        return { message: 'Please give a reason' };
+    }
+    const test = tests.find(t => t.id === testId);
+    return test ? { test } : { message: 'Test not found' };
+}
+
+/**
+ * Hide a test from browsing. The owner still sees it, with the reason.
+ * @param {string} testId - Test ID
+ * @param {string} moderatorId - Moderator user ID
+ * @param {string} reason - Why the test is hidden
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function hideTest(testId, moderatorId, reason) {
+    const tests = getTests();
+    const { test, message } = findModeratedTest(tests, testId, moderatorId, reason);
+    if (!test) {
+        return { success: false, message };
+    }
+    
+    test.hidden = true;
+    test.hiddenReason = reason.trim();
+    test.hiddenAt = Date.now();
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to hide test' };
+    }
+    queueSyncOperation('hideTest', { testId, userId: moderatorId, reason: test.hiddenReason, hiddenAt: test.hiddenAt });
+    recordModerationAction('hide', moderatorId, { testId, testTitle: test.title, userId: test.userId, reason: test.hiddenReason });
+    
+    return { success: true, message: 'Test hidden' };
+}
+
+/**
+ * Make a hidden test visible again
+ * @param {string} testId - Test ID
+ * @param {string} moderatorId - Moderator user ID
+ * @param {string} reason - Why the test is shown again
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function unhideTest(testId, moderatorId, reason) {
+    const tests = getTests();
+    const { test, message } = findModeratedTest(tests, testId, moderatorId, reason);
+    if (!test) {
+        return { success: false, message };
+    }
+    
+    test.hidden = false;
+    delete test.hiddenReason;
+    delete test.hiddenAt;
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to restore test' };
+    }
+    queueSyncOperation('unhideTest', { testId, userId: moderatorId });
+    recordModerationAction('unhide', moderatorId, { testId, testTitle: test.title, userId: test.userId, reason: reason.trim() });
+    
+    return { success: true, message: 'Test restored' };
+}
+
+/**
+ * Close the open reports on a test without acting on it
+ * @param {string} testId - Test ID
+ * @param {string} moderatorId - Moderator user ID
+ * @param {string} reason - Why the reports were dismissed
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function dismissReports(testId, moderatorId, reason) {
+    const tests = getTests();
+    const { test, message } = findModeratedTest(tests, testId, moderatorId, reason);
+    if (!test) {
+        return { success: false, message };
+    }
+    
+    test.reports = [];
+    if (!await saveTests(tests)) {
+        return { success: false, message: 'Failed to dismiss reports' };
+    }
+    queueSyncOperation('dismissReports', { testId, userId: moderatorId });
+    recordModerationAction('dismissReports', moderatorId, { testId, testTitle: test.title, userId: test.userId, reason: reason.trim() });
+    
+    return { success: true, message: 'Reports dismissed' };
+}
+
+// ============================================
+// Workspace Backup
+// ============================================
+
+const WORKSPACE_BUNDLE_FORMAT = 'abtest-workspace';
+const WORKSPACE_BUNDLE_VERSION = 1;
+
+// Device-specific keys that never travel in a backup
+const WORKSPACE_EXCLUDED_KEYS = [
+    STORAGE_KEYS.SESSION,
+    STORAGE_KEYS.SCHEMA_VERSION,
+    STORAGE_KEYS.OUTBOX,
+    STORAGE_KEYS.SYNC_STATE,
+    STORAGE_KEYS.GUEST_ID,
+    STORAGE_KEYS.LOGIN_ATTEMPTS,
+    STORAGE_KEYS.TRASH_RETENTION
+];
+
+/**
+ * Get the storage keys included in a workspace backup
+ * @returns {Array<string>} Storage keys
+ */
+function getWorkspaceKeys() {
+    return Object.values(STORAGE_KEYS).filter(key => !WORKSPACE_EXCLUDED_KEYS.includes(key));
+}
+
+/**
+ * Build a backup bundle of every workspace key plus all stored images
+ * @returns {Promise<Object>} Workspace bundle
+ */
+async function createWorkspaceBundle() {
+    await flushStorage();
+    
+    const data = {};
+    getWorkspaceKeys().forEach(key => {
+        const value = cloneStoredValue(storageCache.get(key));
+        if (value !== undefined) {
+            data[key] = value;
+        }
+    });
+    
+    const images = {};
+    const keys = await storageAdapter.list();
+    for (const key of keys) {
+        if (key.startsWith(IMAGE_KEY_PREFIX)) {
+            const hash = key.slice(IMAGE_KEY_PREFIX.length);
+            images[hash] = await exportImage(IMAGE_REF_PREFIX + hash);
+        }
+    }
+    
+    return {
+        format: WORKSPACE_BUNDLE_FORMAT,
+        version: WORKSPACE_BUNDLE_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data,
+        images
+    };
+}
+
+/**
+ * Build a backup bundle holding only some tests and the images they use.
+ * It imports like a workspace backup (merge mode adds the tests).
+ * @param {Array<Object>} tests - Tests to export
+ * @returns {Promise<Object>} Workspace bundle
+ */
+async function createTestsBundle(tests) {
+    await flushStorage();
+    
+    const images = {};
+    for (const ref of new Set(tests.flatMap(getTestImageRefs))) {
+        images[getImageHash(ref)] = await exportImage(ref);
+    }
+    
+    return {
+        format: WORKSPACE_BUNDLE_FORMAT,
+        version: WORKSPACE_BUNDLE_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: { [STORAGE_KEYS.TESTS]: structuredClone(tests) },
+        images
+    };
+}
+
+/**
+ * Check that a list holds records with unique string ids
+ * @param {*} records - Value to check
+ * @param {string} label - Name used in error messages
+ * @param {Array<string>} errors - Error list to append to
+ * @returns {boolean} True if valid
+ */
+function validateRecordList(records, label, errors) {
+    if (!Array.isArray(records)) {
+        errors.push(`${label} must be a list`);
+        return false;
+    }
+    
+    const ids = new Set();
+    for (const record of records) {
+        if (!isPlainObject(record) || !isValidRecordId(record.id)) {
+            errors.push(`Every entry in ${label} needs a valid id`);
+            return false;
+        }
+        if (ids.has(record.id)) {
+            errors.push(`Duplicate id "${record.id}" in ${label}`);
+            return false;
+        }
+        ids.add(record.id);
+    }
+    return true;
+}
+
+/**
+ * Validate a workspace bundle without writing anything
+ * @param {*} bundle - Parsed bundle
+ * @returns {Promise<Object>} { valid, errors, images } where images maps hash to Blob
+ */
+async function validateWorkspaceBundle(bundle) {
+    const errors = [];
+    const images = new Map();
+    const result = () => ({ valid: errors.length === 0, errors, images });
+    
+    if (!isPlainObject(bundle) || bundle.format !== WORKSPACE_BUNDLE_FORMAT) {
+        errors.push('This is not a workspace backup file');
+        return result();
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > WORKSPACE_BUNDLE_VERSION) {
+        errors.push('This backup was made by a newer version of the app');
+        return result();
+    }
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 0 || bundle.schemaVersion > SCHEMA_VERSION) {
+        errors.push('This backup uses a data format this version of the app does not support');
+        return result();
+    }
+    if (!isPlainObject(bundle.data) || !isPlainObject(bundle.images)) {
+        errors.push('Backup file is incomplete');
+        return result();
+    }
+    
+    const workspaceKeys = getWorkspaceKeys();
+    const unknownKey = Object.keys(bundle.data).find(key => !workspaceKeys.includes(key));
+    if (unknownKey) {
+        errors.push(`Backup contains unknown data "${unknownKey}"`);
+        return result();
+    }
+    
+    const users = bundle.data[STORAGE_KEYS.USERS] || [];
+    const tests = bundle.data[STORAGE_KEYS.TESTS] || [];
+    const workspaces = bundle.data[STORAGE_KEYS.WORKSPACES] || [];
+    
+    if (validateRecordList(users, 'users', errors) &&
+        users.some(user => typeof user.email !== 'string' || !isValidEmail(user.email))) {
+        errors.push('Every user needs a valid email');
+    }
+    if (validateRecordList(tests, 'tests', errors) &&
+        tests.some(test => typeof test.title !== 'string' || !isPlainObject(test.votes))) {
+        errors.push('Every test needs a title and a votes map');
+    }
+    if (tests.some(test => !isValidRecordId(test.userId) ||
+        (test.workspaceId !== undefined && !isValidRecordId(test.workspaceId)))) {
+        errors.push('Every test needs a valid owner and workspace');
+    }
+    if (validateRecordList(workspaces, 'workspaces', errors) &&
+        workspaces.some(workspace => !isValidRecordId(workspace.ownerId) || !Array.isArray(workspace.members) ||
+            workspace.members.some(member => !isPlainObject(member) || !isValidRecordId(member.userId)))) {
+        errors.push('Every workspace needs a valid owner and members');
+    }
+    if (errors.length > 0) {
+        return result();
+    }
+    
+    // Decode every image and check it matches its hash
+    for (const [hash, dataUrl] of Object.entries(bundle.images)) {
+        if (!/^[0-9a-f]{64}$/.test(hash) || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+            errors.push('Backup contains an invalid image');
+            return result();
+        }
+        const blob = await dataUrlToBlob(dataUrl);
+        if (await hashBlob(blob) !== hash) {
+            errors.push('Backup contains a corrupted image');
+            return result();
+        }
+        images.set(hash, blob);
+    }
+    
+    const missingImage = [
+        ...tests.flatMap(getTestImageRefs),
+        ...users.flatMap(getUserImageRefs)
+    ].some(ref => !images.has(getImageHash(ref)));
+    if (missingImage) {
+        errors.push('Backup is missing images used by its tests or avatars');
+    }
+    
+    return result();
+}
+
+/**
+ * Rewrite user ids on imported tests (owner, votes and reports)
+ * @param {Array} tests - Tests to update in place
+ * @param {Map} idMap - Imported user id to local user id
+ */
+function remapTestUserIds(tests, idMap) {
+    if (idMap.size === 0) return;
+    
+    tests.forEach(test => {
+        if (idMap.has(test.userId)) {
+            test.userId = idMap.get(test.userId);
+        }
+        const votes = {};
+        Object.entries(test.votes).forEach(([voterId, option]) => {
+            votes[idMap.get(voterId) || voterId] = option;
+        });
+        test.votes = votes;
+        (test.reports || []).forEach(report => {
+            report.userId = idMap.get(report.userId) || report.userId;
+        });
+        (test.revisions || []).forEach(revision => {
+            revision.userId = idMap.get(revision.userId) || revision.userId;
+        });
+    });
+}
+
+/**
+ * Merge imported workspaces into the current ones. Members are matched to
+ * local accounts through idMap; a remapped user's personal workspace merges
+ * into the local one.
+ * @param {Array} workspaces - Current workspaces, updated in place
+ * @param {Array} importedWorkspaces - Workspaces from the bundle
+ * @param {Map} idMap - Imported user id to local user id
+ * @returns {Map} Imported workspace id to local workspace id, where they differ
+ */
+function mergeImportedWorkspaces(workspaces, importedWorkspaces, idMap) {
+    const workspaceIdMap = new Map();
+    
+    importedWorkspaces.forEach(imported => {
+        if (imported.personal && idMap.has(imported.ownerId)) {
+            workspaceIdMap.set(imported.id, getPersonalWorkspaceId(idMap.get(imported.ownerId)));
+            return;
+        }
+        if (workspaces.some(workspace => workspace.id === imported.id)) return;
+        
+        imported.ownerId = idMap.get(imported.ownerId) || imported.ownerId;
+        imported.members.forEach(member => {
+            member.userId = idMap.get(member.userId) || member.userId;
+        });
+        workspaces.push(imported);
+    });
+    
+    return workspaceIdMap;
+}
+
+/**
+ * Merge imported users into the current ones. Accounts keep their
+ * credentials so people can sign in on this machine; their roles are
+ * only kept when an admin imports.
+ * @param {Array} users - Current users, updated in place
+ * @param {Array} importedUsers - Users from the bundle
+ * @param {boolean} keepRoles - Whether imported roles are honoured
+ * @returns {Object} idMap (imported user id to local user id, where they
+ *   differ) and the added users
+ */
+function mergeImportedUsers(users, importedUsers, keepRoles) {
+    const idMap = new Map();
+    const added = [];
+    importedUsers.forEach(imported => {
+        if (users.some(user => user.id === imported.id)) return;
+        const sameEmail = users.find(user => user.email === imported.email.toLowerCase());
+        if (sameEmail) {
+            // Same person registered separately on both sides
+            idMap.set(imported.id, sameEmail.id);
+            return;
+        }
+        const user = { ...imported, role: keepRoles ? getUserRole(imported) : DEFAULT_ROLE };
+        users.push(user);
+        added.push(user);
+    });
+    return { idMap, added };
+}
+
+/**
+ * Import a workspace bundle. Any signed-in user can merge a bundle in;
+ * only admins can replace the current data or bring in roles.
+ * @param {string} actorId - User running the import
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' keeps current data, 'replace' discards it
+ * @param {string} options.conflict - For tests with an existing id when merging:
+ *   'keep' (current version), 'overwrite' (imported version) or 'duplicate' (keep both)
+ * @returns {Promise<Object>} Result object with success status, message and summary
+ */
+async function importWorkspaceBundle(actorId, bundle, { mode = 'merge', conflict = 'keep' } = {}) {
+    const actor = getUserById(actorId);
+    if (!actor) {
+        return { success: false, message: 'You must be logged in to import a workspace' };
+    }
+    const isAdmin = hasPermission(actor, 'manageUsers');
+    if (mode === 'replace' && !isAdmin) {
+        return { success: false, message: 'Only admins can replace the current data' };
+    }
+    
+    const validation = await validateWorkspaceBundle(bundle);
+    if (!validation.valid) {
+        return { success: false, message: validation.errors[0], errors: validation.errors };
+    }
+    
+    try {
+        const data = structuredClone(bundle.data);
+        await applyMigrations(data, bundle.schemaVersion, validation.images);
+        
+        for (const blob of validation.images.values()) {
+            await storeImageBlob(blob);
+        }
+        
+        const importedUsers = data[STORAGE_KEYS.USERS] || [];
+        const importedTests = data[STORAGE_KEYS.TESTS] || [];
+        const summary = { users: 0, testsAdded: 0, testsUpdated: 0, testsSkipped: 0 };
+        let saved;
+        let written = [];
+        
+        const users = mode === 'replace' ? [] : getUsers();
+        const { idMap, added: addedUsers } = mergeImportedUsers(users, importedUsers, isAdmin);
+        summary.users = addedUsers.length;
+        remapTestUserIds(importedTests, idMap);
+        const workspaces = mode === 'replace' ? [] : getWorkspaces();
+        const existingWorkspaceIds = new Set(workspaces.map(workspace => workspace.id));
+        const workspaceIdMap = mergeImportedWorkspaces(workspaces, data[STORAGE_KEYS.WORKSPACES] || [], idMap);
+        importedTests.forEach(test => {
+            test.workspaceId = workspaceIdMap.get(test.workspaceId) || test.workspaceId;
+        });
+        
+        if (mode === 'replace') {
+            data[STORAGE_KEYS.USERS] = users;
+            data[STORAGE_KEYS.WORKSPACES] = workspaces;
+            getWorkspaceKeys().forEach(key => {
+                if (!(key in data)) {
+                    data[key] = undefined;
+                }
+            });
+            saved = await writeSchemaData(data);
+            summary.testsAdded = importedTests.length;
+            written = importedTests;
+            
+            // The signed-in account may not exist in the restored workspace
+            const session = getSession();
+            if (saved && session && !users.some(user => user.id === session.userId)) {
+                await setSession(null);
+            }
+        } else {
+            const tests = getTests();
+            
+            importedTests.forEach(imported => {
+                const index = tests.findIndex(test => test.id === imported.id);
+                if (index === -1) {
+                    tests.push(imported);
+                    written.push(imported);
+                    summary.testsAdded++;
+                } else if (conflict === 'overwrite') {
+                    tests[index] = imported;
+                    written.push(imported);
+                    summary.testsUpdated++;
+                } else if (conflict === 'duplicate') {
+                    const copy = { ...imported, id: generateId() };
+                    tests.push(copy);
+                    written.push(copy);
+                    summary.testsAdded++;
+                } else {
+                    summary.testsSkipped++;
+                }
+            });
+            
+            saved = await saveUsers(users) && await saveTests(tests) && await saveWorkspaces(workspaces);
+        }
+        
+        if (!saved) {
+            return { success: false, message: 'Failed to save imported data' };
+        }
+        
+        // Send what the import added to the sync server, as its owners.
+        // Records of people without an account here stay on this device.
+        const isLocalUser = id => Boolean(getUserById(id));
+        addedUsers
+            .filter(user => user.credentials)
+            .forEach(user => queueSyncOperation('registerUser', { user }));
+        workspaces
+            .filter(workspace => !existingWorkspaceIds.has(workspace.id) && isLocalUser(workspace.ownerId))
+            .forEach(workspace => queueSyncOperation('createWorkspace', { workspace }));
+        written
+            .filter(test => isLocalUser(test.userId))
+            .forEach(test => queueSyncOperation('createTest', { test }));
+        
+        collectUnreferencedImages();
+        return { success: true, message: 'Workspace imported successfully', summary };
+    } catch (error) {
+        console.error('Error importing workspace:', error);
+        return { success: false, message: 'Failed to import workspace' };
+    }
+}
+
+// ============================================
+// DOM Utilities
+// ============================================
+
+/**
+ * Show error message to user
+ * @param {string} message - Error message
+ */
+function showError(message) {
+    const errorEl = document.getElementById('error-message');
+    if (errorEl) {
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+        setTimeout(() => {
+            errorEl.classList.add('hidden');
+        }, 5000);
+    }
+}
+
+/**
+ * Show success message to user (uses the shared message area)
+ * @param {string} message - Success message
+ */
+function showSuccess(message) {
+    const errorEl = document.getElementById('error-message');
+    if (errorEl) {
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+        errorEl.style.backgroundColor = 'rgba(52, 199, 89, 0.1)';
+        errorEl.style.borderColor = '#34c759';
+        errorEl.style.color = '#34c759';
+        setTimeout(() => {
+            errorEl.classList.add('hidden');
+            errorEl.style.backgroundColor = '';
+            errorEl.style.borderColor = '';
+            errorEl.style.color = '';
+        }, 3000);
+    }
+}
+
+/**
+ * Show loading state
+ * @param {boolean} show - Whether to show loading
+ */
+function showLoading(show) {
+    const loadingEl = document.getElementById('loading');
+    if (loadingEl) {
+        if (show) {
+            loadingEl.classList.remove('hidden');
+        } else {
+            loadingEl.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Hide all views
+ */
+function hideAllViews() {
+    document.querySelectorAll('.view').forEach(view => {
+        view.classList.add('hidden');
+    });
+}
+
+/**
+ * Show a specific view
+ * @param {string} viewId - ID of view to show
+ */
+function showView(viewId) {
+    hideAllViews();
+    const view = document.getElementById(viewId);
+    if (view) {
+        view.classList.remove('hidden');
+        // Focus management for accessibility
+        const heading = view.querySelector('h1');
+        if (heading) {
+            heading.focus();
+        }
+    }
+}
+
+/**
+ * Clear form errors
+ * @param {HTMLFormElement} form - Form element
+ */
+function clearFormErrors(form) {
+    form.querySelectorAll('.error-text').forEach(el => {
+        el.textContent = '';
+    });
+    // Remove error classes from inputs
+    form.querySelectorAll('input, textarea').forEach(input => {
+        input.classList.remove('error');
+    });
+}
+
+/**
+ * Set field error
+ * @param {string} fieldId - Field ID
+ * @param {string} message - Error message
+ */
+function setFieldError(fieldId, message) {
+    const errorEl = document.getElementById(`${fieldId}-error`);
+    const inputEl = document.getElementById(fieldId);
+    
+    if (errorEl) {
+        errorEl.textContent = message;
+    }
+    
+    // Add or remove error class from input
+    if (inputEl) {
+        if (message) {
+            inputEl.classList.add('error');
+        } else {
+            inputEl.classList.remove('error');
+        }
+    }
+}
+
+/**
+ * Show how strong the password in a field is. The meter element has the
+ * field's id plus "-strength".
+ * @param {string} fieldId - Password field ID
+ * @param {string} email - Account email, which the password shouldn't contain
+ */
+function updatePasswordStrengthMeter(fieldId, email) {
+    const meter = document.getElementById(`${fieldId}-strength`);
+    const input = document.getElementById(fieldId);
+    if (!meter || !input) return;
+    
+    if (!input.value) {
+        meter.classList.add('hidden');
+        return;
+    }
+    
+    const { score, label } = checkPasswordStrength(input.value, email);
+    meter.classList.remove('hidden');
+    meter.dataset.score = score;
+    meter.querySelector('.password-strength-label').textContent = `Strength: ${label}`;
+}
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid
+ */
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Validate URL format (supports http/https URLs, data URLs and image store references)
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid
+ */
+function isValidUrl(url) {
+    if (!url) return false;
+    
+    // Check for data URL or stored image
+    if (url.startsWith('data:image/') || isImageRef(url)) {
+        return true;
+    }
+    
+    // Check for regular URL
+    try {
+        new URL(url);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================
+// Navigation & Routing
+// ============================================
+
+/**
+ * Navigate to a route
+ * @param {string} path - Route path
+ */
+function navigateTo(path) {
+    window.location.hash = path;
+}
+
+/**
+ * Send the visitor to the login page, remembering the page they were on
+ */
+function redirectToLogin() {
+    const hash = window.location.hash.slice(1) || '/';
+    navigateTo(`/login?redirect=${encodeURIComponent(hash)}`);
+}
+
+/**
+ * Get the page to return to after logging in
+ * @returns {string} Route path (with query) from the redirect parameter, or '/'
+ */
+function getLoginRedirect() {
+    const queryPart = (window.location.hash.slice(1) || '/').split('?')[1] || '';
+    const target = new URLSearchParams(queryPart).get('redirect') || '/';
+    const routeName = ROUTES[target.split('?')[0]];
+    
+    // Only follow in-app routes, and never back to an auth page
+    if (!routeName || routeName === 'login' || routeName === 'register') {
+        return '/';
+    }
+    return target;
+}
+
+/**
+ * Check whether the current user's role allows a route
+ * @param {string} routeName - Route name
+ * @returns {boolean} True if allowed
+ */
+function canAccessRoute(routeName) {
+    const permission = ROUTE_PERMISSIONS[routeName];
+    return !permission || hasPermission(getCurrentUser(), permission);
+}
+
+/**
+ * Get the name of the route for the current hash
+ * @returns {string} Route name
+ */
+function getCurrentRouteName() {
+    const hash = window.location.hash.slice(1) || '/';
+    // Extract route path without query string (hash routes have query in hash)
+    const routePath = hash.split('?')[0];
+    return ROUTES[routePath] || 'browse';
+}
+
+/**
+ * Get the query parameters of the current hash route
+ * @returns {URLSearchParams} Parameters after '?' in the hash
+ */
+function getRouteParams() {
+    const hash = window.location.hash.slice(1) || '/';
+    return new URLSearchParams(hash.split('?')[1] || '');
+}
+
+/**
+ * Read the browse state from the hash query, e.g. #/?tag=pricing&q=hero&sort=votes&page=2
+ * @returns {Object} { tag, category, query, sort, page }; tag and category
+ *   are null when not filtering on them, page counts the pages listed
+ */
+function getBrowseFilters() {
+    const params = getRouteParams();
+    const tag = normalizeTag(params.get('tag') || '');
+    const category = params.get('category');
+    const sort = params.get('sort');
+    const page = parseInt(params.get('page'), 10);
+    return {
+        tag: tag || null,
+        category: TEST_CATEGORIES.includes(category) ? category : null,
+        query: (params.get('q') || '').trim().slice(0, SEARCH_QUERY_MAX_LENGTH),
+        sort: BROWSE_SORTS.includes(sort) ? sort : DEFAULT_BROWSE_SORT,
+        page: page > 1 ? page : 1
+    };
+}
+
+/**
+ * Build the browse route for a browse state, leaving out defaults
+ * @param {Object} filters - Browse state; missing fields use their defaults
+ * @returns {string} Route path such as '/?tag=pricing'
+ */
+function buildBrowsePath(filters) {
+    const params = new URLSearchParams();
+    if (filters.tag) params.set('tag', filters.tag);
+    if (filters.category) params.set('category', filters.category);
+    if (filters.query) params.set('q', filters.query);
+    if (filters.sort && filters.sort !== DEFAULT_BROWSE_SORT) params.set('sort', filters.sort);
+    if (filters.page > 1) params.set('page', filters.page);
+    const query = params.toString();
+    return query ? `/?${query}` : '/';
+}
+
+/**
+ * Put a browse state in the hash without a history entry and re-render
+ * browse. Unlike navigateTo() this keeps focus where it is, e.g. in the
+ * search box.
+ * @param {Object} filters - Browse state
+ */
+function updateBrowseRoute(filters) {
+    history.replaceState(null, '', `#${buildBrowsePath(filters)}`);
+    renderBrowseView(filters);
+}
+
+/**
+ * Re-render the current view after data changed outside this tab,
+ * without re-running one-off route actions such as share imports
+ */
+function refreshCurrentView() {
+    endExpiredSession();
+    
+    const routeName = getCurrentRouteName();
+    const isLoggedIn = isAuthenticated();
+    
+    updateNavigation();
+    
+    if (PROTECTED_ROUTES.includes(routeName) && !isLoggedIn) {
+        redirectToLogin();
+        return;
+    }
+    
+    if (!canAccessRoute(routeName)) {
+        navigateTo('/');
+        return;
+    }
+    
+    if ((routeName === 'login' || routeName === 'register') && isLoggedIn) {
+        navigateTo(getLoginRedirect());
+        return;
+    }
+    
+    switch(routeName) {
+        case 'browse':
+            renderBrowseView(getBrowseFilters());
+            break;
+        case 'dashboard':
+            renderDashboardView();
+            break;
+        case 'storage':
+            renderStorageView();
+            break;
+        case 'moderation':
+            renderModerationView();
+            break;
+        case 'workspaces':
+            renderWorkspacesView();
+            break;
+        case 'series':
+            renderSeriesView();
+            break;
+    }
+}
+
+/**
+ * Handle route changes
+ */
+function handleRoute() {
+    const routeName = getCurrentRouteName();
+    
+    // Drop a session that expired while the app was idle
+    endExpiredSession();
+    
+    // Protected routes require authentication; come back here after login
+    if (PROTECTED_ROUTES.includes(routeName) && !isAuthenticated()) {
+        redirectToLogin();
+        return;
+    }
+    
+    // Some routes also need a role permission
+    if (!canAccessRoute(routeName)) {
+        showError('You do not have permission to view that page');
+        navigateTo('/');
+        return;
+    }
+    
+    // Redirect logged-in users away from auth pages
+    if ((routeName === 'login' || routeName === 'register') && isAuthenticated()) {
+        navigateTo(getLoginRedirect());
+        return;
+    }
+    
+    showView(`${routeName}-view`);
+    updateNavigation();
+    
+    // Handle share route with query parameters (in hash)
+    if (routeName === 'share') {
+        const data = getRouteParams().get('data');
+        if (data) {
+            handleSharedTest(data);
+        } else {
+            showError('Invalid share link');
+            navigateTo('/');
+        }
+        return;
+    }
+    
+    // Load view-specific data
+    switch(routeName) {
+        case 'browse':
+            renderBrowseView(getBrowseFilters());
+            break;
+        case 'create':
+            renderCreateView();
+            break;
+        case 'dashboard':
+            renderDashboardView();
+            break;
+        case 'storage':
+            renderStorageView();
+            break;
+        case 'profile':
+            renderProfileView();
+            break;
+        case 'settings':
+            renderSettingsView();
+            break;
+        case 'moderation':
+            renderModerationView();
+            break;
+        case 'workspaces':
+            renderWorkspacesView();
+            break;
+        case 'series':
+            renderSeriesView();
+            break;
+    }
+}
+
+/**
+ * Update navigation based on authentication state
+ */
+function updateNavigation() {
+    const isLoggedIn = isAuthenticated();
+    const currentUser = getCurrentUser();
+    const canCreate = hasPermission(currentUser, 'create');
+    const canModerate = hasPermission(currentUser, 'moderate');
+    
+    // Show/hide navigation items
+    document.getElementById('create-nav-item').classList.toggle('hidden', !canCreate);
+    document.getElementById('dashboard-nav-item').classList.toggle('hidden', !isLoggedIn);
+    document.getElementById('profile-nav-item').classList.toggle('hidden', !isLoggedIn);
+    document.getElementById('login-nav-item').classList.toggle('hidden', isLoggedIn);
+    document.getElementById('register-nav-item').classList.toggle('hidden', isLoggedIn);
+    
+    // Update mobile menu items
+    const mobileCreate = document.getElementById('mobile-create-nav-item');
+    const mobileDashboard = document.getElementById('mobile-dashboard-nav-item');
+    const mobileProfile = document.getElementById('mobile-profile-nav-item');
+    const mobileLogin = document.getElementById('mobile-login-nav-item');
+    const mobileRegister = document.getElementById('mobile-register-nav-item');
+    
+    if (mobileCreate) mobileCreate.classList.toggle('hidden', !canCreate);
+    if (mobileDashboard) mobileDashboard.classList.toggle('hidden', !isLoggedIn);
+    if (mobileProfile) mobileProfile.classList.toggle('hidden', !isLoggedIn);
+    if (mobileLogin) mobileLogin.classList.toggle('hidden', isLoggedIn);
+    if (mobileRegister) mobileRegister.classList.toggle('hidden', isLoggedIn);
+    
+    // Moderation console link for moderators and admins
+    document.querySelectorAll('.moderation-nav-item').forEach(item => {
+        item.classList.toggle('hidden', !canModerate);
+    });
+    
+    // Close profile dropdown when navigation updates
+    closeProfileDropdown();
+}
+
+// ============================================
+// View Rendering
+// ============================================
+
+/**
+ * Render the browse tests view: the first pages of tests matching the
+ * filters, search and sort order in the route
+ * @param {Object} filters - Browse state from the route (see getBrowseFilters())
+ */
+function renderBrowseView(filters = getBrowseFilters()) {
+    const container = document.getElementById('tests-grid');
+    const noTestsEl = document.getElementById('no-tests');
+    const authCtaSection = document.getElementById('auth-cta-section');
+    const allTests = getAllTests();
+    const currentUser = getCurrentUser();
+    const isLoggedIn = !!currentUser;
+    const tests = getBrowseResults(allTests, filters, getBrowseVoterId());
+    
+    // Show/hide CTA section based on authentication
+    if (authCtaSection) {
+        if (isLoggedIn) {
+            authCtaSection.classList.add('hidden');
+        } else {
+            authCtaSection.classList.remove('hidden');
+        }
+    }
+    
+    renderBrowseFilters(allTests, filters);
+    
+    if (tests.length === 0) {
+        container.innerHTML = '';
+        noTestsEl.innerHTML = allTests.length === 0
+            ? '<p>No tests available yet.</p>'
+            : '<p>No tests match these filters.</p><a href="#/" class="btn btn-secondary">Show all tests</a>';
+        noTestsEl.classList.remove('hidden');
+        updateBrowsePager(0, 0);
+        return;
+    }
+    
+    noTestsEl.classList.add('hidden');
+    const shown = Math.min(tests.length, filters.page * BROWSE_PAGE_SIZE);
+    updateBrowseCards(container, tests.slice(0, shown));
+    updateBrowsePager(shown, tests.length);
+}
+
+/**
+ * Get the id the viewer votes with on browse: their user id, or this
+ * device's guest id when logged out
+ * @returns {string|null} Voter ID (null for a guest who never voted)
+ */
+function getBrowseVoterId() {
+    const currentUser = getCurrentUser();
+    return currentUser ? currentUser.id : getGuestVoterId();
+}
+
+/**
+ * Render a test card for the browse view
+ * @param {Object} test - Test object
+ * @param {string|null} userId - Logged-in user ID
+ * @param {string|null} guestId - This device's guest voter ID when logged out
+ * @returns {string} HTML string
+ */
+function renderBrowseCard(test, userId, guestId) {
+    // Logged-out visitors vote as this device's guest on tests that allow it
+    const canVote = !!userId || test.allowGuestVotes;
+    const voterId = userId || (test.allowGuestVotes ? guestId : null);
+    const userVote = voterId && test.votes[voterId] ? test.votes[voterId] : null;
+    const hasVoted = !!userVote;
+    const status = getTestStatus(test);
+    
+    return `
+        <article class="test-card" role="listitem" data-test-id="${escapeHtml(test.id)}">
+            <div class="test-card-header">
+                <div class="test-title-group">
+                    <h3>${escapeHtml(test.title)}</h3>
+                    ${renderSubmitter(test.userId)}
+                    ${status !== 'running' ? renderTestStatusBadge(status) : ''}
+                    ${renderTestTags(test)}
+                </div>
+                <div class="test-card-actions">
+                    <button class="share-button" data-test-id="${escapeHtml(test.id)}" aria-label="Share this test" title="Share test">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <circle cx="18" cy="5" r="3"></circle>
+                            <circle cx="6" cy="12" r="3"></circle>
+                            <circle cx="18" cy="19" r="3"></circle>
+                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
+                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
+                        </svg>
+                    </button>
+                    ${userId && test.userId !== userId ? `
+                        <button class="report-button" data-test-id="${escapeHtml(test.id)}" aria-label="Report this test" title="${hasUserReported(test, userId) ? 'You reported this test' : 'Report test'}" ${hasUserReported(test, userId) ? 'disabled' : ''}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"></path>
+                                <line x1="4" y1="22" x2="4" y2="15"></line>
+                            </svg>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            ${renderTestIntro(test)}
+            ${renderTestVariants(test)}
+            ${status === 'closed' ? renderFinalResults(test, userVote) : status === 'paused' ? `
+                <div class="already-voted" role="status">
+                    Voting is paused${hasVoted ? `. You voted for option ${escapeHtml(getVariantLabel(test, userVote))}` : ''}
+                </div>
+            ` : canVote ? (
+                hasVoted ? `
+                    <div class="already-voted" role="status" aria-live="polite">
+                        You voted for option ${escapeHtml(getVariantLabel(test, userVote))}
+                    </div>
+                ` : `
+                    <div class="vote-buttons${test.variants.length > 2 ? ' vote-buttons-multi' : ''}">
+                        ${test.variants.map(variant => `
+                            <button class="vote-button" data-test-id="${escapeHtml(test.id)}" data-option="${variant.id}" aria-label="Vote for option ${escapeHtml(variant.label)}">
+                                Vote ${escapeHtml(variant.label)}
+                            </button>
+                        `).join('')}
+                    </div>
+                    ${userId ? '' : '<p class="guest-vote-note">Voting as a guest. <a href="#/login">Log in</a> to vote with your account.</p>'}
+                `
+            ) : `
+                <div class="already-voted">
+                    <a href="#/login">Login to vote</a>
+                </div>
+            `}
+        </article>
+    `;
+}
+
+/**
+ * Build browse card elements with their handlers attached
+ * @param {Array<string>} markup - Card HTML from renderBrowseCard(), one per card
+ * @returns {Array<HTMLElement>} Card elements
+ */
+function createBrowseCards(markup) {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = markup.join('');
+    attachBrowseCardHandlers(wrapper);
+    resolveImageRefs(wrapper);
+    
+    const cards = [...wrapper.children];
+    cards.forEach((card, index) => browseCardMarkup.set(card, markup[index]));
+    return cards;
+}
+
+/**
+ * Get who the browse cards are rendered for: the logged-in user, or this
+ * device's guest voter id when logged out
+ * @returns {Object} { userId, guestId }
+ */
+function getBrowseCardViewer() {
+    const currentUser = getCurrentUser();
+    const userId = currentUser ? currentUser.id : null;
+    return { userId, guestId: userId ? null : getGuestVoterId() };
+}
+
+/**
+ * Add test cards to the end of the browse grid, leaving the cards already
+ * there untouched
+ * @param {HTMLElement} container - Browse grid
+ * @param {Array<Object>} tests - Tests to add
+ */
+function appendBrowseCards(container, tests) {
+    const { userId, guestId } = getBrowseCardViewer();
+    container.append(...createBrowseCards(tests.map(test => renderBrowseCard(test, userId, guestId))));
+}
+
+/**
+ * Make the browse grid show exactly these tests in this order. Cards whose
+ * markup hasn't changed are kept as they are (with their loaded images and
+ * focus), so a sync or a vote elsewhere only rebuilds the cards it changed.
+ * @param {HTMLElement} container - Browse grid
+ * @param {Array<Object>} tests - Tests to show
+ */
+function updateBrowseCards(container, tests) {
+    const { userId, guestId } = getBrowseCardViewer();
+    const existing = new Map([...container.children].map(card => [card.dataset.testId, card]));
+    let previous = null;
+    
+    tests.forEach(test => {
+        const markup = renderBrowseCard(test, userId, guestId);
+        let card = existing.get(test.id);
+        existing.delete(test.id);
+        if (!card || browseCardMarkup.get(card) !== markup) {
+            const [fresh] = createBrowseCards([markup]);
+            if (card) {
+                card.replaceWith(fresh);
+            }
+            card = fresh;
+        }
+        
+        const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (card !== expected) {
+            container.insertBefore(card, expected);
+        }
+        previous = card;
+    });
+    
+    existing.forEach(card => card.remove());
+}
+
+/**
+ * Re-render one browse card in place, e.g. after a vote
+ * @param {string} testId - Test ID
+ */
+function refreshBrowseCard(testId) {
+    const card = document.querySelector(`#tests-grid .test-card[data-test-id="${CSS.escape(testId)}"]`);
+    const test = getTestById(testId);
+    if (!card || !test) {
+        renderBrowseView();
+        return;
+    }
+    
+    const { userId, guestId } = getBrowseCardViewer();
+    const [fresh] = createBrowseCards([renderBrowseCard(test, userId, guestId)]);
+    card.replaceWith(fresh);
+}
+
+/**
+ * Attach the vote, share and report handlers of rendered browse cards
+ * @param {HTMLElement} root - Element containing the cards
+ */
+function attachBrowseCardHandlers(root) {
+    // Attach vote button handlers
+    root.querySelectorAll('.vote-button').forEach(button => {
+        button.addEventListener('click', handleVote);
+    });
+    
+    // Attach share button handlers
+    root.querySelectorAll('.share-button').forEach(button => {
+        button.addEventListener('click', handleShare);
+    });
+    
+    // Attach report button handlers
+    root.querySelectorAll('.report-button').forEach(button => {
+        button.addEventListener('click', showReportModal);
+    });
+}
+
+/**
+ * Show how many tests are listed and whether more can be loaded
+ * @param {number} shown - Tests in the grid
+ * @param {number} total - Tests matching the filters
+ */
+function updateBrowsePager(shown, total) {
+    const count = document.getElementById('browse-result-count');
+    count.textContent = total === 0 ? '' : `Showing ${shown} of ${total} test${total === 1 ? '' : 's'}`;
+    document.getElementById('browse-load-more').classList.toggle('hidden', shown >= total);
+}
+
+/**
+ * Render the browse filter bar: search box, sort order, category picker and
+ * the tags in use, each linking to the filtered browse route
+ * @param {Array<Object>} tests - Every test on browse
+ * @param {Object} filters - Active browse state (see getBrowseFilters())
+ */
+function renderBrowseFilters(tests, filters) {
+    const searchInput = document.getElementById('browse-search');
+    const sortSelect = document.getElementById('browse-sort');
+    const categorySelect = document.getElementById('browse-category-filter');
+    const tagBar = document.getElementById('tag-filter-bar');
+    
+    // Don't rewrite the query under the cursor while the user types
+    if (document.activeElement !== searchInput) {
+        searchInput.value = filters.query;
+    }
+    sortSelect.value = filters.sort;
+    
+    categorySelect.innerHTML = `
+        <option value="">All categories</option>
+        ${TEST_CATEGORIES.map(category => `
+            <option value="${category}" ${category === filters.category ? 'selected' : ''}>${escapeHtml(TEST_CATEGORY_LABELS[category])}</option>
+        `).join('')}
+    `;
+    
+    // The active tag stays listed even when no test in view uses it any more
+    const tags = countTags(tests);
+    if (filters.tag && !tags.some(([tag]) => tag === filters.tag)) {
+        tags.unshift([filters.tag, 0]);
+    }
+    tagBar.innerHTML = tags.length === 0 ? '' : `
+        <a href="#${buildBrowsePath({ ...filters, tag: null, page: 1 })}" class="tag-chip${filters.tag ? '' : ' active'}" ${filters.tag ? '' : 'aria-current="true"'}>All tags</a>
+        ${tags.map(([tag, count]) => `
+            <a href="#${buildBrowsePath({ ...filters, tag, page: 1 })}" class="tag-chip${tag === filters.tag ? ' active' : ''}" ${tag === filters.tag ? 'aria-current="true"' : ''}>#${escapeHtml(tag)} <span class="tag-count">${count}</span></a>
+        `).join('')}
+    `;
+}
+
+/**
+ * Render a test's category and tags, each tag linking to browse filtered on it
+ * @param {Object} test - Test object
+ * @returns {string} HTML string
+ */
+function renderTestTags(test) {
+    const tags = test.tags || [];
+    return `
+        <p class="test-tags">
+            <a href="#${buildBrowsePath({ tag: null, category: normalizeCategory(test.category) })}" class="test-category">${escapeHtml(TEST_CATEGORY_LABELS[normalizeCategory(test.category)])}</a>
+            ${tags.map(tag => `<a href="#${buildBrowsePath({ tag, category: null })}" class="tag-chip">#${escapeHtml(tag)}</a>`).join('')}
+        </p>
+    `;
+}
+
+/**
+ * Render the create view: a blank form, or an existing test's values when
+ * the route has ?edit=<test id>
+ */
+function renderCreateView() {
+    const params = getRouteParams();
+    const editId = params.get('edit');
+    const duplicateId = params.get('duplicate');
+    const currentUser = getCurrentUser();
+    
+    if (duplicateId) {
+        const source = getTestById(duplicateId);
+        if (!source || source.deleted || !hasTestPermission(currentUser.id, source, 'view')) {
+            showError('Test not found');
+            navigateTo('/dashboard');
+            return;
+        }
+        fillCreateForm(source);
+        setCreateFormMode(null, source.id);
+        return;
+    }
+    
+    if (!editId) {
+        // Coming back from an edit or duplicate: don't leave its values in the form
+        if (editingTestId || duplicatingTestId) {
+            resetCreateForm();
+        }
+        return;
+    }
+    
+    const test = getTestById(editId);
+    if (!test || test.deleted) {
+        showError('Test not found');
+        navigateTo('/dashboard');
+        return;
+    }
+    if (!hasTestPermission(currentUser.id, test, 'edit')) {
+        showError('You do not have permission to edit this test');
+        navigateTo('/dashboard');
+        return;
+    }
+    
+    fillCreateForm(test);
+    setCreateFormMode(test.id);
+}
+
+/**
+ * Put a test's title, question, description, category, tags, variants and
+ * guest voting setting into the create form
+ * @param {Object} test - Test object
+ */
+function fillCreateForm(test) {
+    const form = document.getElementById('create-test-form');
+    form.reset();
+    clearFormErrors(form);
+    
+    document.getElementById('test-title').value = test.title;
+    document.getElementById('preview-title').textContent = test.title;
+    document.getElementById('test-question').value = test.question || '';
+    document.getElementById('test-description').value = test.description || '';
+    document.getElementById('test-allow-guests').checked = test.allowGuestVotes === true;
+    document.getElementById('test-category').value = normalizeCategory(test.category);
+    document.getElementById('test-tags').value = (test.tags || []).join(', ');
+    
+    // Default labels are left empty so the placeholder shows
+    renderVariantFields(test.variants.map(variant => ({
+        type: isTextVariant(variant) ? 'text' : 'image',
+        label: variant.label === variant.id ? '' : variant.label,
+        caption: variant.caption || '',
+        image: variant.image || '',
+        text: variant.text || ''
+    })));
+}
+
+/**
+ * Switch the create form between creating a test and editing one
+ * @param {string|null} testId - Test being edited, or null to create
+ * @param {string|null} duplicateOf - Test the new one duplicates, when creating
+ */
+function setCreateFormMode(testId, duplicateOf = null) {
+    editingTestId = testId;
+    duplicatingTestId = testId === null ? duplicateOf : null;
+    const editing = testId !== null;
+    
+    let heading = 'Create A/B Test';
+    if (editing) {
+        heading = 'Edit Test';
+    } else if (duplicatingTestId) {
+        heading = 'Duplicate Test';
+    }
+    document.getElementById('create-heading').textContent = heading;
+    document.getElementById('create-submit-btn').textContent = editing ? 'Save Changes' : 'Create Test';
+    document.getElementById('cancel-edit-link').classList.toggle('hidden', !editing && !duplicatingTestId);
+    // Scheduling is managed from the dashboard once a test exists
+    document.getElementById('schedule-fieldset').classList.toggle('hidden', editing);
+}
+
+/**
+ * Clear the create form and leave edit mode
+ */
+function resetCreateForm() {
+    const form = document.getElementById('create-test-form');
+    form.reset();
+    clearFormErrors(form);
+    document.getElementById('preview-title').textContent = 'Preview';
+    resetVariantFields();
+    setCreateFormMode(null);
+}
+
+/**
+ * Render the revision history of a test, newest first
+ * @param {Object} test - Test object
+ * @returns {string} HTML string (empty when the test was never edited)
+ */
+function renderRevisionHistory(test) {
+    const revisions = test.revisions || [];
+    if (revisions.length === 0) {
+        return '';
+    }
+    
+    return `
+        <details class="revision-history">
+            <summary>History (${revisions.length} revision${revisions.length === 1 ? '' : 's'})</summary>
+            <ol class="revision-list">
+                ${revisions.slice().reverse().map(revision => `
+                    <li>
+                        <p class="revision-meta">
+                            <time datetime="${new Date(revision.at).toISOString()}">${new Date(revision.at).toLocaleString()}</time>
+                            by ${escapeHtml(getDisplayName(getUserById(revision.userId)))}
+                        </p>
+                        <ul>
+                            ${revision.changes.map(change => `<li>${escapeHtml(describeRevisionChange(change))}</li>`).join('')}
+                            ${revision.votesReset ? '<li>Votes reset</li>' : ''}
+                        </ul>
+                    </li>
+                `).join('')}
+            </ol>
+        </details>
+    `;
+}
+
+const SERIES_OUTCOME_LABELS = {
+    none: 'No votes yet',
+    tie: 'Tied',
+    first: 'First winner',
+    kept: 'Previous winner held on',
+    new: 'New winner'
+};
+
+/**
+ * Render the experiment series view: every round of the series the test in
+ * the route belongs to, with its votes and how the winner evolved
+ */
+function renderSeriesView() {
+    const container = document.getElementById('series-rounds');
+    const intro = document.getElementById('series-intro');
+    const currentUser = getCurrentUser();
+    const testId = getRouteParams().get('id');
+    const test = testId ? getTestById(testId) : null;
+    
+    if (!test || test.deleted || !hasTestPermission(currentUser.id, test, 'view')) {
+        showError('Test not found');
+        navigateTo('/dashboard');
+        return;
+    }
+    
+    // Rounds in workspaces the user can't see are left out
+    const rounds = summarizeSeries(getTestSeries(test.id))
+        .filter(round => hasTestPermission(currentUser.id, round.test, 'view'));
+    intro.textContent = `${rounds.length} round${rounds.length === 1 ? '' : 's'}, starting with "${rounds[0].test.title}"`;
+    
+    container.innerHTML = rounds.map((round, index) => `
+        <li class="dashboard-card series-round${round.test.id === test.id ? ' series-round-current' : ''}">
+            <div class="series-round-header">
+                <h2>Round ${index + 1}: ${escapeHtml(round.test.title)}</h2>
+                ${renderTestStatusBadge(getTestStatus(round.test))}
+            </div>
+            <p class="series-round-meta">
+                Created <time datetime="${new Date(round.test.createdAt).toISOString()}">${new Date(round.test.createdAt).toLocaleDateString()}</time>
+                &middot; ${round.votes.total} vote${round.votes.total === 1 ? '' : 's'}
+                ${round.votes.total > 0 ? `&middot; ${formatVoteCounts(round.test, round.votes)}` : ''}
+            </p>
+            <div class="series-winner">
+                <p class="series-outcome series-outcome-${round.outcome}">${SERIES_OUTCOME_LABELS[round.outcome]}</p>
+                ${round.leaders.length === 1 ? `
+                    ${renderTestVariants({ title: round.test.title, variants: round.leaders })}
+                ` : ''}
+                ${round.leaders.length > 1 ? `
+                    <p>${round.leaders.map(variant => escapeHtml(variant.label)).join(', ')}</p>
+                ` : ''}
+            </div>
+        </li>
+    `).join('');
+    
+    resolveImageRefs(container);
+}
+
+/**
+ * Render the dashboard view
+ */
+function renderDashboardView() {
+    const container = document.getElementById('dashboard-tests');
+    const noTestsEl = document.getElementById('no-user-tests');
+    const currentUser = getCurrentUser();
+    
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    renderWorkspaceSwitcher(currentUser.id);
+    const userTests = getUserTests(currentUser.id);
+    const canCreate = hasPermission(currentUser, 'create');
+    
+    if (userTests.length === 0) {
+        container.innerHTML = '';
+        noTestsEl.classList.remove('hidden');
+        updateBulkBar('active', []);
+        renderDeletedTestsView();
+        return;
+    }
+    
+    noTestsEl.classList.add('hidden');
+    
+    const seriesRounds = countSeriesRounds(getTests());
+    container.innerHTML = userTests.map(test => {
+        const breakdown = getVoteBreakdown(test);
+        const canDelete = hasTestPermission(currentUser.id, test, 'delete');
+        const canEdit = hasTestPermission(currentUser.id, test, 'edit');
+        const schedule = formatTestSchedule(test);
+        const rounds = seriesRounds.get(test.id);
+        
+        return `
+            <article class="dashboard-card" role="listitem" data-test-id="${escapeHtml(test.id)}">
+                <div class="test-card-content">
+                    <div class="test-card-header">
+                        ${renderTestSelectCheckbox(test, 'active')}
+                        <div class="test-title-group">
+                            <h3>${escapeHtml(test.title)}</h3>
+                            ${renderSubmitter(test.userId)}
+                            ${renderTestStatusBadge(getTestStatus(test))}
+                            ${renderTestTags(test)}
+                        </div>
+                        <div class="test-card-actions">
+                            <button class="share-button" data-test-id="${escapeHtml(test.id)}" aria-label="Share this test" title="Share test">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <circle cx="18" cy="5" r="3"></circle>
+                                    <circle cx="6" cy="12" r="3"></circle>
+                                    <circle cx="18" cy="19" r="3"></circle>
+                                    <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
+                                    <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
+                                </svg>
+                            </button>
+                            ${canDelete ? `
+                                <button class="delete-button" data-test-id="${escapeHtml(test.id)}" aria-label="Delete this test" title="Delete test">
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                        <polyline points="3 6 5 6 21 6"></polyline>
+                                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                                        <line x1="10" y1="11" x2="10" y2="17"></line>
+                                        <line x1="14" y1="11" x2="14" y2="17"></line>
+                                    </svg>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                    ${test.hidden ? `
+                        <p class="moderation-notice" role="status">Hidden by a moderator: ${escapeHtml(test.hiddenReason || 'no reason given')}</p>
+                    ` : ''}
+                    ${renderTestIntro(test)}
+                    ${renderTestVariants(test)}
+                    ${renderVoteStats(test)}
+                    <dl class="vote-breakdown">
+                        <div>
+                            <dt>Registered votes</dt>
+                            <dd>${formatVoteCounts(test, breakdown.registered)}</dd>
+                        </div>
+                        <div>
+                            <dt>Guest votes</dt>
+                            <dd>${formatVoteCounts(test, breakdown.guest)}</dd>
+                        </div>
+                    </dl>
+                    <label class="guest-voting-toggle">
+                        <input type="checkbox" class="guest-voting-checkbox" data-test-id="${escapeHtml(test.id)}" ${test.allowGuestVotes ? 'checked' : ''} ${canEdit ? '' : 'disabled'}>
+                        Allow guest votes
+                    </label>
+                    <div class="test-lifecycle">
+                        ${schedule ? `<p class="test-schedule">${schedule}</p>` : ''}
+                        ${canEdit ? `
+                            <div class="test-lifecycle-actions">
+                                <a href="#/create?edit=${escapeHtml(test.id)}" class="btn btn-secondary">Edit</a>
+                                ${getTestLifecycleActions(test).map(action => `
+                                    <button class="btn btn-secondary lifecycle-button" data-test-id="${escapeHtml(test.id)}" data-action="${action}">${TEST_LIFECYCLE_ACTIONS[action].label}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    ${canCreate || rounds > 1 ? `
+                        <div class="test-series-links">
+                            ${canCreate ? `<a href="#/create?duplicate=${escapeHtml(test.id)}" class="btn btn-secondary">Duplicate</a>` : ''}
+                            ${rounds > 1 ? `<a href="#/series?id=${escapeHtml(test.id)}" class="series-link">Experiment series (${rounds} rounds)</a>` : ''}
+                        </div>
+                    ` : ''}
+                    ${renderRevisionHistory(test)}
+                </div>
+            </article>
+        `;
+    }).join('');
+    
+    resolveImageRefs(container);
+    
+    // Attach share button handlers
+    container.querySelectorAll('.share-button').forEach(button => {
+        button.addEventListener('click', handleShare);
+    });
+    
+    // Attach delete button handlers
+    container.querySelectorAll('.delete-button').forEach(button => {
+        button.addEventListener('click', showDeleteModal);
+    });
+    
+    // Attach guest voting toggles
+    container.querySelectorAll('.guest-voting-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', handleGuestVotingToggle);
+    });
+    
+    // Attach publish/pause/resume/close buttons
+    container.querySelectorAll('.lifecycle-button').forEach(button => {
+        button.addEventListener('click', handleTestLifecycleAction);
+    });
+    
+    attachTestSelectHandlers(container);
+    updateBulkBar('active', userTests);
+    
+    // Render deleted tests tab (only if deleted tab is active or will be shown)
+    renderDeletedTestsView();
+    updateDeletedTabCount();
+}
+
+// Tests selected for a bulk action on each dashboard tab
+const selectedTestIds = {
+    active: new Set(),
+    deleted: new Set()
+};
+
+/**
+ * Render the checkbox that selects a dashboard card for bulk actions
+ * @param {Object} test - Test object
+ * @param {string} panel - 'active' or 'deleted'
+ * @returns {string} HTML string
+ */
+function renderTestSelectCheckbox(test, panel) {
+    return `
+        <input type="checkbox" class="test-select-checkbox" data-test-id="${escapeHtml(test.id)}" data-panel="${panel}" ${selectedTestIds[panel].has(test.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(test.title)}">
+    `;
+}
+
+/**
+ * Attach the selection checkbox handlers of rendered dashboard cards
+ * @param {HTMLElement} container - Element containing the cards
+ */
+function attachTestSelectHandlers(container) {
+    container.querySelectorAll('.test-select-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', handleTestSelect);
+    });
+}
+
+/**
+ * Drop selected tests that are no longer listed and update a tab's bulk
+ * action bar: selection count, select-all state and which actions are enabled
+ * @param {string} panel - 'active' or 'deleted'
+ * @param {Array<Object>} tests - Tests listed on the tab
+ */
+function updateBulkBar(panel, tests) {
+    const bar = document.getElementById(`${panel}-bulk-bar`);
+    if (!bar) return;
+    
+    const listed = new Set(tests.map(test => test.id));
+    const selected = selectedTestIds[panel];
+    selected.forEach(testId => {
+        if (!listed.has(testId)) {
+            selected.delete(testId);
+        }
+    });
+    
+    bar.classList.toggle('hidden', tests.length === 0);
+    const selectAll = bar.querySelector('.bulk-select-all input');
+    selectAll.checked = tests.length > 0 && selected.size === tests.length;
+    selectAll.indeterminate = selected.size > 0 && selected.size < tests.length;
+    bar.querySelector('.bulk-count').textContent = selected.size > 0 ? `${selected.size} selected` : '';
+    bar.querySelectorAll('.bulk-action-btn').forEach(button => {
+        button.disabled = selected.size === 0;
+    });
+}
+
+/**
+ * Fill the dashboard's workspace switcher
+ * @param {string} userId - User ID
+ */
+function renderWorkspaceSwitcher(userId) {
+    const switcher = document.getElementById('workspace-switcher');
+    if (!switcher) return;
+    
+    const active = getActiveWorkspace(userId);
+    switcher.innerHTML = getUserWorkspaces(userId).map(workspace => `
+        <option value="${escapeHtml(workspace.id)}" ${active && workspace.id === active.id ? 'selected' : ''}>${escapeHtml(workspace.name)}</option>
+    `).join('');
+}
+
+/**
+ * Update deleted tests tab count badge
+ */
+function updateDeletedTabCount() {
+    const deletedTab = document.getElementById('deleted-tests-tab');
+    const currentUser = getCurrentUser();
+    
+    if (deletedTab && currentUser) {
+        const deletedTests = getDeletedUserTests(currentUser.id);
+        const count = deletedTests.length;
+        
+        // Remove existing badge if any
+        const existingBadge = deletedTab.querySelector('.tab-badge');
+        if (existingBadge) {
+            existingBadge.remove();
+        }
+        
+        // Add badge if there are deleted tests
+        if (count > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'tab-badge';
+            badge.textContent = count;
+            deletedTab.appendChild(badge);
+        }
+    }
+}
+
+/**
+ * Render deleted tests view
+ */
+function renderDeletedTestsView() {
+    const container = document.getElementById('dashboard-deleted-tests');
+    const noDeletedTestsEl = document.getElementById('no-deleted-tests');
+    const currentUser = getCurrentUser();
+    
+    if (!currentUser || !container) {
+        return;
+    }
+    
+    const deletedTests = getDeletedUserTests(currentUser.id);
+    const retentionDays = getTrashRetentionDays();
+    const canEmpty = deletedTests.some(test => hasTestPermission(currentUser.id, test, 'delete'));
+    document.getElementById('trash-retention-note').textContent =
+        `Deleted tests you may delete are permanently deleted after ${retentionDays} day${retentionDays === 1 ? '' : 's'}.`;
+    document.getElementById('dashboard-empty-trash-btn').classList.toggle('hidden', !canEmpty);
+    
+    if (deletedTests.length === 0) {
+        container.innerHTML = '';
+        if (noDeletedTestsEl) noDeletedTestsEl.classList.remove('hidden');
+        updateBulkBar('deleted', []);
+        return;
+    }
+    
+    if (noDeletedTestsEl) noDeletedTestsEl.classList.add('hidden');
+    
+    container.innerHTML = deletedTests.map(test => {
+        return `
+            <article class="dashboard-card deleted-test-card" role="listitem" data-test-id="${escapeHtml(test.id)}">
+                <div class="test-card-header">
+                    ${renderTestSelectCheckbox(test, 'deleted')}
+                    <div class="test-title-group">
+                        <h3>${escapeHtml(test.title)}</h3>
+                        ${renderSubmitter(test.userId)}
+                    </div>
+                </div>
+                ${hasTestPermission(currentUser.id, test, 'delete') ? `<p class="purge-countdown">${formatPurgeCountdown(getDaysUntilPurge(test))}</p>` : ''}
+                ${renderTestVariants(test)}
+                ${renderVoteStats(test)}
+                ${hasTestPermission(currentUser.id, test, 'delete') ? `
+                    <div class="deleted-test-actions">
+                        <button class="btn btn-restore" data-test-id="${escapeHtml(test.id)}">Restore</button>
+                        <button class="btn btn-delete-permanent" data-test-id="${escapeHtml(test.id)}">Delete Permanently</button>
+                    </div>
+                ` : ''}
+            </article>
+        `;
+    }).join('');
+    
+    resolveImageRefs(container);
+    
+    // Attach restore button handlers
+    container.querySelectorAll('.btn-restore').forEach(button => {
+        button.addEventListener('click', handleRestore);
+    });
+    
+    // Attach permanent delete button handlers
+    container.querySelectorAll('.btn-delete-permanent').forEach(button => {
+        button.addEventListener('click', handlePermanentDelete);
+    });
+    
+    attachTestSelectHandlers(container);
+    updateBulkBar('deleted', deletedTests);
+    
+    // Update tab count
+    updateDeletedTabCount();
+}
+
+/**
+ * Describe when a deleted test will be purged
+ * @param {number} days - Days left, from getDaysUntilPurge()
+ * @returns {string} Countdown text
+ */
+function formatPurgeCountdown(days) {
+    if (days === 0) {
+        return 'Will be permanently deleted the next time the app starts';
+    }
+    return `Will be permanently deleted in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the storage usage view
+ */
+async function renderStorageView() {
+    const summaryEl = document.getElementById('storage-summary');
+    const keysBody = document.getElementById('storage-keys-body');
+    const testsBody = document.getElementById('storage-tests-body');
+    const currentUser = getCurrentUser();
+    
+    if (!currentUser || !summaryEl || !keysBody || !testsBody) {
+        return;
+    }
+    
+    let usage;
+    try {
+        usage = await getStorageUsage();
+    } catch (error) {
+        console.error('Error measuring storage:', error);
+        summaryEl.textContent = 'Could not measure storage usage.';
+        return;
+    }
+    
+    const quotaText = usage.quota && usage.quota.quota
+        ? ` of about ${formatBytes(usage.quota.quota)} available to this site`
+        : '';
+    summaryEl.innerHTML = `
+        <span class="storage-total">${formatBytes(usage.totalBytes)}</span>
+        <span class="storage-total-label">used by tests, users and images${quotaText} (${escapeHtml(storageAdapter.name === 'indexeddb' ? 'IndexedDB' : 'localStorage')})</span>
+    `;
+    
+    keysBody.innerHTML = usage.keys.map(entry => `
+        <tr>
+            <td><code>${escapeHtml(entry.key)}</code></td>
+            <td class="storage-bytes">${formatBytes(entry.bytes)}</td>
+        </tr>
+    `).join('') + `
+        <tr>
+            <td>Images (${usage.images.count} files)</td>
+            <td class="storage-bytes">${formatBytes(usage.images.bytes)}</td>
+        </tr>
+    `;
+    
+    if (usage.tests.length === 0) {
+        testsBody.innerHTML = '<tr><td colspan="4" class="storage-empty">No tests stored.</td></tr>';
+    } else {
+        testsBody.innerHTML = usage.tests.map(entry => `
+            <tr class="${entry.flagged ? 'storage-row-flagged' : ''}">
+                <td>
+                    ${escapeHtml(entry.test.title)}
+                    ${entry.test.deleted ? '<span class="storage-tag">In trash</span>' : ''}
+                    ${entry.flagged ? '<span class="storage-tag storage-tag-large">Large images</span>' : ''}
+                </td>
+                <td class="storage-bytes">${formatBytes(entry.recordBytes)}</td>
+                <td class="storage-bytes">${formatBytes(entry.imageBytes)}</td>
+                <td class="storage-bytes">${formatBytes(entry.totalBytes)}</td>
+            </tr>
+        `).join('');
+    }
+    
+    renderSyncStatus();
+    
+    const trashCount = getDeletedUserTests(currentUser.id)
+        .filter(test => hasTestPermission(currentUser.id, test, 'delete')).length;
+    const trashBtn = document.getElementById('storage-empty-trash-btn');
+    if (trashBtn) {
+        trashBtn.disabled = trashCount === 0;
+        trashBtn.textContent = trashCount > 0 ? `Empty trash (${trashCount})` : 'Trash is empty';
+    }
+    document.getElementById('trash-retention-days').value = getTrashRetentionDays();
+}
+
+/**
+ * Render the team sync settings and status in the storage view
+ */
+function renderSyncStatus() {
+    const statusEl = document.getElementById('sync-status');
+    const endpointInput = document.getElementById('sync-endpoint');
+    if (!statusEl) return;
+    
+    const state = getSyncState();
+    const pending = getOutbox().length;
+    
+    if (endpointInput && document.activeElement !== endpointInput) {
+        endpointInput.value = state.endpoint || '';
+    }
+    
+    if (!state.endpoint) {
+        statusEl.textContent = pending > 0
+            ? `Sync is off. ${pending} change(s) are waiting to be sent.`
+            : 'Sync is off. Your tests are stored only in this browser.';
+        return;
+    }
+    
+    const parts = [];
+    parts.push(state.lastSyncedAt
+        ? `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}.`
+        : 'Not synced yet.');
+    if (pending > 0) {
+        parts.push(`${pending} change(s) waiting to be sent.`);
+    }
+    if (state.lastError) {
+        parts.push(`Last attempt failed: ${state.lastError}.`);
+    }
+    statusEl.textContent = parts.join(' ');
+}
+
+/**
+ * Render the avatar and name of a test's submitter
+ * @param {string} userId - Submitter's user ID
+ * @returns {string} HTML string
+ */
+function renderSubmitter(userId) {
+    const user = userId && !userId.startsWith('shared_') ? getUserById(userId) : null;
+    const bio = getUserProfile(user).bio;
+    
+    return `
+        <p class="test-submitter"${bio ? ` title="${escapeHtml(bio)}"` : ''}>
+            <img ${imageSrcAttribute(getAvatarSrc(user, userId || undefined))} alt="" class="avatar avatar-sm">
+            <span>${escapeHtml(getSubmitterInfo(userId))}</span>
+        </p>
+    `;
+}
+
+/**
+ * Render a test's variants (images or text snippets) with their labels
+ * @param {Object} test - Test object
+ * @returns {string} HTML string
+ */
+function renderTestVariants(test) {
+    const items = test.variants.map(variant => `
+        <figure class="variant-figure">
+            <div class="test-image-wrapper${isTextVariant(variant) ? ' test-text-wrapper' : ''}">
+                ${isTextVariant(variant) ? `
+                    <div class="variant-text">${formatRichText(variant.text)}</div>
+                ` : `
+                    <img ${imageSrcAttribute(variant.image)} alt="Option ${escapeHtml(variant.label)} for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
+                `}
+                <span class="test-label">${escapeHtml(variant.id)}</span>
+                ${variant.label !== variant.id ? `<span class="variant-label">${escapeHtml(variant.label)}</span>` : ''}
+            </div>
+            ${variant.caption ? `<figcaption class="variant-caption">${escapeHtml(variant.caption)}</figcaption>` : ''}
+        </figure>
+    `).join('');
+    
+    return `<div class="test-images${test.variants.length > 2 ? ' test-images-multi' : ''}">${items}</div>`;
+}
+
+/**
+ * Render the voting question and description of a test
+ * @param {Object} test - Test object
+ * @returns {string} HTML string (empty when the test has neither)
+ */
+function renderTestIntro(test) {
+    if (!test.question && !test.description) {
+        return '';
+    }
+    return `
+        <div class="test-intro">
+            ${test.question ? `<p class="test-question">${escapeHtml(test.question)}</p>` : ''}
+            ${test.description ? `<p class="test-description">${formatRichText(test.description)}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render the vote count and share of each of a test's variants
+ * @param {Object} test - Test object
+ * @returns {string} HTML string
+ */
+function renderVoteStats(test) {
+    const { counts, total } = getVoteCounts(test);
+    const items = test.variants.map(variant => `
+        <div class="stat-item">
+            <span class="stat-value">${counts[variant.id]}</span>
+            <span class="stat-label">Votes for ${escapeHtml(variant.label)}${total > 0 ? ` (${Math.round(counts[variant.id] / total * 100)}%)` : ''}</span>
+        </div>
+    `).join('');
+    
+    return `<div class="stats${test.variants.length > 2 ? ' stats-multi' : ''}">${items}</div>`;
+}
+
+/**
+ * Render the badge showing a test's lifecycle status
+ * @param {string} status - One of TEST_STATUSES
+ * @returns {string} HTML string
+ */
+function renderTestStatusBadge(status) {
+    return `<span class="test-status-badge test-status-${status}">${TEST_STATUS_LABELS[status]}</span>`;
+}
+
+/**
+ * Render the final results of a closed test
+ * @param {Object} test - Test object
+ * @param {string|null} userVote - Variant id the viewer voted for, if any
+ * @returns {string} HTML string
+ */
+function renderFinalResults(test, userVote) {
+    const leaders = getLeadingVariants(test);
+    let heading = 'Closed without votes';
+    if (leaders.length === 1) {
+        heading = `Final results: ${escapeHtml(leaders[0].label)} wins`;
+    } else if (leaders.length > 1) {
+        heading = `Final results: tie between ${leaders.map(variant => escapeHtml(variant.label)).join(', ')}`;
+    }
+    
+    return `
+        <div class="final-results" role="status">
+            <p class="final-results-heading">${heading}</p>
+            ${renderVoteStats(test)}
+            ${userVote ? `<p class="final-results-note">You voted for option ${escapeHtml(getVariantLabel(test, userVote))}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Describe a test's schedule and vote target
+ * @param {Object} test - Test object
+ * @returns {string} Summary such as 'Ends 5/1/2026, 10:00 · 12 of 50 votes' (empty when unscheduled)
+ */
+function formatTestSchedule(test) {
+    const parts = [];
+    if (test.startsAt && getTestStatus(test) === 'scheduled') {
+        parts.push(`Starts ${new Date(test.startsAt).toLocaleString()}`);
+    }
+    if (test.endsAt) {
+        parts.push(`${test.endsAt > Date.now() ? 'Ends' : 'Ended'} ${new Date(test.endsAt).toLocaleString()}`);
+    }
+    if (test.targetVotes) {
+        parts.push(`${getVoteCounts(test).total} of ${test.targetVotes} votes`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Format per-variant vote counts as a short summary
+ * @param {Object} test - Test object
+ * @param {Object} votes - Counts as returned by getVoteCounts()
+ * @returns {string} Summary such as 'A 3 · B 1 · C 0' (HTML)
+ */
+function formatVoteCounts(test, votes) {
+    return test.variants.map(variant => `${escapeHtml(variant.id)} ${votes.counts[variant.id]}`).join(' &middot; ');
+}
+
+/**
+ * Render the profile view with the current user's profile
+ */
+function renderProfileView() {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const form = document.getElementById('profile-form');
+    if (form) {
+        clearFormErrors(form);
+    }
+    
+    const profile = getUserProfile(currentUser);
+    document.getElementById('profile-display-name').value = profile.displayName;
+    document.getElementById('profile-bio').value = profile.bio;
+    document.getElementById('profile-avatar').value = profile.avatar || '';
+    updateProfileAvatarPreview();
+}
+
+/**
+ * Describe a test's visibility for moderators
+ * @param {Object} test - Test object
+ * @returns {string} Status label
+ */
+function getTestStatusLabel(test) {
+    if (test.deleted) return 'In trash';
+    if (test.hidden) return 'Hidden';
+    return 'Visible';
+}
+
+/**
+ * Render the moderator action buttons for a test
+ * @param {Object} test - Test object
+ * @param {boolean} includeDismiss - Offer to dismiss the test's reports
+ * @returns {string} HTML string
+ */
+function renderModerationActions(test, includeDismiss = false) {
+    const actions = [];
+    actions.push(test.hidden || test.deleted ? ['restore', 'Restore'] : ['hide', 'Hide']);
+    if (includeDismiss) {
+        actions.push(['dismissReports', 'Dismiss']);
+    }
+    actions.push(['permanentDelete', 'Delete permanently']);
+    
+    return actions.map(([action, label]) => `
+        <button class="btn btn-secondary moderation-action" data-action="${action}" data-test-id="${escapeHtml(test.id)}">${label}</button>
+    `).join('');
+}
+
+/**
+ * Render the moderation console
+ */
+function renderModerationView() {
+    const testsBody = document.getElementById('moderation-tests-body');
+    const reportsBody = document.getElementById('moderation-reports-body');
+    const usersBody = document.getElementById('moderation-users-body');
+    const logBody = document.getElementById('moderation-log-body');
+    const currentUser = getCurrentUser();
+    
+    if (!hasPermission(currentUser, 'moderate') || !testsBody || !reportsBody || !usersBody || !logBody) {
+        return;
+    }
+    
+    const ownerName = userId => escapeHtml(getDisplayName(getUserById(userId)));
+    const tests = getTests().sort((a, b) => b.createdAt - a.createdAt);
+    
+    testsBody.innerHTML = tests.length === 0
+        ? '<tr><td colspan="4" class="storage-empty">No tests yet.</td></tr>'
+        : tests.map(test => `
+            <tr>
+                <td>
+                    ${escapeHtml(test.title)}
+                    ${test.reports.length > 0 ? `<span class="storage-tag">${test.reports.length} report(s)</span>` : ''}
+                </td>
+                <td>${ownerName(test.userId)}</td>
+                <td>
+                    ${getTestStatusLabel(test)}
+                    ${test.hidden && test.hiddenReason ? `<span class="help-text">${escapeHtml(test.hiddenReason)}</span>` : ''}
+                </td>
+                <td class="moderation-actions">${renderModerationActions(test)}</td>
+            </tr>
+        `).join('');
+    
+    const reported = getReportedTests();
+    reportsBody.innerHTML = reported.length === 0
+        ? '<tr><td colspan="3" class="storage-empty">No open reports.</td></tr>'
+        : reported.map(test => `
+            <tr>
+                <td>
+                    ${escapeHtml(test.title)}
+                    <span class="help-text">by ${ownerName(test.userId)} &middot; ${getTestStatusLabel(test)}</span>
+                </td>
+                <td>
+                    <ul class="report-list">
+                        ${test.reports.map(report => `
+                            <li>
+                                ${escapeHtml(report.reason)}
+                                <span class="help-text">${ownerName(report.userId)}, ${new Date(report.createdAt).toLocaleDateString()}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </td>
+                <td class="moderation-actions">${renderModerationActions(test, true)}</td>
+            </tr>
+        `).join('');
+    
+    const canManageUsers = hasPermission(currentUser, 'manageUsers');
+    usersBody.innerHTML = getUsers().map(user => {
+        const role = getUserRole(user);
+        const testCount = tests.filter(test => test.userId === user.id).length;
+        const roleCell = canManageUsers
+            ? `<select class="role-select" data-user-id="${escapeHtml(user.id)}" aria-label="Role for ${escapeHtml(getDisplayName(user))}">
+                ${Object.keys(ROLE_PERMISSIONS).map(option => `
+                    <option value="${option}" ${option === role ? 'selected' : ''}>${ROLE_LABELS[option]}</option>
+                `).join('')}
+               </select>`
+            : ROLE_LABELS[role];
+        return `
+            <tr>
+                <td>${escapeHtml(getDisplayName(user))}</td>
+                <td>${escapeHtml(user.email || '')}</td>
+                <td>${testCount}</td>
+                <td>${roleCell}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const log = getModerationLog().reverse();
+    logBody.innerHTML = log.length === 0
+        ? '<tr><td colspan="4" class="storage-empty">No moderation actions yet.</td></tr>'
+        : log.map(entry => `
+            <tr>
+                <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                <td>${ownerName(entry.moderatorId)}</td>
+                <td>
+                    ${MODERATION_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}
+                    <span class="help-text">${entry.testTitle ? escapeHtml(entry.testTitle) : ownerName(entry.userId)}</span>
+                </td>
+                <td>${escapeHtml(entry.reason || '')}</td>
+            </tr>
+        `).join('');
+    
+    // Show the number of reported tests on the tab
+    const reportsTab = document.getElementById('moderation-reports-tab');
+    if (reportsTab) {
+        const existingBadge = reportsTab.querySelector('.tab-badge');
+        if (existingBadge) {
+            existingBadge.remove();
+        }
+        if (reported.length > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'tab-badge';
+            badge.textContent = reported.length;
+            reportsTab.appendChild(badge);
+        }
+    }
+    
+    document.querySelectorAll('#moderation-view .moderation-action').forEach(button => {
+        button.addEventListener('click', showModerationModal);
+    });
+    usersBody.querySelectorAll('.role-select').forEach(select => {
+        select.addEventListener('change', handleRoleChange);
+    });
+}
+
+/**
+ * Describe what a member may do in a workspace
+ * @param {Object} workspace - Workspace object
+ * @param {Object} member - Member entry
+ * @returns {string} Label
+ */
+function getWorkspaceMemberLabel(workspace, member) {
+    if (member.userId === workspace.ownerId) {
+        return 'Owner';
+    }
+    return member.permissions.map(permission => WORKSPACE_PERMISSION_LABELS[permission]).join(', ');
+}
+
+/**
+ * Render the workspaces view: invitations, the user's workspaces and the
+ * members of the active one
+ */
+function renderWorkspacesView() {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const inviteSection = document.getElementById('workspace-invites-section');
+    const inviteList = document.getElementById('workspace-invites-list');
+    const workspaceList = document.getElementById('workspace-list');
+    const membersSection = document.getElementById('workspace-members-section');
+    const membersBody = document.getElementById('workspace-members-body');
+    const pendingList = document.getElementById('workspace-pending-list');
+    const leaveSection = document.getElementById('workspace-leave-section');
+    if (!inviteList || !workspaceList || !membersBody || !pendingList) return;
+    
+    const invites = getPendingInvites(currentUser);
+    inviteSection.classList.toggle('hidden', invites.length === 0);
+    inviteList.innerHTML = invites.map(workspace => `
+        <li class="workspace-list-item">
+            <span>
+                <strong>${escapeHtml(workspace.name)}</strong>
+                <span class="help-text">from ${escapeHtml(getDisplayName(getUserById(workspace.ownerId)))}</span>
+            </span>
+            <span class="workspace-actions">
+                <button class="btn btn-secondary workspace-invite-response" data-workspace-id="${escapeHtml(workspace.id)}" data-accept="true">Accept</button>
+                <button class="btn btn-secondary workspace-invite-response" data-workspace-id="${escapeHtml(workspace.id)}" data-accept="false">Decline</button>
+            </span>
+        </li>
+    `).join('');
+    
+    const active = getActiveWorkspace(currentUser.id);
+    workspaceList.innerHTML = getUserWorkspaces(currentUser.id).map(workspace => {
+        const member = workspace.members.find(m => m.userId === currentUser.id);
+        return `
+            <li class="workspace-list-item">
+                <span>
+                    <strong>${escapeHtml(workspace.name)}</strong>
+                    <span class="help-text">${workspace.members.length} member(s) &middot; ${getWorkspaceMemberLabel(workspace, member)}</span>
+                </span>
+                ${active && workspace.id === active.id
+                    ? '<span class="storage-tag">Active</span>'
+                    : `<button class="btn btn-secondary workspace-switch" data-workspace-id="${escapeHtml(workspace.id)}">Switch</button>`}
+            </li>
+        `;
+    }).join('');
+    
+    // Members of the active workspace: managed by its owner, left by everyone else
+    const isOwner = !!active && active.ownerId === currentUser.id;
+    membersSection.classList.toggle('hidden', !active || !isOwner || active.personal);
+    leaveSection.classList.toggle('hidden', !active || isOwner);
+    document.getElementById('workspace-members-heading').textContent = active ? `Members of ${active.name}` : 'Members';
+    
+    if (active && isOwner && !active.personal) {
+        membersBody.innerHTML = active.members.map(member => {
+            const user = getUserById(member.userId);
+            const isWorkspaceOwner = member.userId === active.ownerId;
+            return `
+                <tr>
+                    <td>
+                        ${escapeHtml(getDisplayName(user))}
+                        <span class="help-text">${user && user.email ? escapeHtml(user.email) : ''}</span>
+                    </td>
+                    <td class="workspace-permissions">
+                        ${isWorkspaceOwner ? 'Owner' : WORKSPACE_PERMISSIONS.map(permission => `
+                            <label>
+                                <input type="checkbox" class="workspace-permission" data-member-id="${escapeHtml(member.userId)}" value="${permission}"
+                                    ${member.permissions.includes(permission) ? 'checked' : ''} ${permission === 'view' ? 'disabled' : ''}>
+                                ${WORKSPACE_PERMISSION_LABELS[permission]}
+                            </label>
+                        `).join('')}
+                    </td>
+                    <td>
+                        ${isWorkspaceOwner ? '' : `<button class="btn btn-secondary workspace-remove-member" data-member-id="${escapeHtml(member.userId)}">Remove</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        pendingList.innerHTML = active.invites.map(invite => `
+            <li class="workspace-list-item">
+                <span>
+                    ${escapeHtml(invite.email)}
+                    <span class="help-text">Invited &middot; ${invite.permissions.map(permission => WORKSPACE_PERMISSION_LABELS[permission]).join(', ')}</span>
+                </span>
+                <button class="btn btn-secondary workspace-cancel-invite" data-email="${escapeHtml(invite.email)}">Cancel</button>
+            </li>
+        `).join('');
+    } else {
+        membersBody.innerHTML = '';
+        pendingList.innerHTML = '';
+    }
+    
+    inviteList.querySelectorAll('.workspace-invite-response').forEach(button => {
+        button.addEventListener('click', handleWorkspaceInviteResponse);
+    });
+    workspaceList.querySelectorAll('.workspace-switch').forEach(button => {
+        button.addEventListener('click', handleWorkspaceSwitch);
+    });
+    membersBody.querySelectorAll('.workspace-permission').forEach(checkbox => {
+        checkbox.addEventListener('change', handleWorkspacePermissionChange);
+    });
+    membersBody.querySelectorAll('.workspace-remove-member').forEach(button => {
+        button.addEventListener('click', handleRemoveWorkspaceMember);
+    });
+    pendingList.querySelectorAll('.workspace-cancel-invite').forEach(button => {
+        button.addEventListener('click', handleCancelWorkspaceInvite);
+    });
+}
+
+/**
+ * Render the account settings view
+ */
+function renderSettingsView() {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    document.getElementById('settings-current-email').textContent = currentUser.email;
+    ['email-form', 'password-form'].forEach(formId => {
+        const form = document.getElementById(formId);
+        if (form) {
+            form.reset();
+            clearFormErrors(form);
+        }
+    });
+    updatePasswordStrengthMeter('settings-new-password', currentUser.email);
+}
+
+/**
+ * Show the avatar picked in the profile form (or the generated one)
+ */
+function updateProfileAvatarPreview() {
+    const preview = document.getElementById('profile-avatar-preview');
+    const currentUser = getCurrentUser();
+    if (!preview || !currentUser) return;
+    
+    const identicon = generateIdenticon(currentUser.id);
+    const value = document.getElementById('profile-avatar').value;
+    
+    if (isImageRef(value)) {
+        resolveImageUrl(value)
+            .then(url => {
+                preview.src = url;
+            })
+            .catch(() => {
+                preview.src = identicon;
+            });
+    } else if (value.startsWith('data:image/')) {
+        preview.src = value;
+    } else {
+        preview.src = identicon;
+    }
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Format a text variant for display. Supports **bold**, *italic* and line
+ * breaks; everything else is shown as typed.
+ * @param {string} text - Snippet text
+ * @returns {string} HTML string
+ */
+function formatRichText(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/\n/g, '<br>');
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Handle login form submission
+ */
+async function handleLogin(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const email = document.getElementById('login-email').value.trim();
+    const password = document.getElementById('login-password').value;
+    const remember = document.getElementById('login-remember').checked;
+    
+    let isValid = true;
+    
+    // Validate email
+    if (!email) {
+        setFieldError('login-email', 'Email is required');
+        isValid = false;
+    } else if (!isValidEmail(email)) {
+        setFieldError('login-email', 'Please enter a valid email');
+        isValid = false;
+    }
+    
+    // Validate password
+    if (!password) {
+        setFieldError('login-password', 'Password is required');
+        isValid = false;
+    }
+    
+    if (!isValid) {
+        return;
+    }
+    
+    // Attempt login
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    let result;
+    try {
+        result = await loginUser(email, password, remember);
+    } catch (error) {
+        console.error('Error logging in:', error);
+        result = { success: false, message: 'Login failed. Please try again.' };
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+    
+    if (result.success) {
+        updateNavigation();
+        navigateTo(getLoginRedirect());
+    } else {
+        setFieldError('login-password', result.message);
+        showError(result.message);
+    }
+}
+
+/**
+ * Handle register form submission
+ */
+async function handleRegister(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const email = document.getElementById('register-email').value.trim();
+    const password = document.getElementById('register-password').value;
+    const passwordConfirm = document.getElementById('register-password-confirm').value;
+    
+    let isValid = true;
+    
+    // Validate email
+    if (!email) {
+        setFieldError('register-email', 'Email is required');
+        isValid = false;
+    } else if (!isValidEmail(email)) {
+        setFieldError('register-email', 'Please enter a valid email');
+        isValid = false;
+    }
+    
+    // Validate password
+    const strength = checkPasswordStrength(password, email);
+    if (!password) {
+        setFieldError('register-password', 'Password is required');
+        isValid = false;
+    } else if (strength.errors.length > 0) {
+        setFieldError('register-password', strength.errors[0]);
+        isValid = false;
+    }
+    
+    // Validate password confirmation
+    if (!passwordConfirm) {
+        setFieldError('register-password-confirm', 'Please confirm your password');
+        isValid = false;
+    } else if (password !== passwordConfirm) {
+        setFieldError('register-password-confirm', 'Passwords do not match');
+        isValid = false;
+    }
+    
+    if (!isValid) {
+        return;
+    }
+    
+    // Attempt registration
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    let result;
+    try {
+        result = await registerUser(email, password);
+    } catch (error) {
+        console.error('Error registering:', error);
+        result = { success: false, message: 'Registration failed. Please try again.' };
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+    
+    if (result.success) {
+        // Auto-login after registration
+        await createSession(result.user.id);
+        updateNavigation();
+        navigateTo(getLoginRedirect());
+    } else {
+        setFieldError('register-email', result.message);
+        showError(result.message);
+    }
+}
+
+/**
+ * Handle an avatar picked in the profile form
+ * @param {File} file - Selected image file
+ */
+async function handleProfileAvatarFile(file) {
+    try {
+        // Stored in the image store when the profile is saved
+        document.getElementById('profile-avatar').value = await fileToDataUrl(file);
+        setFieldError('profile-avatar', '');
+        updateProfileAvatarPreview();
+    } catch (error) {
+        showError(error.message || 'Failed to process image file');
+        setFieldError('profile-avatar', error.message || 'Invalid image file');
+    }
+}
+
+/**
+ * Handle profile form submission
+ */
+async function handleProfileSubmit(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const displayName = document.getElementById('profile-display-name').value.trim();
+    const bio = document.getElementById('profile-bio').value.trim();
+    let avatar = document.getElementById('profile-avatar').value || null;
+    
+    let isValid = true;
+    
+    if (displayName.length > PROFILE_LIMITS.displayName) {
+        setFieldError('profile-display-name', `Display name must be at most ${PROFILE_LIMITS.displayName} characters`);
+        isValid = false;
+    }
+    
+    if (bio.length > PROFILE_LIMITS.bio) {
+        setFieldError('profile-bio', `Bio must be at most ${PROFILE_LIMITS.bio} characters`);
+        isValid = false;
+    }
+    
+    if (!isValid) {
+        return;
+    }
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        avatar = await internImage(avatar);
+    } catch (error) {
+        console.error('Error storing avatar:', error);
+        if (submitBtn) submitBtn.disabled = false;
+        showError('Failed to save your avatar. Please try again.');
+        return;
+    }
+    const result = await updateProfile(currentUser.id, { displayName, bio, avatar });
+    if (submitBtn) submitBtn.disabled = false;
+    
+    if (result.success) {
+        showSuccess(result.message);
+        updateNavigation();
+    } else {
+        showError(result.message);
+    }
+}
+
+/**
+ * Handle change email form submission
+ */
+async function handleChangeEmail(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const email = document.getElementById('settings-email').value.trim();
+    const password = document.getElementById('settings-email-password').value;
+    
+    let isValid = true;
+    
+    if (!email) {
+        setFieldError('settings-email', 'Email is required');
+        isValid = false;
+    } else if (!isValidEmail(email)) {
+        setFieldError('settings-email', 'Please enter a valid email');
+        isValid = false;
+    }
+    
+    if (!password) {
+        setFieldError('settings-email-password', 'Password is required');
+        isValid = false;
+    }
+    
+    if (!isValid) {
+        return;
+    }
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    const result = await changeEmail(currentUser.id, email, password);
+    if (submitBtn) submitBtn.disabled = false;
+    
+    if (result.success) {
+        renderSettingsView();
+        showSuccess(result.message);
+    } else {
+        const passwordWrong = result.message === 'Current password is incorrect';
+        setFieldError(passwordWrong ? 'settings-email-password' : 'settings-email', result.message);
+        showError(result.message);
+    }
+}
+
+/**
+ * Handle change password form submission
+ */
+async function handleChangePassword(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const currentPassword = document.getElementById('settings-current-password').value;
+    const newPassword = document.getElementById('settings-new-password').value;
+    const newPasswordConfirm = document.getElementById('settings-new-password-confirm').value;
+    
+    let isValid = true;
+    
+    if (!currentPassword) {
+        setFieldError('settings-current-password', 'Current password is required');
+        isValid = false;
+    }
+    
+    const strength = checkPasswordStrength(newPassword, currentUser.email);
+    if (!newPassword) {
+        setFieldError('settings-new-password', 'New password is required');
+        isValid = false;
+    } else if (strength.errors.length > 0) {
+        setFieldError('settings-new-password', strength.errors[0]);
+        isValid = false;
+    }
+    
+    if (!newPasswordConfirm) {
+        setFieldError('settings-new-password-confirm', 'Please confirm your new password');
+        isValid = false;
+    } else if (newPassword !== newPasswordConfirm) {
+        setFieldError('settings-new-password-confirm', 'Passwords do not match');
+        isValid = false;
+    }
+    
+    if (!isValid) {
+        return;
+    }
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    const result = await changePassword(currentUser.id, currentPassword, newPassword);
+    if (submitBtn) submitBtn.disabled = false;
+    
+    if (result.success) {
+        renderSettingsView();
+        showSuccess(result.message);
+    } else {
+        setFieldError('settings-current-password', result.message);
+        showError(result.message);
+    }
+}
+
+/**
+ * Show the delete account confirmation modal
+ */
+function showDeleteAccountModal() {
+    const modal = document.getElementById('delete-account-modal');
+    const form = document.getElementById('delete-account-form');
+    if (!modal) return;
     
-    // Attach vote button handlers
-    if (userId) {
-        container.querySelectorAll('.vote-button').forEach(button => {
-            button.addEventListener('click', handleVote);
-        });
+    if (form) {
+        form.reset();
+        clearFormErrors(form);
     }
     
-    // Attach share button handlers
-    container.querySelectorAll('.share-button').forEach(button => {
-        button.addEventListener('click', handleShare);
-    });
+    modal.classList.remove('hidden');
+    const passwordInput = document.getElementById('delete-account-password');
+    if (passwordInput) {
+        passwordInput.focus();
+    }
+    document.body.style.overflow = 'hidden';
 }
 
 /**
- * Render the dashboard view
+ * Hide the delete account confirmation modal
  */
-function renderDashboardView() {
-    const container = document.getElementById('dashboard-tests');
-    const noTestsEl = document.getElementById('no-user-tests');
+function hideDeleteAccountModal() {
+    const modal = document.getElementById('delete-account-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+        
+        const confirmBtn = document.getElementById('modal-delete-account-confirm');
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
+        }
+    }
+}
+
+/**
+ * Delete the current account after confirmation
+ */
+async function confirmDeleteAccount() {
+    const form = document.getElementById('delete-account-form');
+    const confirmBtn = document.getElementById('modal-delete-account-confirm');
     const currentUser = getCurrentUser();
     
+    if (form) clearFormErrors(form);
+    
     if (!currentUser) {
-        navigateTo('/login');
+        hideDeleteAccountModal();
+        redirectToLogin();
         return;
     }
     
-    const userTests = getUserTests(currentUser.id);
-    
-    if (userTests.length === 0) {
-        container.innerHTML = '';
-        noTestsEl.classList.remove('hidden');
+    const password = document.getElementById('delete-account-password').value;
+    if (!password) {
+        setFieldError('delete-account-password', 'Password is required');
         return;
     }
     
-    noTestsEl.classList.add('hidden');
+    const mode = document.getElementById('delete-account-mode-delete').checked ? 'delete' : 'anonymize';
     
-    container.innerHTML = userTests.map(test => {
-        const votes = getVoteCounts(test);
-        const total = votes.countA + votes.countB;
-        
-        return `
-            <article class="dashboard-card" role="listitem" data-test-id="${test.id}">
-                <div class="test-card-content">
-                    <div class="test-card-header">
-                        <div class="test-title-group">
-                            <h3>${escapeHtml(test.title)}</h3>
-                            <p class="test-submitter">${escapeHtml(getSubmitterInfo(test.userId))}</p>
-                        </div>
-                        <div class="test-card-actions">
-                            <button class="share-button" data-test-id="${test.id}" aria-label="Share this test" title="Share test">
-                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                    <circle cx="18" cy="5" r="3"></circle>
-                                    <circle cx="6" cy="12" r="3"></circle>
-                                    <circle cx="18" cy="19" r="3"></circle>
-                                    <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
-                                    <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
-                                </svg>
-                            </button>
-                            <button class="delete-button" data-test-id="${test.id}" aria-label="Delete this test" title="Delete test">
-                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                    <polyline points="3 6 5 6 21 6"></polyline>
-                                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                                    <line x1="10" y1="11" x2="10" y2="17"></line>
-                                    <line x1="14" y1="11" x2="14" y2="17"></line>
-                                </svg>
-                            </button>
-                        </div>
-                    </div>
-                    <div class="test-images">
-                        <div class="test-image-wrapper">
-                            <img src="${escapeHtml(test.imageA)}" alt="Option A for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                            <span class="test-label">A</span>
-                        </div>
-                        <div class="test-image-wrapper">
-                            <img src="${escapeHtml(test.imageB)}" alt="Option B for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                            <span class="test-label">B</span>
-                        </div>
-                    </div>
-                    <div class="stats">
-                        <div class="stat-item">
-                            <span class="stat-value">${votes.countA}</span>
-                            <span class="stat-label">Votes for A${total > 0 ? ` (${Math.round(votes.countA / total * 100)}%)` : ''}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-value">${votes.countB}</span>
-                            <span class="stat-label">Votes for B${total > 0 ? ` (${Math.round(votes.countB / total * 100)}%)` : ''}</span>
-                        </div>
-                    </div>
-                </div>
-            </article>
-        `;
-    }).join('');
+    if (confirmBtn) confirmBtn.disabled = true;
+    const result = await deleteAccount(currentUser.id, password, mode);
     
-    // Attach share button handlers
-    container.querySelectorAll('.share-button').forEach(button => {
-        button.addEventListener('click', handleShare);
-    });
+    if (result.success) {
+        hideDeleteAccountModal();
+        updateNavigation();
+        navigateTo('/');
+        showSuccess(result.message);
+    } else {
+        setFieldError('delete-account-password', result.message);
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+// Test being reported, and the moderator action awaiting a reason
+let testToReport = null;
+let pendingModerationAction = null;
+
+/**
+ * Show the report modal for a test
+ * @param {Event} e - Click event from a report button
+ */
+function showReportModal(e) {
+    e.preventDefault();
+    e.stopPropagation();
     
-    // Attach delete button handlers
-    container.querySelectorAll('.delete-button').forEach(button => {
-        button.addEventListener('click', showDeleteModal);
-    });
+    const modal = document.getElementById('report-modal');
+    const form = document.getElementById('report-form');
+    if (!modal) return;
     
-    // Render deleted tests tab (only if deleted tab is active or will be shown)
-    renderDeletedTestsView();
-    updateDeletedTabCount();
+    testToReport = e.currentTarget.dataset.testId;
+    if (form) {
+        form.reset();
+        clearFormErrors(form);
+    }
+    
+    modal.classList.remove('hidden');
+    const reasonInput = document.getElementById('report-reason');
+    if (reasonInput) {
+        reasonInput.focus();
+    }
+    document.body.style.overflow = 'hidden';
 }
 
 /**
- * Update deleted tests tab count badge
+ * Hide the report modal
  */
-function updateDeletedTabCount() {
-    const deletedTab = document.getElementById('deleted-tests-tab');
-    const currentUser = getCurrentUser();
-    
-    if (deletedTab && currentUser) {
-        const deletedTests = getDeletedUserTests(currentUser.id);
-        const count = deletedTests.length;
+function hideReportModal() {
+    const modal = document.getElementById('report-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+        testToReport = null;
         
-        // Remove existing badge if any
-        const existingBadge = deletedTab.querySelector('.tab-badge');
-        if (existingBadge) {
-            existingBadge.remove();
+        const confirmBtn = document.getElementById('modal-report-confirm');
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
         }
+    }
+}
+
+/**
+ * Send the report for the test in the report modal
+ */
+async function confirmReport() {
+    const currentUser = getCurrentUser();
+    const confirmBtn = document.getElementById('modal-report-confirm');
+    
+    if (!currentUser || !testToReport) {
+        hideReportModal();
+        return;
+    }
+    
+    const reason = document.getElementById('report-reason').value;
+    if (!reason.trim()) {
+        setFieldError('report-reason', 'Please say what is wrong with this test');
+        return;
+    }
+    
+    if (confirmBtn) confirmBtn.disabled = true;
+    const testId = testToReport;
+    const result = await reportTest(testId, currentUser.id, reason);
+    
+    if (result.success) {
+        hideReportModal();
+        refreshBrowseCard(testId);
+        showSuccess(result.message);
+    } else {
+        setFieldError('report-reason', result.message);
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+// Modal copy for each moderator action
+const MODERATION_MODAL_TEXT = {
+    hide: { title: 'Hide Test', message: 'The test disappears from browsing. Its owner still sees it, with your reason.', confirm: 'Hide test' },
+    restore: { title: 'Restore Test', message: 'The test becomes visible to everyone again.', confirm: 'Restore test' },
+    dismissReports: { title: 'Dismiss Reports', message: 'The reports are closed and the test stays as it is.', confirm: 'Dismiss reports' },
+    permanentDelete: { title: 'Delete Test Permanently', message: 'The test, its votes and its images are removed for good.', confirm: 'Delete permanently' }
+};
+
+/**
+ * Ask a moderator for the reason behind an action
+ * @param {Event} e - Click event from a moderation action button
+ */
+function showModerationModal(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const modal = document.getElementById('moderation-modal');
+    const form = document.getElementById('moderation-form');
+    const { action, testId } = e.currentTarget.dataset;
+    const text = MODERATION_MODAL_TEXT[action];
+    const test = getTestById(testId);
+    if (!modal || !text || !test) return;
+    
+    pendingModerationAction = { action, testId };
+    if (form) {
+        form.reset();
+        clearFormErrors(form);
+    }
+    
+    document.getElementById('moderation-modal-title').textContent = text.title;
+    document.getElementById('moderation-modal-message').textContent = `"${test.title}": ${text.message}`;
+    document.getElementById('modal-moderation-confirm').textContent = text.confirm;
+    
+    modal.classList.remove('hidden');
+    document.getElementById('moderation-reason').focus();
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide the moderation modal
+ */
+function hideModerationModal() {
+    const modal = document.getElementById('moderation-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+        pendingModerationAction = null;
         
-        // Add badge if there are deleted tests
-        if (count > 0) {
-            const badge = document.createElement('span');
-            badge.className = 'tab-badge';
-            badge.textContent = count;
-            deletedTab.appendChild(badge);
+        const confirmBtn = document.getElementById('modal-moderation-confirm');
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
         }
     }
 }
 
 /**
- * Render deleted tests view
+ * Carry out the moderator action in the moderation modal
  */
-function renderDeletedTestsView() {
-    const container = document.getElementById('dashboard-deleted-tests');
-    const noDeletedTestsEl = document.getElementById('no-deleted-tests');
+async function confirmModerationAction() {
     const currentUser = getCurrentUser();
+    const confirmBtn = document.getElementById('modal-moderation-confirm');
     
-    if (!currentUser || !container) {
+    if (!currentUser || !pendingModerationAction) {
+        hideModerationModal();
         return;
     }
     
-    const deletedTests = getDeletedUserTests(currentUser.id);
-    
-    if (deletedTests.length === 0) {
-        container.innerHTML = '';
-        if (noDeletedTestsEl) noDeletedTestsEl.classList.remove('hidden');
+    const reason = document.getElementById('moderation-reason').value;
+    if (!reason.trim()) {
+        setFieldError('moderation-reason', 'Please give a reason');
         return;
     }
     
-    if (noDeletedTestsEl) noDeletedTestsEl.classList.add('hidden');
+    const { action, testId } = pendingModerationAction;
+    const test = getTestById(testId);
+    if (!test) {
+        hideModerationModal();
+        showError('Test not found');
+        return;
+    }
     
-    container.innerHTML = deletedTests.map(test => {
-        const votes = getVoteCounts(test);
-        const total = votes.countA + votes.countB;
-        
-        return `
-            <article class="dashboard-card deleted-test-card" role="listitem" data-test-id="${test.id}">
-                <div class="test-card-header">
-                    <div class="test-title-group">
-                        <h3>${escapeHtml(test.title)}</h3>
-                        <p class="test-submitter">${escapeHtml(getSubmitterInfo(test.userId))}</p>
-                    </div>
-                </div>
-                <div class="test-images">
-                    <div class="test-image-wrapper">
-                        <img src="${escapeHtml(test.imageA)}" alt="Option A for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                        <span class="test-label">A</span>
-                    </div>
-                    <div class="test-image-wrapper">
-                        <img src="${escapeHtml(test.imageB)}" alt="Option B for ${escapeHtml(test.title)}" class="test-image" onerror="this.parentElement.innerHTML='<span class=\\'preview-placeholder\\'>Image failed to load</span>'">
-                        <span class="test-label">B</span>
-                    </div>
-                </div>
-                <div class="stats">
-                    <div class="stat-item">
-                        <span class="stat-value">${votes.countA}</span>
-                        <span class="stat-label">Votes for A${total > 0 ? ` (${Math.round(votes.countA / total * 100)}%)` : ''}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-value">${votes.countB}</span>
-                        <span class="stat-label">Votes for B${total > 0 ? ` (${Math.round(votes.countB / total * 100)}%)` : ''}</span>
-                    </div>
-                </div>
-                <div class="deleted-test-actions">
-                    <button class="btn btn-restore" data-test-id="${test.id}">Restore</button>
-                    <button class="btn btn-delete-permanent" data-test-id="${test.id}">Delete Permanently</button>
-                </div>
-            </article>
-        `;
-    }).join('');
+    if (confirmBtn) confirmBtn.disabled = true;
+    
+    let result;
+    if (action === 'hide') {
+        result = await hideTest(testId, currentUser.id, reason);
+    } else if (action === 'restore') {
+        result = test.hidden
+            ? await unhideTest(testId, currentUser.id, reason)
+            : await restoreTest(testId, currentUser.id, reason);
+    } else if (action === 'dismissReports') {
+        result = await dismissReports(testId, currentUser.id, reason);
+    } else {
+        result = await permanentlyDeleteTest(testId, currentUser.id, reason);
+    }
     
-    // Attach restore button handlers
-    container.querySelectorAll('.btn-restore').forEach(button => {
-        button.addEventListener('click', handleRestore);
-    });
+    if (result.success) {
+        hideModerationModal();
+        renderModerationView();
+        showSuccess(result.message);
+    } else {
+        setFieldError('moderation-reason', result.message);
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+/**
+ * Handle a role change in the moderation console
+ * @param {Event} e - Change event from a role select
+ */
+async function handleRoleChange(e) {
+    const select = e.currentTarget;
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
     
-    // Attach permanent delete button handlers
-    container.querySelectorAll('.btn-delete-permanent').forEach(button => {
-        button.addEventListener('click', handlePermanentDelete);
-    });
+    select.disabled = true;
+    const result = await setUserRole(currentUser.id, select.dataset.userId, select.value);
     
-    // Update tab count
-    updateDeletedTabCount();
+    if (result.success) {
+        showSuccess(result.message);
+    } else {
+        showError(result.message);
+    }
+    // Re-render either way: a rejected change puts the select back
+    updateNavigation();
+    refreshCurrentView();
 }
 
 /**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * Show the outcome of a workspace action and redraw the current view
+ * @param {Object} result - Result object with success status and message
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function finishWorkspaceAction(result) {
+    if (result.success) {
+        showSuccess(result.message);
+    } else {
+        showError(result.message);
+    }
+    refreshCurrentView();
 }
 
-// ============================================
-// Event Handlers
-// ============================================
+/**
+ * Handle a workspace switch, from the dashboard switcher or the workspaces view
+ * @param {Event} e - Change event from the switcher or click on a switch button
+ */
+async function handleWorkspaceSwitch(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
+    
+    const workspaceId = e.currentTarget.dataset.workspaceId || e.currentTarget.value;
+    finishWorkspaceAction(await switchWorkspace(currentUser.id, workspaceId));
+}
 
 /**
- * Handle login form submission
+ * Handle create workspace form submission
+ * @param {Event} e - Submit event
  */
-function handleLogin(e) {
+async function handleCreateWorkspace(e) {
     e.preventDefault();
     clearFormErrors(e.target);
     
-    const email = document.getElementById('login-email').value.trim();
-    const password = document.getElementById('login-password').value;
-    
-    let isValid = true;
-    
-    // Validate email
-    if (!email) {
-        setFieldError('login-email', 'Email is required');
-        isValid = false;
-    } else if (!isValidEmail(email)) {
-        setFieldError('login-email', 'Please enter a valid email');
-        isValid = false;
-    }
-    
-    // Validate password
-    if (!password) {
-        setFieldError('login-password', 'Password is required');
-        isValid = false;
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
     }
     
-    if (!isValid) {
+    const result = await createWorkspace(currentUser.id, document.getElementById('workspace-name').value);
+    if (!result.success) {
+        setFieldError('workspace-name', result.message);
         return;
     }
     
-    // Attempt login
-    const result = loginUser(email, password);
-    
-    if (result.success) {
-        updateNavigation();
-        navigateTo('/');
-    } else {
-        setFieldError('login-password', result.message);
-        showError(result.message);
-    }
+    e.target.reset();
+    // Work in the new workspace straight away
+    await switchWorkspace(currentUser.id, result.workspace.id);
+    finishWorkspaceAction(result);
 }
 
 /**
- * Handle register form submission
+ * Handle invite form submission for the active workspace
+ * @param {Event} e - Submit event
  */
-function handleRegister(e) {
+async function handleWorkspaceInvite(e) {
     e.preventDefault();
     clearFormErrors(e.target);
     
-    const email = document.getElementById('register-email').value.trim();
-    const password = document.getElementById('register-password').value;
-    const passwordConfirm = document.getElementById('register-password-confirm').value;
+    const currentUser = getCurrentUser();
+    const workspace = currentUser && getActiveWorkspace(currentUser.id);
+    if (!workspace) return;
     
-    let isValid = true;
+    const permissions = ['view'];
+    if (document.getElementById('workspace-invite-edit').checked) permissions.push('edit');
+    if (document.getElementById('workspace-invite-delete').checked) permissions.push('delete');
     
-    // Validate email
-    if (!email) {
-        setFieldError('register-email', 'Email is required');
-        isValid = false;
-    } else if (!isValidEmail(email)) {
-        setFieldError('register-email', 'Please enter a valid email');
-        isValid = false;
+    const result = await inviteToWorkspace(workspace.id, currentUser.id, document.getElementById('workspace-invite-email').value, permissions);
+    if (!result.success) {
+        setFieldError('workspace-invite-email', result.message);
+        return;
     }
     
-    // Validate password
-    if (!password) {
-        setFieldError('register-password', 'Password is required');
-        isValid = false;
-    } else if (password.length < 6) {
-        setFieldError('register-password', 'Password must be at least 6 characters');
-        isValid = false;
-    }
+    e.target.reset();
+    finishWorkspaceAction(result);
+}
+
+/**
+ * Handle accepting or declining an invitation
+ * @param {Event} e - Click event
+ */
+async function handleWorkspaceInviteResponse(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
     
-    // Validate password confirmation
-    if (!passwordConfirm) {
-        setFieldError('register-password-confirm', 'Please confirm your password');
-        isValid = false;
-    } else if (password !== passwordConfirm) {
-        setFieldError('register-password-confirm', 'Passwords do not match');
-        isValid = false;
-    }
+    const { workspaceId, accept } = e.currentTarget.dataset;
+    finishWorkspaceAction(await respondToWorkspaceInvite(workspaceId, currentUser.id, accept === 'true'));
+}
+
+/**
+ * Handle a permission checkbox in the members table
+ * @param {Event} e - Change event
+ */
+async function handleWorkspacePermissionChange(e) {
+    const currentUser = getCurrentUser();
+    const workspace = currentUser && getActiveWorkspace(currentUser.id);
+    if (!workspace) return;
     
-    if (!isValid) {
-        return;
-    }
+    const memberId = e.currentTarget.dataset.memberId;
+    const permissions = [...document.querySelectorAll('#workspace-members-body .workspace-permission')]
+        .filter(checkbox => checkbox.dataset.memberId === memberId && checkbox.checked)
+        .map(checkbox => checkbox.value);
     
-    // Attempt registration
-    const result = registerUser(email, password);
+    finishWorkspaceAction(await setWorkspaceMemberPermissions(workspace.id, currentUser.id, memberId, permissions));
+}
+
+/**
+ * Handle removing a member from the active workspace
+ * @param {Event} e - Click event
+ */
+async function handleRemoveWorkspaceMember(e) {
+    const currentUser = getCurrentUser();
+    const workspace = currentUser && getActiveWorkspace(currentUser.id);
+    if (!workspace) return;
+    
+    finishWorkspaceAction(await removeWorkspaceMember(workspace.id, currentUser.id, e.currentTarget.dataset.memberId));
+}
+
+/**
+ * Handle withdrawing a pending invite
+ * @param {Event} e - Click event
+ */
+async function handleCancelWorkspaceInvite(e) {
+    const currentUser = getCurrentUser();
+    const workspace = currentUser && getActiveWorkspace(currentUser.id);
+    if (!workspace) return;
+    
+    finishWorkspaceAction(await cancelWorkspaceInvite(workspace.id, currentUser.id, e.currentTarget.dataset.email));
+}
+
+/**
+ * Handle leaving the active workspace
+ */
+async function handleLeaveWorkspace() {
+    const currentUser = getCurrentUser();
+    const workspace = currentUser && getActiveWorkspace(currentUser.id);
+    if (!workspace) return;
+    
+    if (!confirm(`Leave ${workspace.name}?`)) return;
+    finishWorkspaceAction(await removeWorkspaceMember(workspace.id, currentUser.id, currentUser.id));
+}
+
+/**
+ * Handle the "Sign out everywhere" action
+ */
+async function handleSignOutEverywhere() {
+    const result = await signOutEverywhere();
     
     if (result.success) {
-        // Auto-login after registration
-        setSession(result.user.id);
         updateNavigation();
-        navigateTo('/');
+        navigateTo('/login');
+        showSuccess(result.message);
     } else {
-        setFieldError('register-email', result.message);
         showError(result.message);
     }
 }
@@ -1151,19 +8151,44 @@ function handleRegister(e) {
 /**
  * Handle create test form submission
  */
-function handleCreateTest(e) {
+async function handleCreateTest(e) {
     e.preventDefault();
     clearFormErrors(e.target);
     
     const currentUser = getCurrentUser();
     if (!currentUser) {
-        navigateTo('/login');
+        redirectToLogin();
+        return;
+    }
+    if (!hasPermission(currentUser, 'create')) {
+        showError('Your account cannot create tests');
+        return;
+    }
+    // New tests go to the active workspace; edits stay in the test's own
+    const workspace = getActiveWorkspace(currentUser.id);
+    if (!editingTestId && !hasWorkspacePermission(workspace, currentUser.id, 'edit')) {
+        showError('You do not have permission to add tests to this workspace');
         return;
     }
     
     const title = document.getElementById('test-title').value.trim();
-    const imageA = document.getElementById('test-image-a').value.trim();
-    const imageB = document.getElementById('test-image-b').value.trim();
+    const intro = buildTestIntro({
+        question: document.getElementById('test-question').value,
+        description: document.getElementById('test-description').value
+    });
+    const variants = getVariantFieldValues();
+    const allowGuestVotes = document.getElementById('test-allow-guests').checked;
+    const category = document.getElementById('test-category').value;
+    const tags = parseTags(document.getElementById('test-tags').value);
+    const startsAtValue = document.getElementById('test-starts-at').value;
+    const endsAtValue = document.getElementById('test-ends-at').value;
+    const targetVotesValue = document.getElementById('test-target-votes').value.trim();
+    const lifecycle = {
+        draft: document.getElementById('test-save-draft').checked,
+        startsAt: startsAtValue ? new Date(startsAtValue).getTime() : null,
+        endsAt: endsAtValue ? new Date(endsAtValue).getTime() : null,
+        targetVotes: targetVotesValue ? Number(targetVotesValue) : null
+    };
     
     let isValid = true;
     
@@ -1176,20 +8201,26 @@ function handleCreateTest(e) {
         isValid = false;
     }
     
-    // Validate image URLs or files
-    if (!imageA) {
-        setFieldError('test-image-a', 'Image A is required (URL or file)');
-        isValid = false;
-    } else if (!isValidUrl(imageA)) {
-        setFieldError('test-image-a', 'Please enter a valid URL or upload an image file');
+    const tagsError = validateTags(tags);
+    if (tagsError) {
+        setFieldError('test-tags', tagsError);
         isValid = false;
     }
     
-    if (!imageB) {
-        setFieldError('test-image-b', 'Image B is required (URL or file)');
-        isValid = false;
-    } else if (!isValidUrl(imageB)) {
-        setFieldError('test-image-b', 'Please enter a valid URL or upload an image file');
+    // Validate each variant's image (URL or file) or text
+    variants.forEach((variant, index) => {
+        const error = validateVariantEntry(variant);
+        if (error) {
+            setFieldError(`test-image-${VARIANT_IDS[index].toLowerCase()}`, `Variant ${VARIANT_IDS[index]}: ${error}`);
+            isValid = false;
+        }
+    });
+    
+    // Validate schedule (not shown when editing)
+    const lifecycleErrors = editingTestId ? {} : validateTestLifecycle(lifecycle);
+    setFieldError('test-ends-at', lifecycleErrors.endsAt || '');
+    setFieldError('test-target-votes', lifecycleErrors.targetVotes || '');
+    if (Object.keys(lifecycleErrors).length > 0) {
         isValid = false;
     }
     
@@ -1197,50 +8228,260 @@ function handleCreateTest(e) {
         return;
     }
     
-    // Create test
-    createTest(title, imageA, imageB, currentUser.id);
+    // Pasted data URLs go to the image store
+    try {
+        for (const variant of variants) {
+            if (variant.type === 'image') {
+                variant.image = await internImage(variant.image.trim());
+            }
+        }
+    } catch (error) {
+        console.error('Error storing test images:', error);
+        showError('Failed to save images. Please try again.');
+        return;
+    }
+    
+    if (editingTestId) {
+        await submitTestEdit(editingTestId, { title, ...intro, variants, allowGuestVotes, tags, category });
+        return;
+    }
+    
+    const test = await createTest(title, variants, currentUser.id, allowGuestVotes, workspace.id, {
+        ...lifecycle,
+        ...intro,
+        tags,
+        category,
+        duplicatedFrom: duplicatingTestId
+    });
+    if (!test) {
+        showError('Failed to save the test. Please try again.');
+        return;
+    }
     
     // Reset form
-    e.target.reset();
-    updateImagePreview('test-image-a', 'test-image-a-preview');
-    updateImagePreview('test-image-b', 'test-image-b-preview');
+    resetCreateForm();
     
     // Navigate to dashboard
     navigateTo('/dashboard');
 }
 
+// Test open in the create form's edit mode, the test a new one duplicates,
+// and an edit waiting for the owner to choose between resetting votes and forking
+let editingTestId = null;
+let duplicatingTestId = null;
+let pendingTestEdit = null;
+
+/**
+ * Save an edit from the create form. Asks how to handle existing votes
+ * when the variants changed.
+ * @param {string} testId - Test ID
+ * @param {Object} edit - { title, description, question, variants, allowGuestVotes, tags, category }
+ * @param {string|null} voteHandling - 'reset' or 'fork' once the owner has chosen
+ */
+async function submitTestEdit(testId, edit, voteHandling = null) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const result = await updateTest(testId, currentUser.id, edit, voteHandling);
+    if (result.needsVoteHandling) {
+        pendingTestEdit = { testId, edit };
+        showEditVotesModal(result.message);
+        return;
+    }
+    if (!result.success) {
+        showError(result.message);
+        return;
+    }
+    
+    showSuccess(result.message);
+    resetCreateForm();
+    navigateTo('/dashboard');
+}
+
+/**
+ * Show the modal asking whether to reset votes or fork the test
+ * @param {string} message - Explanation with the vote count
+ */
+function showEditVotesModal(message) {
+    const modal = document.getElementById('edit-votes-modal');
+    if (!modal) return;
+    
+    document.getElementById('edit-votes-modal-message').textContent = message;
+    modal.classList.remove('hidden');
+    document.getElementById('modal-edit-cancel').focus();
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide the edit votes modal and drop the pending edit
+ */
+function hideEditVotesModal() {
+    const modal = document.getElementById('edit-votes-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    document.body.style.overflow = '';
+    pendingTestEdit = null;
+}
+
+/**
+ * Save the pending edit with the owner's choice
+ * @param {string} voteHandling - 'reset' or 'fork'
+ */
+async function confirmTestEdit(voteHandling) {
+    const pending = pendingTestEdit;
+    hideEditVotesModal();
+    if (pending) {
+        await submitTestEdit(pending.testId, pending.edit, voteHandling);
+    }
+}
+
+/**
+ * Handle a change of the browse category filter, keeping the other filters
+ * @param {Event} e - Change event from the category select
+ */
+function handleCategoryFilter(e) {
+    updateBrowseRoute({ ...getBrowseFilters(), category: e.target.value || null, page: 1 });
+}
+
+// Pending search while the user is still typing
+let browseSearchTimer = null;
+const BROWSE_SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Handle typing in the browse search box, searching once typing pauses
+ * @param {Event} e - Input event from the search box
+ */
+function handleBrowseSearch(e) {
+    const query = e.target.value.trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+    clearTimeout(browseSearchTimer);
+    browseSearchTimer = setTimeout(() => {
+        updateBrowseRoute({ ...getBrowseFilters(), query, page: 1 });
+    }, BROWSE_SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Handle a change of the browse sort order
+ * @param {Event} e - Change event from the sort select
+ */
+function handleBrowseSort(e) {
+    updateBrowseRoute({ ...getBrowseFilters(), sort: e.target.value, page: 1 });
+}
+
+/**
+ * Add the next page of tests to the browse grid and record it in the hash
+ */
+function handleLoadMoreTests() {
+    const filters = getBrowseFilters();
+    const tests = getBrowseResults(getAllTests(), filters, getBrowseVoterId());
+    const start = filters.page * BROWSE_PAGE_SIZE;
+    const next = tests.slice(start, start + BROWSE_PAGE_SIZE);
+    
+    appendBrowseCards(document.getElementById('tests-grid'), next);
+    updateBrowsePager(start + next.length, tests.length);
+    history.replaceState(null, '', `#${buildBrowsePath({ ...filters, page: filters.page + 1 })}`);
+    
+    // Move focus to the first new card so keyboard users continue from there
+    const firstNew = document.querySelector(`#tests-grid .test-card[data-test-id="${next[0] ? CSS.escape(next[0].id) : ''}"] h3`);
+    if (firstNew) {
+        firstNew.setAttribute('tabindex', '-1');
+        firstNew.focus();
+    }
+}
+
 /**
  * Handle vote button click
  */
-function handleVote(e) {
+async function handleVote(e) {
     const button = e.currentTarget;
     const testId = button.dataset.testId;
     const option = button.dataset.option;
     const currentUser = getCurrentUser();
+    const test = getTestById(testId);
     
-    if (!currentUser) {
-        navigateTo('/login');
+    if (!currentUser && !(test && test.allowGuestVotes)) {
+        redirectToLogin();
         return;
     }
     
     // Disable button during processing
     button.disabled = true;
     
-    const result = voteOnTest(testId, currentUser.id, option);
+    const voterId = currentUser ? currentUser.id : await ensureGuestVoterId();
+    if (!voterId) {
+        showError('Could not save your guest identity. Please log in to vote.');
+        button.disabled = false;
+        return;
+    }
+    
+    const result = await voteOnTest(testId, voterId, option);
     
     if (result.success) {
-        // Re-render browse view to show updated state
-        renderBrowseView();
+        // Re-render just this card so the list doesn't reorder under the voter
+        refreshBrowseCard(testId);
+    } else {
+        showError(result.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * Handle the "Allow guest votes" toggle on a dashboard card
+ * @param {Event} e - Change event
+ */
+async function handleGuestVotingToggle(e) {
+    const checkbox = e.currentTarget;
+    const currentUser = getCurrentUser();
+    
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    checkbox.disabled = true;
+    const result = await setGuestVoting(checkbox.dataset.testId, currentUser.id, checkbox.checked);
+    checkbox.disabled = false;
+    
+    if (result.success) {
+        showSuccess(result.message);
     } else {
+        checkbox.checked = !checkbox.checked;
         showError(result.message);
+    }
+}
+
+/**
+ * Handle a publish, pause, resume or close button on a dashboard card
+ * @param {Event} e - Click event
+ */
+async function handleTestLifecycleAction(e) {
+    const button = e.currentTarget;
+    const currentUser = getCurrentUser();
+    
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    button.disabled = true;
+    const result = await changeTestStatus(button.dataset.testId, currentUser.id, button.dataset.action);
+    
+    if (result.success) {
+        showSuccess(result.message);
+        renderDashboardView();
+    } else {
         button.disabled = false;
+        showError(result.message);
     }
 }
 
 /**
  * Handle share button click
  */
-function handleShare(e) {
+async function handleShare(e) {
     e.stopPropagation();
     const button = e.currentTarget;
     const testId = button.dataset.testId;
@@ -1251,7 +8492,14 @@ function handleShare(e) {
         return;
     }
     
-    const shareLink = generateShareLink(test);
+    let shareLink;
+    try {
+        shareLink = await generateShareLink(test);
+    } catch (error) {
+        console.error('Error generating share link:', error);
+        showError('Failed to generate share link');
+        return;
+    }
     
     // Copy to clipboard
     if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -1306,9 +8554,9 @@ function showDeleteModal(e) {
         return;
     }
     
-    // Verify user owns the test
-    if (test.userId !== currentUser.id) {
-        showError('You can only delete your own tests');
+    // Verify the user may delete tests in the test's workspace
+    if (!hasTestPermission(currentUser.id, test, 'delete')) {
+        showError('You do not have permission to delete this test');
         return;
     }
     
@@ -1352,7 +8600,7 @@ function hideDeleteModal() {
 /**
  * Confirm delete (actually delete the test)
  */
-function confirmDelete() {
+async function confirmDelete() {
     if (!testToDeleteId) {
         return;
     }
@@ -1371,9 +8619,9 @@ function confirmDelete() {
         return;
     }
     
-    // Verify user owns the test
-    if (test.userId !== currentUser.id) {
-        showError('You can only delete your own tests');
+    // Verify the user may delete tests in the test's workspace
+    if (!hasTestPermission(currentUser.id, test, 'delete')) {
+        showError('You do not have permission to delete this test');
         hideDeleteModal();
         return;
     }
@@ -1384,7 +8632,7 @@ function confirmDelete() {
         confirmBtn.textContent = 'Deleting...';
     }
     
-    const result = deleteTest(testToDeleteId, currentUser.id);
+    const result = await deleteTest(testToDeleteId, currentUser.id);
     
     if (result.success) {
         hideDeleteModal();
@@ -1418,7 +8666,7 @@ function confirmDelete() {
 /**
  * Handle restore button click
  */
-function handleRestore(e) {
+async function handleRestore(e) {
     e.stopPropagation();
     const button = e.currentTarget;
     const testId = button.dataset.testId;
@@ -1429,7 +8677,7 @@ function handleRestore(e) {
         return;
     }
     
-    const result = restoreTest(testId, currentUser.id);
+    const result = await restoreTest(testId, currentUser.id);
     
     if (result.success) {
         renderDashboardView();
@@ -1456,7 +8704,7 @@ function handleRestore(e) {
 /**
  * Handle permanent delete button click
  */
-function handlePermanentDelete(e) {
+async function handlePermanentDelete(e) {
     e.stopPropagation();
     const button = e.currentTarget;
     const testId = button.dataset.testId;
@@ -1482,7 +8730,7 @@ function handlePermanentDelete(e) {
     
     button.disabled = true;
     
-    const result = permanentlyDeleteTest(testId, currentUser.id);
+    const result = await permanentlyDeleteTest(testId, currentUser.id);
     
     if (result.success) {
         renderDashboardView();
@@ -1510,7 +8758,7 @@ function handlePermanentDelete(e) {
 /**
  * Handle shared test import
  */
-function handleSharedTest(encodedData) {
+async function handleSharedTest(encodedData) {
     showView('share-view');
     const shareContent = document.getElementById('share-content');
     
@@ -1518,13 +8766,19 @@ function handleSharedTest(encodedData) {
     
     shareContent.innerHTML = '<p>Importing test...</p>';
     
-    const result = importSharedTest(encodedData);
+    const result = await importSharedTest(encodedData);
     
     if (result.success) {
         shareContent.innerHTML = `
             <p>Test imported successfully!</p>
+            <article class="test-card shared-test-preview">
+                <h3>${escapeHtml(result.test.title)}</h3>
+                ${renderTestIntro(result.test)}
+                ${renderTestVariants(result.test)}
+            </article>
             <a href="#/" class="btn btn-primary">View All Tests</a>
         `;
+        resolveImageRefs(shareContent);
         // Refresh browse view after a short delay
         setTimeout(() => {
             navigateTo('/');
@@ -1610,6 +8864,7 @@ function handleUrlInput(url, inputId, previewId) {
  */
 async function handleImageFile(file, inputId, previewId) {
     try {
+        // Stored in the image store when the test is saved
         const dataUrl = await fileToDataUrl(file);
         const input = document.getElementById(inputId);
         if (input) {
@@ -1624,6 +8879,236 @@ async function handleImageFile(file, inputId, previewId) {
     }
 }
 
+/**
+ * Read the variant rows of the create form
+ * @returns {Array<Object>} { type, label, image, text } per variant, in order
+ */
+function getVariantFieldValues() {
+    return Array.from(document.querySelectorAll('#variant-fields .variant-field')).map(field => ({
+        type: field.querySelector('.variant-type-select').value,
+        label: field.querySelector('.variant-label-input').value,
+        caption: field.querySelector('.variant-caption-input').value,
+        image: field.querySelector('.variant-image-input').value,
+        text: field.querySelector('.variant-text-input').value
+    }));
+}
+
+/**
+ * Render one variant row of the create form
+ * @param {number} index - Position of the variant
+ * @param {boolean} removable - Whether the row gets a remove button
+ * @returns {string} HTML string
+ */
+function renderVariantField(index, removable) {
+    const id = VARIANT_IDS[index];
+    const key = id.toLowerCase();
+    
+    return `
+        <div class="form-group variant-field" data-variant-index="${index}">
+            <div class="variant-field-header">
+                <span class="variant-field-title">Variant ${id}</span>
+                <select id="variant-type-${key}" class="variant-type-select" data-variant-key="${key}" aria-label="Kind of variant ${id}">
+                    <option value="image">Image</option>
+                    <option value="text">Text</option>
+                </select>
+                ${removable ? `
+                    <button type="button" class="remove-variant-btn" data-variant-index="${index}" aria-label="Remove variant ${id}">Remove</button>
+                ` : ''}
+            </div>
+            <input 
+                type="text" 
+                id="variant-label-${key}" 
+                class="variant-label-input" 
+                placeholder="Label (defaults to ${id})"
+                maxlength="${VARIANT_LABEL_MAX_LENGTH}"
+                aria-label="Label for variant ${id}"
+            >
+            <input 
+                type="text" 
+                id="variant-caption-${key}" 
+                class="variant-caption-input" 
+                placeholder="Caption shown under the variant (optional)"
+                maxlength="${VARIANT_CAPTION_MAX_LENGTH}"
+                aria-label="Caption for variant ${id}"
+            >
+            <div class="image-input-group variant-image-fields">
+                <input 
+                    type="text" 
+                    id="test-image-${key}" 
+                    class="variant-image-input" 
+                    placeholder="Enter image URL"
+                    aria-label="Image URL for variant ${id}"
+                    aria-describedby="test-image-${key}-error test-image-${key}-preview"
+                >
+                <span class="input-divider">or</span>
+                <div 
+                    class="drop-zone" 
+                    id="drop-zone-${key}"
+                    role="button"
+                    tabindex="0"
+                    aria-label="Drop image file for Image ${id}"
+                    aria-describedby="drop-zone-${key}-help"
+                >
+                    <svg class="drop-zone-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <line x1="12" y1="5" x2="12" y2="19"></line>
+                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                    </svg>
+                    <span class="drop-zone-text">Drag & drop image or paste URL</span>
+                    <input 
+                        type="file" 
+                        id="file-input-${key}" 
+                        class="file-input" 
+                        accept="image/*"
+                        aria-label="Select image file for Image ${id}"
+                    >
+                    <span id="drop-zone-${key}-help" class="help-text">Click to upload file, or paste image URL here</span>
+                </div>
+            </div>
+            <div class="variant-text-fields hidden">
+                <textarea 
+                    id="test-text-${key}" 
+                    class="variant-text-input" 
+                    rows="3"
+                    maxlength="${VARIANT_TEXT_MAX_LENGTH}"
+                    placeholder="Headline, CTA label or tagline"
+                    aria-label="Text for variant ${id}"
+                    aria-describedby="test-image-${key}-error test-text-${key}-help"
+                ></textarea>
+                <span id="test-text-${key}-help" class="help-text">Use **bold** and *italic*; line breaks are kept</span>
+            </div>
+            <span id="test-image-${key}-error" class="error-text" role="alert" aria-live="polite"></span>
+        </div>
+    `;
+}
+
+/**
+ * Show the input and preview matching a variant row's kind
+ * @param {string} key - Lowercase variant id
+ */
+function updateVariantPreview(key) {
+    const isText = document.getElementById(`variant-type-${key}`).value === 'text';
+    const field = document.getElementById(`variant-type-${key}`).closest('.variant-field');
+    field.querySelector('.variant-image-fields').classList.toggle('hidden', isText);
+    field.querySelector('.variant-text-fields').classList.toggle('hidden', !isText);
+    
+    if (!isText) {
+        updateImagePreview(`test-image-${key}`, `test-image-${key}-preview`);
+        return;
+    }
+    
+    const text = document.getElementById(`test-text-${key}`).value.trim();
+    const preview = document.getElementById(`test-image-${key}-preview`);
+    preview.innerHTML = text
+        ? `<div class="variant-text">${formatRichText(text)}</div>`
+        : '<span class="preview-placeholder">Enter text to preview</span>';
+}
+
+/**
+ * Rebuild the variant rows and previews of the create form
+ * @param {Array<Object>} entries - { type, label, caption, image, text } per variant, in order
+ */
+function renderVariantFields(entries) {
+    const container = document.getElementById('variant-fields');
+    const previews = document.getElementById('variant-previews');
+    if (!container || !previews) return;
+    
+    const removable = entries.length > MIN_VARIANTS;
+    container.innerHTML = entries.map((entry, index) => renderVariantField(index, removable)).join('');
+    previews.innerHTML = entries.map((entry, index) => `
+        <div class="preview-item">
+            <label>Variant ${VARIANT_IDS[index]}</label>
+            <div id="test-image-${VARIANT_IDS[index].toLowerCase()}-preview" class="image-preview" role="img" aria-label="Preview of variant ${VARIANT_IDS[index]}">
+                <span class="preview-placeholder">Enter URL to preview</span>
+            </div>
+        </div>
+    `).join('');
+    previews.classList.toggle('preview-images-multi', entries.length > 2);
+    
+    entries.forEach((entry, index) => {
+        const key = VARIANT_IDS[index].toLowerCase();
+        const inputId = `test-image-${key}`;
+        const previewId = `${inputId}-preview`;
+        const imageInput = document.getElementById(inputId);
+        const textInput = document.getElementById(`test-text-${key}`);
+        const typeSelect = document.getElementById(`variant-type-${key}`);
+        
+        typeSelect.value = entry.type;
+        document.getElementById(`variant-label-${key}`).value = entry.label;
+        document.getElementById(`variant-caption-${key}`).value = entry.caption || '';
+        imageInput.value = entry.image;
+        textInput.value = entry.text;
+        
+        typeSelect.addEventListener('change', () => {
+            setFieldError(inputId, '');
+            updateVariantPreview(key);
+        });
+        imageInput.addEventListener('input', () => {
+            const value = imageInput.value.trim();
+            if (value && !isValidUrl(value)) {
+                setFieldError(inputId, 'Please enter a valid URL or upload an image file');
+            } else {
+                setFieldError(inputId, '');
+            }
+            updateImagePreview(inputId, previewId);
+        });
+        textInput.addEventListener('input', () => {
+            setFieldError(inputId, '');
+            updateVariantPreview(key);
+        });
+        setupDragAndDrop(`drop-zone-${key}`, `file-input-${key}`, inputId, previewId);
+        updateVariantPreview(key);
+    });
+    
+    container.querySelectorAll('.remove-variant-btn').forEach(button => {
+        button.addEventListener('click', handleRemoveVariant);
+    });
+    
+    const addButton = document.getElementById('add-variant-btn');
+    if (addButton) {
+        addButton.disabled = entries.length >= MAX_VARIANTS;
+    }
+}
+
+/**
+ * Get an empty create form variant entry
+ * @returns {Object} { type, label, caption, image, text }
+ */
+function getEmptyVariantEntry() {
+    return { type: 'image', label: '', caption: '', image: '', text: '' };
+}
+
+/**
+ * Reset the create form to an empty A/B pair
+ */
+function resetVariantFields() {
+    renderVariantFields(Array.from({ length: MIN_VARIANTS }, getEmptyVariantEntry));
+}
+
+/**
+ * Handle add variant button click
+ */
+function handleAddVariant() {
+    const entries = getVariantFieldValues();
+    if (entries.length >= MAX_VARIANTS) {
+        return;
+    }
+    entries.push(getEmptyVariantEntry());
+    renderVariantFields(entries);
+    document.getElementById(`test-image-${VARIANT_IDS[entries.length - 1].toLowerCase()}`).focus();
+}
+
+/**
+ * Handle remove variant button click (later variants move up a letter)
+ */
+function handleRemoveVariant(e) {
+    const entries = getVariantFieldValues();
+    if (entries.length <= MIN_VARIANTS) {
+        return;
+    }
+    entries.splice(Number(e.currentTarget.dataset.variantIndex), 1);
+    renderVariantFields(entries);
+}
+
 /**
  * Setup drag and drop handlers for a drop zone
  * @param {string} dropZoneId - Drop zone element ID
@@ -1771,10 +9256,20 @@ function updateImagePreview(inputId, previewId) {
     container.style.width = '100%';
     container.style.height = '100%';
     
-    // Create image element
+    // Create image element (stored images are resolved to an object URL)
     const img = document.createElement('img');
-    img.src = url;
-    img.alt = `Preview of ${inputId.includes('a') ? 'Image A' : 'Image B'}`;
+    if (isImageRef(url)) {
+        resolveImageUrl(url)
+            .then(objectUrl => {
+                img.src = objectUrl;
+            })
+            .catch(() => img.onerror());
+    } else {
+        img.src = url;
+    }
+    // Variant inputs are named test-image-<letter>
+    const imageName = `Image ${inputId.slice(-1).toUpperCase()}`;
+    img.alt = `Preview of ${imageName}`;
     img.style.width = '100%';
     img.style.height = '100%';
     img.style.objectFit = 'cover';
@@ -1784,7 +9279,7 @@ function updateImagePreview(inputId, previewId) {
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'delete-image-btn';
     deleteBtn.type = 'button';
-    deleteBtn.setAttribute('aria-label', `Delete ${inputId.includes('a') ? 'Image A' : 'Image B'}`);
+    deleteBtn.setAttribute('aria-label', `Delete ${imageName}`);
     deleteBtn.innerHTML = `
         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
             <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -1796,26 +9291,503 @@ function updateImagePreview(inputId, previewId) {
         deleteImage(inputId, previewId);
     });
     
-    img.onload = () => {
-        preview.innerHTML = '';
-        container.appendChild(img);
-        container.appendChild(deleteBtn);
-        preview.appendChild(container);
-        // Clear error state when image loads successfully
-        setFieldError(inputId, '');
-    };
+    img.onload = () => {
+        preview.innerHTML = '';
+        container.appendChild(img);
+        container.appendChild(deleteBtn);
+        preview.appendChild(container);
+        // Clear error state when image loads successfully
+        setFieldError(inputId, '');
+    };
+    
+    img.onerror = () => {
+        preview.innerHTML = '<span class="preview-placeholder">Image failed to load</span>';
+        // Show error if URL is invalid
+        setFieldError(inputId, 'Please enter a valid URL or upload an image file');
+    };
+    
+    // Append container with image and delete button
+    preview.innerHTML = '';
+    container.appendChild(img);
+    container.appendChild(deleteBtn);
+    preview.appendChild(container);
+}
+
+/**
+ * Offer a backup bundle to the user as a JSON file download
+ * @param {Object} bundle - Bundle from createWorkspaceBundle() or createTestsBundle()
+ * @param {string} filename - Name of the downloaded file
+ */
+function downloadBundle(bundle, filename) {
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle export workspace click (downloads a backup file)
+ */
+async function handleExportWorkspace() {
+    showLoading(true);
+    try {
+        const bundle = await createWorkspaceBundle();
+        downloadBundle(bundle, `abtest-workspace-${bundle.exportedAt.slice(0, 10)}.json`);
+        showSuccess('Workspace exported');
+    } catch (error) {
+        console.error('Error exporting workspace:', error);
+        showError('Failed to export workspace');
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Show import workspace modal
+ */
+function showImportModal() {
+    const modal = document.getElementById('import-modal');
+    const form = document.getElementById('import-form');
+    if (!modal) return;
+    
+    if (form) {
+        form.reset();
+        clearFormErrors(form);
+    }
+    // Replacing everyone's data is for admins only
+    const replaceMode = document.getElementById('import-mode-replace');
+    if (replaceMode) {
+        replaceMode.disabled = !hasPermission(getCurrentUser(), 'manageUsers');
+    }
+    updateImportConflictVisibility();
+    
+    modal.classList.remove('hidden');
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) {
+        fileInput.focus();
+    }
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide import workspace modal
+ */
+function hideImportModal() {
+    const modal = document.getElementById('import-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+        
+        const confirmBtn = document.getElementById('modal-import-confirm');
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
+            confirmBtn.textContent = 'Import';
+        }
+    }
+}
+
+/**
+ * Conflict handling only applies when merging
+ */
+function updateImportConflictVisibility() {
+    const replaceMode = document.getElementById('import-mode-replace');
+    const conflictGroup = document.getElementById('import-conflict-group');
+    const replaceWarning = document.getElementById('import-replace-warning');
+    const isReplace = !!(replaceMode && replaceMode.checked);
+    
+    if (conflictGroup) conflictGroup.classList.toggle('hidden', isReplace);
+    if (replaceWarning) replaceWarning.classList.toggle('hidden', !isReplace);
+}
+
+/**
+ * Confirm import (read the selected file and import it)
+ */
+async function confirmImport() {
+    const form = document.getElementById('import-form');
+    const fileInput = document.getElementById('import-file');
+    const confirmBtn = document.getElementById('modal-import-confirm');
+    
+    if (form) clearFormErrors(form);
+    
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        hideImportModal();
+        showError('You must be logged in to import a workspace');
+        return;
+    }
+    
+    const file = fileInput && fileInput.files[0];
+    if (!file) {
+        setFieldError('import-file', 'Please choose a backup file');
+        return;
+    }
+    
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch {
+        setFieldError('import-file', 'This is not a workspace backup file');
+        return;
+    }
+    
+    const mode = document.getElementById('import-mode-replace').checked ? 'replace' : 'merge';
+    const conflict = document.getElementById('import-conflict').value;
+    
+    if (confirmBtn) {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Importing...';
+    }
+    
+    const result = await importWorkspaceBundle(currentUser.id, bundle, { mode, conflict });
+    
+    if (result.success) {
+        hideImportModal();
+        refreshCurrentView();
+        const { users, testsAdded, testsUpdated, testsSkipped } = result.summary;
+        showSuccess(`Imported ${testsAdded + testsUpdated} tests and ${users} users` +
+            (testsSkipped > 0 ? ` (${testsSkipped} existing tests kept)` : ''));
+    } else {
+        setFieldError('import-file', result.message);
+        if (confirmBtn) {
+            confirmBtn.disabled = false;
+            confirmBtn.textContent = 'Import';
+        }
+    }
+}
+
+/**
+ * Run a storage cleanup action from the storage view
+ * @param {HTMLButtonElement} button - Button that triggered the action
+ * @param {Function} action - Async cleanup function returning a result object
+ * @param {Function} describe - Builds the success message from the result
+ */
+async function runStorageCleanup(button, action, describe) {
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Working...';
+    
+    const result = await action();
+    
+    button.textContent = label;
+    button.disabled = false;
+    
+    if (result.success) {
+        showSuccess(describe(result));
+    } else {
+        showError(result.message);
+    }
+    renderStorageView();
+}
+
+/**
+ * Handle empty trash click in the storage view
+ */
+function handleStorageEmptyTrash(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
+    
+    if (!confirm('Permanently delete every test in your trash? This action cannot be undone.')) {
+        return;
+    }
+    
+    runStorageCleanup(e.currentTarget, () => emptyTrash(currentUser.id), result =>
+        `Permanently deleted ${result.count} tests`
+    );
+}
+
+/**
+ * Handle the Empty trash button on the dashboard's Deleted tab
+ * @param {Event} e - Click event
+ */
+async function handleDashboardEmptyTrash(e) {
+    const button = e.currentTarget;
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    if (!confirm('Permanently delete every test in your trash? This action cannot be undone.')) {
+        return;
+    }
+    
+    button.disabled = true;
+    const result = await emptyTrash(currentUser.id);
+    button.disabled = false;
+    
+    if (result.success) {
+        showSuccess(`Permanently deleted ${result.count} test${result.count === 1 ? '' : 's'}`);
+        renderDashboardView();
+    } else {
+        showError(result.message);
+    }
+}
+
+/**
+ * Handle trash retention form submission in the storage view
+ * @param {Event} e - Submit event
+ */
+async function handleTrashRetention(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const result = await setTrashRetentionDays(Number(document.getElementById('trash-retention-days').value));
+    if (result.success) {
+        showSuccess(result.message);
+    } else {
+        setFieldError('trash-retention-days', result.message);
+    }
+}
+
+/**
+ * Handle a dashboard card's selection checkbox
+ * @param {Event} e - Change event
+ */
+function handleTestSelect(e) {
+    const { testId, panel } = e.target.dataset;
+    if (e.target.checked) {
+        selectedTestIds[panel].add(testId);
+    } else {
+        selectedTestIds[panel].delete(testId);
+    }
+    
+    const container = e.target.closest('.dashboard-tests');
+    const tests = Array.from(container.querySelectorAll('.test-select-checkbox'))
+        .map(checkbox => ({ id: checkbox.dataset.testId }));
+    updateBulkBar(panel, tests);
+}
+
+/**
+ * Handle a bulk bar's Select all checkbox
+ * @param {Event} e - Change event
+ */
+function handleBulkSelectAll(e) {
+    const bar = e.target.closest('.bulk-bar');
+    const { panel } = bar.dataset;
+    const checkboxes = Array.from(bar.parentElement.querySelectorAll('.test-select-checkbox'));
+    
+    checkboxes.forEach(checkbox => {
+        checkbox.checked = e.target.checked;
+        if (e.target.checked) {
+            selectedTestIds[panel].add(checkbox.dataset.testId);
+        } else {
+            selectedTestIds[panel].delete(checkbox.dataset.testId);
+        }
+    });
+    updateBulkBar(panel, checkboxes.map(checkbox => ({ id: checkbox.dataset.testId })));
+}
+
+// Bulk action awaiting confirmation: { panel, action, plan }
+let pendingBulkAction = null;
+
+/**
+ * Handle a bulk action button, summarizing the action in the confirmation modal
+ * @param {Event} e - Click event
+ */
+function handleBulkActionClick(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+        redirectToLogin();
+        return;
+    }
+    
+    const { action } = e.currentTarget.dataset;
+    const { panel } = e.currentTarget.closest('.bulk-bar').dataset;
+    const plan = planBulkAction([...selectedTestIds[panel]], currentUser.id, action);
+    showBulkActionModal(panel, action, plan);
+}
+
+/**
+ * Show the bulk action confirmation modal
+ * @param {string} panel - Dashboard tab the action came from
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} plan - Plan from planBulkAction()
+ */
+function showBulkActionModal(panel, action, plan) {
+    const modal = document.getElementById('bulk-action-modal');
+    const tagForm = document.getElementById('bulk-tag-form');
+    if (!modal) return;
+    
+    pendingBulkAction = { panel, action, plan };
+    
+    const { label } = BULK_ACTIONS[action];
+    document.getElementById('bulk-action-modal-title').textContent = label;
+    const summary = document.getElementById('bulk-action-summary');
+    summary.innerHTML = describeBulkPlan(action, plan)
+        .map(line => `<li>${escapeHtml(line)}</li>`)
+        .join('');
+    
+    tagForm.reset();
+    clearFormErrors(tagForm);
+    tagForm.classList.toggle('hidden', action !== 'tag');
+    
+    const confirmBtn = document.getElementById('modal-bulk-confirm');
+    confirmBtn.textContent = label;
+    confirmBtn.disabled = plan.tests.length === 0;
+    confirmBtn.classList.toggle('btn-delete-confirm', action === 'permanentDelete' || action === 'delete');
+    confirmBtn.classList.toggle('btn-primary', action !== 'permanentDelete' && action !== 'delete');
+    
+    modal.classList.remove('hidden');
+    if (action === 'tag') {
+        document.getElementById('bulk-tags').focus();
+    } else {
+        document.getElementById('modal-bulk-cancel').focus();
+    }
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide the bulk action modal and drop the pending action
+ */
+function hideBulkActionModal() {
+    const modal = document.getElementById('bulk-action-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    document.body.style.overflow = '';
+    pendingBulkAction = null;
+}
+
+/**
+ * Run the bulk action confirmed in the modal
+ */
+async function confirmBulkAction() {
+    const currentUser = getCurrentUser();
+    const pending = pendingBulkAction;
+    if (!currentUser || !pending) {
+        hideBulkActionModal();
+        return;
+    }
+    
+    const { panel, action, plan } = pending;
+    const options = {};
+    if (action === 'tag') {
+        const tags = parseTags(document.getElementById('bulk-tags').value);
+        const tagError = tags.length === 0 ? 'Enter at least one tag' : validateTags(tags);
+        if (tagError) {
+            setFieldError('bulk-tags', tagError);
+            return;
+        }
+        options.tags = tags;
+    }
+    
+    const confirmBtn = document.getElementById('modal-bulk-confirm');
+    confirmBtn.disabled = true;
+    showLoading(true);
+    try {
+        if (action === 'export') {
+            const bundle = await createTestsBundle(plan.tests);
+            downloadBundle(bundle, `abtest-tests-${bundle.exportedAt.slice(0, 10)}.json`);
+            showSuccess(`${plan.tests.length} test${plan.tests.length === 1 ? '' : 's'} exported`);
+        } else {
+            const result = await applyBulkAction(plan, currentUser.id, action, options);
+            if (result.success) {
+                showSuccess(result.message);
+            } else {
+                showError(result.message);
+            }
+        }
+        selectedTestIds[panel].clear();
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        showError('Failed to apply the bulk action');
+    } finally {
+        showLoading(false);
+        confirmBtn.disabled = false;
+        hideBulkActionModal();
+        renderDashboardView();
+    }
+}
+
+/**
+ * Handle recompress images click in the storage view
+ */
+function handleStorageRecompress(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
+    
+    runStorageCleanup(e.currentTarget, () => recompressStoredImages(currentUser.id), result =>
+        result.count > 0
+            ? `Recompressed ${result.count} images, saving ${formatBytes(result.savedBytes)}`
+            : 'No images could be made smaller'
+    );
+}
+
+/**
+ * Handle drop old votes click in the storage view
+ */
+function handleStorageDropVotes(e) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
+    
+    if (!confirm(`Remove all votes from your tests created more than ${OLD_TEST_AGE_DAYS} days ago? Their results will be lost.`)) {
+        return;
+    }
+    
+    runStorageCleanup(e.currentTarget, () => dropVotesFromOldTests(currentUser.id), result =>
+        `Dropped votes from ${result.count} tests`
+    );
+}
+
+/**
+ * Handle sync settings form submission
+ */
+async function handleSyncSettings(e) {
+    e.preventDefault();
+    clearFormErrors(e.target);
+    
+    const endpoint = document.getElementById('sync-endpoint').value;
+    const passwordInput = document.getElementById('sync-password');
+    const result = await configureSync(endpoint);
+    
+    if (!result.success) {
+        setFieldError('sync-endpoint', result.message);
+        return;
+    }
+    
+    // Accounts first sent by this sync already got a session with their registration
+    const currentUser = getCurrentUser();
+    if (currentUser && passwordInput.value && getSyncState().endpoint && !getSyncSessionToken(currentUser.id)) {
+        const signedIn = await signInToSyncServer(currentUser.email, passwordInput.value);
+        passwordInput.value = '';
+        if (!signedIn) {
+            setFieldError('sync-password', 'The sync server did not accept this password');
+            renderSyncStatus();
+            return;
+        }
+        syncNow();
+    }
+    passwordInput.value = '';
+    
+    showSuccess(result.message);
+    renderSyncStatus();
+}
+
+/**
+ * Handle sync now click
+ */
+async function handleSyncNow(e) {
+    const button = e.currentTarget;
+    
+    if (!getSyncState().endpoint) {
+        setFieldError('sync-endpoint', 'Enter a sync server URL first');
+        return;
+    }
     
-    img.onerror = () => {
-        preview.innerHTML = '<span class="preview-placeholder">Image failed to load</span>';
-        // Show error if URL is invalid
-        setFieldError(inputId, 'Please enter a valid URL or upload an image file');
-    };
+    button.disabled = true;
+    const synced = await syncNow();
+    button.disabled = false;
     
-    // Append container with image and delete button
-    preview.innerHTML = '';
-    container.appendChild(img);
-    container.appendChild(deleteBtn);
-    preview.appendChild(container);
+    if (synced) {
+        showSuccess('Sync complete');
+    } else {
+        showError(navigator.onLine === false ? 'You are offline. Changes will sync when you reconnect.' : 'Sync failed');
+    }
 }
 
 // ============================================
@@ -1825,13 +9797,35 @@ function updateImagePreview(inputId, previewId) {
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     // Check localStorage availability
     if (typeof Storage === 'undefined') {
         showError('localStorage is not available in your browser.');
         return;
     }
     
+    // Load persisted data before anything reads it
+    showLoading(true);
+    try {
+        await initStorage();
+        // Upgrade stored data before anything renders, then drop tests that
+        // outlived the trash retention period
+        if (await runMigrations()) {
+            await purgeExpiredTrash();
+        }
+    } catch (error) {
+        console.error('Error initializing storage:', error);
+        showError('Storage error. Please check your browser settings.');
+    } finally {
+        showLoading(false);
+    }
+    
+    // Keep this tab in sync with changes made in other tabs
+    setupCrossTabSync();
+    
+    // Track activity and sign out idle or expired sessions
+    setupSessionMonitor();
+    
     // Set up routing
     window.addEventListener('hashchange', handleRoute);
     
@@ -1889,8 +9883,9 @@ function init() {
                     setFieldError(this.id, '');
                 } else if (this.id === 'register-email' && !isValidEmail(value)) {
                     setFieldError(this.id, 'Please enter a valid email');
-                } else if (this.id === 'register-password' && value.length > 0 && value.length < 6) {
-                    setFieldError(this.id, 'Password must be at least 6 characters');
+                } else if (this.id === 'register-password') {
+                    const email = document.getElementById('register-email').value.trim();
+                    setFieldError(this.id, checkPasswordStrength(value, email).errors[0] || '');
                 } else if (this.id === 'register-password-confirm') {
                     const password = document.getElementById('register-password').value;
                     if (value && value !== password) {
@@ -1905,13 +9900,26 @@ function init() {
             input.addEventListener('blur', function() {
                 const value = this.value;
                 if (value === '' || this.validity.valid) {
-                    if (this.id !== 'register-password-confirm' || 
+                    if (this.id === 'register-password') {
+                        const email = document.getElementById('register-email').value.trim();
+                        setFieldError(this.id, value ? checkPasswordStrength(value, email).errors[0] || '' : '');
+                    } else if (this.id !== 'register-password-confirm' || 
                         value === document.getElementById('register-password').value) {
                         setFieldError(this.id, '');
                     }
                 }
             });
         });
+        
+        // Keep the strength meter current; the email matters because the password mustn't contain it
+        ['register-password', 'register-email'].forEach(fieldId => {
+            const input = document.getElementById(fieldId);
+            if (input) {
+                input.addEventListener('input', () => {
+                    updatePasswordStrengthMeter('register-password', document.getElementById('register-email').value.trim());
+                });
+            }
+        });
     }
     
     // Set up create test form
@@ -1919,9 +9927,7 @@ function init() {
     if (createForm) {
         createForm.addEventListener('submit', handleCreateTest);
         
-        // Image preview on input with inline validation
-        const imageAInput = document.getElementById('test-image-a');
-        const imageBInput = document.getElementById('test-image-b');
+        // Title validation and variant rows (each with inline URL validation)
         const titleInput = document.getElementById('test-title');
         
         if (titleInput) {
@@ -1943,33 +9949,12 @@ function init() {
             });
         }
         
-        if (imageAInput) {
-            imageAInput.addEventListener('input', () => {
-                const value = imageAInput.value.trim();
-                if (value && !isValidUrl(value)) {
-                    setFieldError('test-image-a', 'Please enter a valid URL or upload an image file');
-                } else {
-                    setFieldError('test-image-a', '');
-                }
-                updateImagePreview('test-image-a', 'test-image-a-preview');
-            });
-        }
+        resetVariantFields();
         
-        if (imageBInput) {
-            imageBInput.addEventListener('input', () => {
-                const value = imageBInput.value.trim();
-                if (value && !isValidUrl(value)) {
-                    setFieldError('test-image-b', 'Please enter a valid URL or upload an image file');
-                } else {
-                    setFieldError('test-image-b', '');
-                }
-                updateImagePreview('test-image-b', 'test-image-b-preview');
-            });
+        const addVariantBtn = document.getElementById('add-variant-btn');
+        if (addVariantBtn) {
+            addVariantBtn.addEventListener('click', handleAddVariant);
         }
-        
-        // Set up drag and drop for image inputs
-        setupDragAndDrop('drop-zone-a', 'file-input-a', 'test-image-a', 'test-image-a-preview');
-        setupDragAndDrop('drop-zone-b', 'file-input-b', 'test-image-b', 'test-image-b-preview');
     }
     
     // Initialize navigation
@@ -1981,10 +9966,278 @@ function init() {
     // Set up delete modal
     setupDeleteModal();
     
+    // Set up workspace import modal
+    setupImportModal();
+    
+    // Set up account settings
+    const emailForm = document.getElementById('email-form');
+    if (emailForm) {
+        emailForm.addEventListener('submit', handleChangeEmail);
+    }
+    const passwordForm = document.getElementById('password-form');
+    if (passwordForm) {
+        passwordForm.addEventListener('submit', handleChangePassword);
+    }
+    const newPasswordInput = document.getElementById('settings-new-password');
+    if (newPasswordInput) {
+        newPasswordInput.addEventListener('input', () => {
+            const currentUser = getCurrentUser();
+            updatePasswordStrengthMeter('settings-new-password', currentUser ? currentUser.email : '');
+        });
+    }
+    const deleteAccountBtn = document.getElementById('settings-delete-account-btn');
+    if (deleteAccountBtn) {
+        deleteAccountBtn.addEventListener('click', showDeleteAccountModal);
+    }
+    setupDeleteAccountModal();
+    
+    // Set up workspaces
+    const workspaceSwitcher = document.getElementById('workspace-switcher');
+    if (workspaceSwitcher) {
+        workspaceSwitcher.addEventListener('change', handleWorkspaceSwitch);
+    }
+    const workspaceCreateForm = document.getElementById('workspace-create-form');
+    if (workspaceCreateForm) {
+        workspaceCreateForm.addEventListener('submit', handleCreateWorkspace);
+    }
+    const workspaceInviteForm = document.getElementById('workspace-invite-form');
+    if (workspaceInviteForm) {
+        workspaceInviteForm.addEventListener('submit', handleWorkspaceInvite);
+    }
+    const workspaceLeaveBtn = document.getElementById('workspace-leave-btn');
+    if (workspaceLeaveBtn) {
+        workspaceLeaveBtn.addEventListener('click', handleLeaveWorkspace);
+    }
+    
+    // Set up browse search, sorting, filters and paging
+    const browseSearch = document.getElementById('browse-search');
+    if (browseSearch) {
+        browseSearch.addEventListener('input', handleBrowseSearch);
+    }
+    const browseSort = document.getElementById('browse-sort');
+    if (browseSort) {
+        browseSort.addEventListener('change', handleBrowseSort);
+    }
+    const categoryFilter = document.getElementById('browse-category-filter');
+    if (categoryFilter) {
+        categoryFilter.addEventListener('change', handleCategoryFilter);
+    }
+    const loadMoreBtn = document.getElementById('browse-load-more');
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', handleLoadMoreTests);
+    }
+    
+    // Set up reporting and the moderation console
+    setupReasonModal('report-modal', 'modal-report-confirm', 'modal-report-cancel', confirmReport, hideReportModal);
+    setupReasonModal('moderation-modal', 'modal-moderation-confirm', 'modal-moderation-cancel', confirmModerationAction, hideModerationModal);
+    
+    // Set up dashboard bulk selection and its confirmation modal
+    document.querySelectorAll('.bulk-select-all input').forEach(checkbox => {
+        checkbox.addEventListener('change', handleBulkSelectAll);
+    });
+    document.querySelectorAll('.bulk-action-btn').forEach(button => {
+        button.addEventListener('click', handleBulkActionClick);
+    });
+    setupReasonModal('bulk-action-modal', 'modal-bulk-confirm', 'modal-bulk-cancel', confirmBulkAction, hideBulkActionModal);
+    const bulkTagForm = document.getElementById('bulk-tag-form');
+    if (bulkTagForm) {
+        bulkTagForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            confirmBulkAction();
+        });
+    }
+    
+    // Set up the reset-or-fork choice for edits to voted tests
+    setupReasonModal('edit-votes-modal', 'modal-edit-reset', 'modal-edit-cancel', () => confirmTestEdit('reset'), hideEditVotesModal);
+    const forkBtn = document.getElementById('modal-edit-fork');
+    if (forkBtn) {
+        forkBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            confirmTestEdit('fork');
+        });
+    }
+    setupModerationTabs();
+    
+    // Set up profile form
+    const profileForm = document.getElementById('profile-form');
+    if (profileForm) {
+        profileForm.addEventListener('submit', handleProfileSubmit);
+    }
+    const avatarFileInput = document.getElementById('profile-avatar-file');
+    if (avatarFileInput) {
+        avatarFileInput.addEventListener('change', () => {
+            if (avatarFileInput.files[0]) {
+                handleProfileAvatarFile(avatarFileInput.files[0]);
+            }
+            avatarFileInput.value = '';
+        });
+    }
+    const avatarResetBtn = document.getElementById('profile-avatar-reset-btn');
+    if (avatarResetBtn) {
+        avatarResetBtn.addEventListener('click', () => {
+            document.getElementById('profile-avatar').value = '';
+            updateProfileAvatarPreview();
+        });
+    }
+    
+    // Set up storage cleanup actions
+    const storageActions = {
+        'storage-empty-trash-btn': handleStorageEmptyTrash,
+        'storage-recompress-btn': handleStorageRecompress,
+        'storage-drop-votes-btn': handleStorageDropVotes
+    };
+    Object.entries(storageActions).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+    const trashRetentionForm = document.getElementById('trash-retention-form');
+    if (trashRetentionForm) {
+        trashRetentionForm.addEventListener('submit', handleTrashRetention);
+    }
+    const dashboardEmptyTrashBtn = document.getElementById('dashboard-empty-trash-btn');
+    if (dashboardEmptyTrashBtn) {
+        dashboardEmptyTrashBtn.addEventListener('click', handleDashboardEmptyTrash);
+    }
+    
+    // Set up team sync
+    const syncForm = document.getElementById('sync-form');
+    if (syncForm) {
+        syncForm.addEventListener('submit', handleSyncSettings);
+    }
+    const syncNowBtn = document.getElementById('sync-now-btn');
+    if (syncNowBtn) {
+        syncNowBtn.addEventListener('click', handleSyncNow);
+    }
+    setupRemoteSync();
+    
     // Handle initial route
     handleRoute();
 }
 
+/**
+ * Setup delete account modal handlers
+ */
+function setupDeleteAccountModal() {
+    const modal = document.getElementById('delete-account-modal');
+    const confirmBtn = document.getElementById('modal-delete-account-confirm');
+    const cancelBtn = document.getElementById('modal-delete-account-cancel');
+    const overlay = modal?.querySelector('.modal-overlay');
+    
+    if (!modal) return;
+    
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            confirmDeleteAccount();
+        });
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            hideDeleteAccountModal();
+        });
+    }
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target === overlay) {
+            hideDeleteAccountModal();
+        }
+    });
+    
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+    }
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            hideDeleteAccountModal();
+        }
+    });
+}
+
+/**
+ * Setup a modal's close behaviour: cancel button, overlay click and Escape
+ * @param {string} modalId - Modal element ID
+ * @param {string} confirmId - Confirm button ID
+ * @param {string} cancelId - Cancel button ID
+ * @param {Function} onConfirm - Confirm handler
+ * @param {Function} onHide - Function that hides the modal
+ */
+function setupReasonModal(modalId, confirmId, cancelId, onConfirm, onHide) {
+    const modal = document.getElementById(modalId);
+    const confirmBtn = document.getElementById(confirmId);
+    const cancelBtn = document.getElementById(cancelId);
+    const overlay = modal?.querySelector('.modal-overlay');
+    
+    if (!modal) return;
+    
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onConfirm();
+        });
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onHide();
+        });
+    }
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target === overlay) {
+            onHide();
+        }
+    });
+    
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+    }
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            onHide();
+        }
+    });
+}
+
+/**
+ * Setup moderation console tab switching
+ */
+function setupModerationTabs() {
+    const tabs = document.querySelectorAll('#moderation-tabs .dashboard-tab');
+    
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            tabs.forEach(other => {
+                const selected = other === tab;
+                const panel = document.getElementById(other.getAttribute('aria-controls'));
+                other.classList.toggle('active', selected);
+                other.setAttribute('aria-selected', selected ? 'true' : 'false');
+                if (panel) {
+                    panel.classList.toggle('hidden', !selected);
+                    panel.classList.toggle('active', selected);
+                }
+            });
+        });
+    });
+}
+
 /**
  * Setup dashboard tab switching
  */
@@ -2077,6 +10330,57 @@ function setupDeleteModal() {
     });
 }
 
+/**
+ * Setup import workspace modal handlers
+ */
+function setupImportModal() {
+    const modal = document.getElementById('import-modal');
+    const confirmBtn = document.getElementById('modal-import-confirm');
+    const cancelBtn = document.getElementById('modal-import-cancel');
+    const overlay = modal?.querySelector('.modal-overlay');
+    
+    if (!modal) return;
+    
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            confirmImport();
+        });
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            hideImportModal();
+        });
+    }
+    
+    modal.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+        radio.addEventListener('change', updateImportConflictVisibility);
+    });
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target === overlay) {
+            hideImportModal();
+        }
+    });
+    
+    const modalContent = modal.querySelector('.modal-content');
+    if (modalContent) {
+        modalContent.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+    }
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            hideImportModal();
+        }
+    });
+}
+
 /**
  * Toggle profile dropdown
  */
@@ -2147,15 +10451,42 @@ function closeMobileMenu() {
     document.body.style.overflow = '';
 }
 
+/**
+ * Track user activity on the session and end sessions that expire while
+ * the page is open
+ */
+function setupSessionMonitor() {
+    ['click', 'keydown'].forEach(type => {
+        document.addEventListener(type, recordSessionActivity, { passive: true });
+    });
+    
+    const checkSession = () => {
+        if (endExpiredSession()) {
+            refreshCurrentView();
+        }
+    };
+    setInterval(checkSession, SESSION_CONFIG.checkInterval);
+    
+    // Timers are throttled in background tabs, so check again on return
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            checkSession();
+        }
+    });
+}
+
 /**
  * Setup mobile menu handlers
  */
 function setupMobileMenu() {
     const burger = document.getElementById('nav-burger');
     const mobileMenu = document.getElementById('nav-mobile-menu');
-    const mobileLinks = mobileMenu?.querySelectorAll('.nav-mobile-link');
+    const mobileLinks = mobileMenu?.querySelectorAll('.nav-mobile-link, .nav-profile-dropdown-item[data-route]');
     const mobileProfileBtn = document.getElementById('mobile-profile-btn');
     const mobileLogoutBtn = document.getElementById('mobile-profile-logout-btn');
+    const mobileSignOutEverywhereBtn = document.getElementById('mobile-profile-signout-all-btn');
+    const mobileExportBtn = document.getElementById('mobile-profile-export-btn');
+    const mobileImportBtn = document.getElementById('mobile-profile-import-btn');
     
     if (burger) {
         burger.addEventListener('click', (e) => {
@@ -2208,6 +10539,33 @@ function setupMobileMenu() {
         });
     }
     
+    if (mobileSignOutEverywhereBtn) {
+        mobileSignOutEverywhereBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeMobileMenu();
+            handleSignOutEverywhere();
+        });
+    }
+    
+    if (mobileExportBtn) {
+        mobileExportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeMobileMenu();
+            handleExportWorkspace();
+        });
+    }
+    
+    if (mobileImportBtn) {
+        mobileImportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeMobileMenu();
+            showImportModal();
+        });
+    }
+    
     // Close mobile menu on Escape key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && mobileMenu && !mobileMenu.classList.contains('hidden')) {
@@ -2222,6 +10580,9 @@ function setupMobileMenu() {
 function setupProfileDropdown() {
     const profileBtn = document.getElementById('profile-btn');
     const logoutBtn = document.getElementById('profile-logout-btn');
+    const signOutEverywhereBtn = document.getElementById('profile-signout-all-btn');
+    const exportBtn = document.getElementById('profile-export-btn');
+    const importBtn = document.getElementById('profile-import-btn');
     
     if (profileBtn) {
         profileBtn.addEventListener('click', (e) => {
@@ -2239,6 +10600,33 @@ function setupProfileDropdown() {
         });
     }
     
+    if (signOutEverywhereBtn) {
+        signOutEverywhereBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeProfileDropdown();
+            handleSignOutEverywhere();
+        });
+    }
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeProfileDropdown();
+            handleExportWorkspace();
+        });
+    }
+    
+    if (importBtn) {
+        importBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeProfileDropdown();
+            showImportModal();
+        });
+    }
+    
     // Close dropdown when clicking outside
     document.addEventListener('click', (e) => {
         const profileWrapper = document.querySelector('.nav-profile-wrapper');
@@ -0,0 +1,1383 @@
+/**
+ * A/B Test Platform - Reference Sync Server
+ * Minimal REST backend for the app's offline-first sync, backed by a JSON file.
+ *
+ * Usage:
+ *   node server/sync-server.js
+ *
+ * Environment:
+ *   PORT            Port to listen on (default 8787)
+ *   SYNC_DATA_FILE  Path of the JSON data file (default server/sync-data.json)
+ *
+ * Endpoints:
+ *   POST /session          { email, password } -> { token, user }
+ *   POST /ops              { clientId, ops: [{ id, type, payload, token }] }
+ *                          -> { applied: [opId], rejected: [{ id, reason }],
+ *                               unauthenticated: [opId], tokens: { userId: token }, cursor }
+ *   GET  /changes?since=N  -> { cursor, users: [...], tests: [...], workspaces: [...] }
+ *                          (needs an Authorization: Bearer <token> header;
+ *                          deleted users, permanently deleted tests and removed
+ *                          workspaces come back as { id, purged: true }, and so
+ *                          do tests and workspaces the caller may not see; users
+ *                          never include credentials, and only admins get other
+ *                          users' emails and roles)
+ *   GET  /health           -> { ok: true }
+ *
+ * Every operation acting for a user carries a session token from POST /session
+ * (or from the registerUser operation that created the account) and is only
+ * applied when the token belongs to that user.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Constants & Configuration
+// ============================================
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json');
+
+// Request bodies carry inlined images, so allow generous payloads
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Operation ids remembered so retried pushes aren't applied twice
+const MAX_APPLIED_OP_IDS = 10000;
+
+// Session tokens stop working after this long
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Failed sign-ins per email before the email is locked for a while. Each
+// further lockout lasts twice as long as the one before, up to a day; lockouts
+// are forgotten a day after the last one ended.
+const LOGIN_LOCKOUT_ATTEMPTS = 10;
+const LOGIN_LOCKOUT_DURATION = 15 * 60 * 1000;
+const LOGIN_LOCKOUT_MAX_DURATION = 24 * 60 * 60 * 1000;
+const LOGIN_LOCKOUT_MEMORY = 24 * 60 * 60 * 1000;
+
+// Password hashes are derived by the client (see hashPassword() in app.js)
+const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const MAX_PASSWORD_HASH_ITERATIONS = 2000000;
+
+// ============================================
+// Data File
+// ============================================
+
+/**
+ * Load the database from disk
+ * @returns {Object} Database
+ */
+function loadDatabase() {
+    try {
+        const db = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        return {
+            seq: db.seq || 0,
+            users: db.users || [],
+            tests: db.tests || [],
+            workspaces: db.workspaces || [],
+            sessions: db.sessions || [],
+            appliedOps: db.appliedOps || []
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${DATA_FILE}:`, error);
+        }
+        return { seq: 0, users: [], tests: [], workspaces: [], sessions: [], appliedOps: [] };
+    }
+}
+
+/**
+ * Write the database to disk (write to a temp file, then rename)
+ * @param {Object} db - Database
+ */
+function saveDatabase(db) {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(db));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+/**
+ * Hash a session token for storage, so the data file holds no usable tokens
+ * @param {string} token - Session token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a session for a user
+ * @param {Object} db - Database
+ * @param {string} userId - User ID
+ * @returns {string} Session token to hand to the client
+ */
+function createSession(db, userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    db.sessions = db.sessions.filter(s => now - s.createdAt <= SESSION_MAX_AGE);
+    db.sessions.push({ tokenHash: hashToken(token), userId, createdAt: now });
+    return token;
+}
+
+/**
+ * Find the session a token belongs to
+ * @param {Object} db - Database
+ * @param {string} token - Session token
+ * @returns {Object|null} Session record, or null if the token is unknown or expired
+ */
+function findSession(db, token) {
+    if (typeof token !== 'string' || !token) {
+        return null;
+    }
+    const tokenHash = hashToken(token);
+    const session = db.sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || Date.now() - session.createdAt > SESSION_MAX_AGE || !findUser(db, session.userId)) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * End sessions of a user
+ * @param {Object} db - Database
+ * @param {string} userId - User ID
+ * @param {Object|null} keep - Session to keep, e.g. the one making the change
+ */
+function endSessions(db, userId, keep = null) {
+    db.sessions = db.sessions.filter(s => s.userId !== userId || s === keep);
+}
+
+/**
+ * Check that credentials look like the client's PBKDF2 hashes
+ * @param {Object} credentials - { algorithm, iterations, salt, hash }
+ * @returns {boolean} True if valid
+ */
+function isValidCredentials(credentials) {
+    return !!credentials &&
+        credentials.algorithm === PASSWORD_HASH_ALGORITHM &&
+        Number.isInteger(credentials.iterations) &&
+        credentials.iterations > 0 &&
+        credentials.iterations <= MAX_PASSWORD_HASH_ITERATIONS &&
+        typeof credentials.salt === 'string' && credentials.salt !== '' &&
+        typeof credentials.hash === 'string' && credentials.hash !== '';
+}
+
+/**
+ * Check a password against a user's credentials. Accounts created before
+ * hashing was introduced still hold a plaintext password.
+ * @param {Object} user - User record
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(user, password) {
+    if (user.credentials) {
+        const { salt, iterations, hash } = user.credentials;
+        const expected = Buffer.from(hash, 'base64');
+        const derived = await new Promise((resolve, reject) => {
+            crypto.pbkdf2(password, Buffer.from(salt, 'base64'), iterations, expected.length, 'sha256',
+                (error, key) => error ? reject(error) : resolve(key));
+        });
+        return crypto.timingSafeEqual(derived, expected);
+    }
+    if (typeof user.password !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(user.password);
+    const given = Buffer.from(password);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Remove secrets from a user record before it leaves the server
+ * @param {Object} user - User record
+ * @returns {Object} User without credentials or password
+ */
+function toPublicUser({ credentials, password, ...user }) {
+    return user;
+}
+
+// Failed sign-ins by lowercased email: { failures, lockouts, lockedUntil }.
+// Kept in memory only; a restart forgets them.
+const loginFailures = new Map();
+
+/**
+ * Sign a user in with their email and password. The password check takes a
+ * while, so the session is added to a fresh copy of the database afterwards:
+ * writes made by other requests in the meantime must not be lost.
+ * @param {Object} body - { email, password }
+ * @returns {Promise<Object>} { token, user } or { status, error }
+ */
+async function signIn({ email, password }) {
+    if (typeof email !== 'string' || typeof password !== 'string' || !password) {
+        return { status: 400, error: 'Email and password are required' };
+    }
+    const key = email.toLowerCase();
+    let record = loginFailures.get(key);
+    if (record && record.lockedUntil && Date.now() - record.lockedUntil > LOGIN_LOCKOUT_MEMORY) {
+        record = null;
+    }
+    if (record && record.lockedUntil > Date.now()) {
+        return { status: 429, error: 'Too many failed attempts. Try again later' };
+    }
+
+    const user = loadDatabase().users.find(u => !u.purged && u.email.toLowerCase() === key);
+    if (!user || !await verifyPassword(user, password)) {
+        // The count starts over once a lockout has ended, but the next
+        // lockout lasts longer
+        if (!record) {
+            record = { failures: 0, lockouts: 0, lockedUntil: 0 };
+        } else if (record.lockedUntil) {
+            record = { failures: 0, lockouts: record.lockouts, lockedUntil: 0 };
+        }
+        record.failures += 1;
+        if (record.failures >= LOGIN_LOCKOUT_ATTEMPTS) {
+            const duration = Math.min(LOGIN_LOCKOUT_DURATION * 2 ** record.lockouts, LOGIN_LOCKOUT_MAX_DURATION);
+            record.lockedUntil = Date.now() + duration;
+            record.lockouts += 1;
+        }
+        loginFailures.set(key, record);
+        return { status: 401, error: 'Invalid email or password' };
+    }
+
+    loginFailures.delete(key);
+
+    // Nothing may await between loading and saving
+    const db = loadDatabase();
+    const current = findUser(db, user.id);
+    if (!current || JSON.stringify(current.credentials) !== JSON.stringify(user.credentials) ||
+        current.password !== user.password) {
+        return { status: 401, error: 'Invalid email or password' };
+    }
+    const token = createSession(db, current.id);
+    saveDatabase(db);
+    return { token, user: toPublicUser(current) };
+}
+
+// ============================================
+// Operations
+// ============================================
+
+// Record ids end up in the clients' markup, so only plain ids (as the
+// client's generateId() makes them, with their prefixes) are accepted
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check that a value is a well-formed record id
+ * @param {*} id - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Stamp a record with the next change sequence number
+ * @param {Object} db - Database
+ * @param {Object} record - Record to stamp
+ */
+function touch(db, record) {
+    db.seq += 1;
+    record._rev = db.seq;
+}
+
+/**
+ * Find a user that hasn't been deleted
+ * @param {Object} db - Database
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} User record
+ */
+function findUser(db, userId) {
+    return db.users.find(u => u.id === userId && !u.purged);
+}
+
+/**
+ * Check whether an email is used by another account
+ * @param {Object} db - Database
+ * @param {string} email - Email
+ * @param {string} exceptUserId - Account to ignore
+ * @returns {boolean} True if taken
+ */
+function isEmailTaken(db, email, exceptUserId = null) {
+    return db.users.some(u => !u.purged && u.id !== exceptUserId && u.email.toLowerCase() === email.toLowerCase());
+}
+
+// Roles, lowest first; each role can do everything the ones before it can
+const ROLES = ['voter', 'creator', 'moderator', 'admin'];
+
+/**
+ * Check whether a user holds at least the given role
+ * @param {Object} db - Database
+ * @param {string} userId - User ID
+ * @param {string} role - Minimum role
+ * @returns {boolean} True if the user's role is high enough
+ */
+function hasRole(db, userId, role) {
+    const user = findUser(db, userId);
+    return !!user && ROLES.indexOf(user.role || 'creator') >= ROLES.indexOf(role);
+}
+
+const WORKSPACE_PERMISSIONS = ['view', 'edit', 'delete'];
+
+// Ids that take over a deleted account's tests, as in the client
+const DELETED_USER_ID_PREFIX = 'deleted_';
+
+/**
+ * Check that an id can take over a deleted account's content: it must look
+ * like one and nobody may own, vote or report under it yet, so an account
+ * can't be deleted into someone else's records.
+ * @param {Object} db - Database
+ * @param {string} anonymousId - Proposed id
+ * @returns {boolean} Whether the id is unused
+ */
+function isFreshAnonymousId(db, anonymousId) {
+    if (!isValidId(anonymousId) || !anonymousId.startsWith(DELETED_USER_ID_PREFIX) ||
+        db.users.some(u => u.id === anonymousId)) {
+        return false;
+    }
+    return !db.tests.some(test => !test.purged && (test.userId === anonymousId ||
+        Object.prototype.hasOwnProperty.call(test.votes || {}, anonymousId) ||
+        (test.reports || []).some(report => report.userId === anonymousId)));
+}
+
+// Personal workspace ids are derived from the user id, as in the client
+const PERSONAL_WORKSPACE_PREFIX = 'personal_';
+
+/**
+ * Get the id of a user's personal workspace
+ * @param {string} userId - User ID
+ * @returns {string} Workspace ID
+ */
+function getPersonalWorkspaceId(userId) {
+    return PERSONAL_WORKSPACE_PREFIX + userId;
+}
+
+/**
+ * Find a workspace that hasn't been removed
+ * @param {Object} db - Database
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object|undefined} Workspace record
+ */
+function findWorkspace(db, workspaceId) {
+    return db.workspaces.find(w => w.id === workspaceId && !w.purged);
+}
+
+/**
+ * Check whether a user has a permission on a test through its workspace.
+ * Tests outside any workspace are managed by their creator alone.
+ * @param {Object} db - Database
+ * @param {Object} test - Test record
+ * @param {string} userId - User ID
+ * @param {string} permission - 'view', 'edit' or 'delete'
+ * @returns {boolean} True if allowed
+ */
+function hasTestPermission(db, test, userId, permission) {
+    if (!test.workspaceId) {
+        return test.userId === userId;
+    }
+    // Clients create personal workspaces locally during migration, so the
+    // server may never have seen one. userId is the signed-in caller (see
+    // applyOperations()), and nobody else can create a workspace with this id.
+    if (test.workspaceId === getPersonalWorkspaceId(userId)) {
+        return true;
+    }
+    const workspace = findWorkspace(db, test.workspaceId);
+    const member = workspace && workspace.members.find(m => m.userId === userId);
+    return !!member && member.permissions.includes(permission);
+}
+
+/**
+ * Find a test the given user may change through its workspace, or moderates
+ * @param {Object} db - Database
+ * @param {string} testId - Test ID
+ * @param {string} userId - User ID
+ * @param {string} permission - Workspace permission needed
+ * @returns {Object} { test } or { reason }
+ */
+function findOwnedTest(db, testId, userId, permission = 'delete') {
+    const test = db.tests.find(t => t.id === testId && !t.purged);
+    if (!test) {
+        return { reason: 'Test not found' };
+    }
+    if (!hasTestPermission(db, test, userId, permission) && !hasRole(db, userId, 'moderator')) {
+        return { reason: 'You do not have permission to change this test' };
+    }
+    return { test };
+}
+
+/**
+ * Find a team workspace the actor owns, for member management
+ * @param {Object} db - Database
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} actorId - Acting user ID
+ * @returns {Object} { workspace } or { reason }
+ */
+function findOwnedWorkspace(db, workspaceId, actorId) {
+    const workspace = findWorkspace(db, workspaceId);
+    if (!workspace) {
+        return { reason: 'Workspace not found' };
+    }
+    if (workspace.ownerId !== actorId || workspace.personal) {
+        return { reason: 'Only the workspace owner can manage members' };
+    }
+    return { workspace };
+}
+
+/**
+ * Keep a permission list valid: known permissions only, always including view
+ * @param {Array<string>} permissions - Requested permissions
+ * @returns {Array<string>} Normalized permissions
+ */
+function normalizePermissions(permissions) {
+    const requested = Array.isArray(permissions) ? permissions : [];
+    return WORKSPACE_PERMISSIONS.filter(p => p === 'view' || requested.includes(p));
+}
+
+/**
+ * Find a test for a moderator action
+ * @param {Object} db - Database
+ * @param {string} testId - Test ID
+ * @param {string} userId - Moderator user ID
+ * @returns {Object} { test } or { reason }
+ */
+function findModeratedTest(db, testId, userId) {
+    if (!hasRole(db, userId, 'moderator')) {
+        return { reason: 'Only moderators can do this' };
+    }
+    const test = db.tests.find(t => t.id === testId && !t.purged);
+    return test ? { test } : { reason: 'Test not found' };
+}
+
+// Tests compare 2 to 6 variants, with ids 'A' to 'F' by position. Each
+// shows an image or a text snippet (image when the type is missing).
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MIN_VARIANTS = 2;
+const VARIANT_TYPES = ['image', 'text'];
+
+/**
+ * Get the ids of a test's variants
+ * @param {Object} test - Test record
+ * @returns {Array<string>} Variant ids (A and B for tests stored before variants)
+ */
+function getVariantIds(test) {
+    return Array.isArray(test.variants) ? test.variants.map(v => v.id) : ['A', 'B'];
+}
+
+/**
+ * Check that a variant has the content its type needs
+ * @param {Object} variant - Variant ({ id, type, label } plus image or text)
+ * @returns {boolean} True if valid
+ */
+function hasVariantContent(variant) {
+    const field = variant.type === 'text' ? 'text' : 'image';
+    return (variant.type === undefined || VARIANT_TYPES.includes(variant.type)) &&
+        typeof variant[field] === 'string' && variant[field] !== '';
+}
+
+/**
+ * Check that a new test's variants are complete and in order
+ * @param {Array<Object>} variants - Variants
+ * @returns {boolean} True if valid
+ */
+function isValidVariantList(variants) {
+    return Array.isArray(variants) &&
+        variants.length >= MIN_VARIANTS &&
+        variants.length <= VARIANT_IDS.length &&
+        variants.every((v, index) => v && v.id === VARIANT_IDS[index] &&
+            typeof v.label === 'string' && (v.caption === undefined || typeof v.caption === 'string') &&
+            hasVariantContent(v));
+}
+
+// Categories and tag limits, as in the client
+const TEST_CATEGORIES = ['general', 'landing-page', 'icon', 'ui', 'copy', 'email', 'ad'];
+const MAX_TEST_TAGS = 8;
+const TAG_PATTERN = /^[\p{L}\p{M}\p{N}]+(-[\p{L}\p{M}\p{N}]+)*$/u;
+const TAG_MAX_LENGTH = 24;
+
+/**
+ * Check that a tag list holds normalized, distinct tags within the limits
+ * @param {Array<string>} tags - Tags
+ * @returns {boolean} True if valid
+ */
+function isValidTagList(tags) {
+    return Array.isArray(tags) &&
+        tags.length <= MAX_TEST_TAGS &&
+        new Set(tags).size === tags.length &&
+        tags.every(tag => typeof tag === 'string' && tag.length <= TAG_MAX_LENGTH &&
+            TAG_PATTERN.test(tag) && tag === tag.toLowerCase());
+}
+
+// Lifecycle statuses. Tests from before statuses existed count as running.
+const TEST_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'closed'];
+
+/**
+ * Get the status a test is in right now (scheduled tests start at their
+ * start date; running tests close at their end date or target vote count)
+ * @param {Object} test - Test record
+ * @param {number} now - Current time in ms
+ * @returns {string} One of TEST_STATUSES
+ */
+function getTestStatus(test, now = Date.now()) {
+    const status = test.status || 'running';
+    if (status === 'draft' || status === 'paused' || status === 'closed') {
+        return status;
+    }
+    if (test.startsAt && now < test.startsAt) {
+        return 'scheduled';
+    }
+    const voteCount = Object.keys(test.votes || {}).length;
+    if ((test.endsAt && now >= test.endsAt) || (test.targetVotes && voteCount >= test.targetVotes)) {
+        return 'closed';
+    }
+    return 'running';
+}
+
+/**
+ * Operation handlers. Each returns null when applied (or already in the
+ * requested state) and a reason string when the operation is rejected.
+ */
+const OPERATIONS = {
+    registerUser(db, { user }, context) {
+        if (!user || !isValidId(user.id) || !user.email || !isValidCredentials(user.credentials)) {
+            return 'Invalid user';
+        }
+        if (db.users.some(u => u.id === user.id)) {
+            return null;
+        }
+        if (isEmailTaken(db, user.email)) {
+            return 'Email already registered';
+        }
+        // The first account administers the server; nobody else can
+        // register themselves into a moderating role
+        const isFirstUser = !db.users.some(u => !u.purged);
+        const role = isFirstUser ? 'admin' : (['voter', 'creator'].includes(user.role) ? user.role : 'creator');
+        const { password, ...fields } = user;
+        const record = { ...fields, role };
+        touch(db, record);
+        db.users.push(record);
+        // The new account signs in on the device that created it
+        context.tokens[record.id] = createSession(db, record.id);
+        return null;
+    },
+
+    updateCredentials(db, { userId, credentials, changedAt }) {
+        const user = findUser(db, userId);
+        if (!user) {
+            return 'User not found';
+        }
+        if (!isValidCredentials(credentials)) {
+            return 'Invalid credentials';
+        }
+        user.credentials = credentials;
+        delete user.password;
+        if (typeof changedAt === 'number') {
+            user.credentialsChangedAt = changedAt;
+        }
+        touch(db, user);
+        return null;
+    },
+
+    revokeSessions(db, { userId, revokedAt, keepCurrentSession }, context) {
+        const user = findUser(db, userId);
+        if (!user) {
+            return 'User not found';
+        }
+        if (typeof revokedAt !== 'number') {
+            return 'Invalid revocation time';
+        }
+        // Server sessions end too; the device that changed its password stays signed in
+        endSessions(db, userId, keepCurrentSession === true ? context.session : null);
+        // Keep the latest revocation if devices race
+        if ((user.sessionsRevokedAt || 0) >= revokedAt) {
+            return null;
+        }
+        user.sessionsRevokedAt = revokedAt;
+        touch(db, user);
+        return null;
+    },
+
+    changeEmail(db, { userId, email }) {
+        const user = findUser(db, userId);
+        if (!user) {
+            return 'User not found';
+        }
+        if (typeof email !== 'string' || !email.includes('@')) {
+            return 'Invalid email';
+        }
+        if (isEmailTaken(db, email, userId)) {
+            return 'Email already registered';
+        }
+        user.email = email.toLowerCase();
+        touch(db, user);
+        return null;
+    },
+
+    deleteAccount(db, { userId, anonymousId }) {
+        const existing = db.users.find(u => u.id === userId);
+        if (existing && existing.purged) {
+            return null;
+        }
+        if (!existing) {
+            return 'User not found';
+        }
+        if (anonymousId && !isFreshAnonymousId(db, anonymousId)) {
+            return 'Invalid anonymous id';
+        }
+
+        // Hand the user's tests, votes and reports to the anonymous id, or remove them
+        db.tests.forEach((test, index) => {
+            if (test.purged) {
+                return;
+            }
+            if (test.userId === userId && !anonymousId) {
+                const tombstone = { id: test.id, purged: true };
+                touch(db, tombstone);
+                db.tests[index] = tombstone;
+                return;
+            }
+
+            let changed = false;
+            if (test.userId === userId) {
+                test.userId = anonymousId;
+                changed = true;
+            }
+            if (test.votes[userId]) {
+                if (anonymousId) {
+                    test.votes[anonymousId] = test.votes[userId];
+                }
+                delete test.votes[userId];
+                changed = true;
+            }
+            if ((test.reports || []).some(report => report.userId === userId)) {
+                test.reports = test.reports
+                    .filter(report => anonymousId || report.userId !== userId)
+                    .map(report => report.userId === userId ? { ...report, userId: anonymousId } : report);
+                changed = true;
+            }
+            // Revisions stay in the history without the user's id
+            (test.revisions || []).forEach(revision => {
+                if (revision.userId === userId) {
+                    revision.userId = anonymousId;
+                    changed = true;
+                }
+            });
+            if (changed) {
+                touch(db, test);
+            }
+        });
+
+        // Personal workspaces go; team workspaces pass to the next member
+        db.workspaces.forEach((workspace, index) => {
+            if (workspace.purged || !workspace.members.some(m => m.userId === userId)) {
+                return;
+            }
+            workspace.members = workspace.members.filter(m => m.userId !== userId);
+            if (workspace.ownerId === userId) {
+                if (workspace.personal || workspace.members.length === 0) {
+                    const tombstone = { id: workspace.id, purged: true };
+                    touch(db, tombstone);
+                    db.workspaces[index] = tombstone;
+                    return;
+                }
+                workspace.ownerId = workspace.members[0].userId;
+                workspace.members[0].permissions = [...WORKSPACE_PERMISSIONS];
+            }
+            touch(db, workspace);
+        });
+
+        const tombstone = { id: userId, purged: true };
+        touch(db, tombstone);
+        db.users[db.users.indexOf(existing)] = tombstone;
+        endSessions(db, userId);
+        return null;
+    },
+
+    updateProfile(db, { userId, profile }) {
+        const user = findUser(db, userId);
+        if (!user) {
+            return 'User not found';
+        }
+        if (!profile || typeof profile !== 'object') {
+            return 'Invalid profile';
+        }
+        const avatar = profile.avatar;
+        if (avatar !== null && avatar !== undefined && !(typeof avatar === 'string' && avatar.startsWith('data:image/'))) {
+            return 'Invalid avatar';
+        }
+        user.profile = {
+            displayName: String(profile.displayName || ''),
+            avatar: avatar || null,
+            bio: String(profile.bio || '')
+        };
+        touch(db, user);
+        return null;
+    },
+
+    setUserRole(db, { actorId, userId, role }) {
+        if (!hasRole(db, actorId, 'admin')) {
+            return 'Only admins can change roles';
+        }
+        if (!ROLES.includes(role)) {
+            return 'Unknown role';
+        }
+        const user = findUser(db, userId);
+        if (!user) {
+            return 'User not found';
+        }
+        if (user.role === 'admin' && role !== 'admin' &&
+            !db.users.some(u => !u.purged && u.id !== userId && u.role === 'admin')) {
+            return 'There must be at least one admin';
+        }
+        user.role = role;
+        touch(db, user);
+        return null;
+    },
+
+    createWorkspace(db, { workspace }) {
+        if (!workspace || !isValidId(workspace.id) || !workspace.name || !findUser(db, workspace.ownerId)) {
+            return 'Invalid workspace';
+        }
+        // Only a user's own personal workspace may use the personal id scheme
+        const personal = workspace.personal === true;
+        if (personal !== String(workspace.id).startsWith(PERSONAL_WORKSPACE_PREFIX) ||
+            (personal && workspace.id !== getPersonalWorkspaceId(workspace.ownerId))) {
+            return 'Invalid workspace';
+        }
+        if (db.workspaces.some(w => w.id === workspace.id)) {
+            return null;
+        }
+        const record = {
+            id: workspace.id,
+            name: String(workspace.name).slice(0, 40),
+            ownerId: workspace.ownerId,
+            personal,
+            createdAt: workspace.createdAt || Date.now(),
+            members: [{ userId: workspace.ownerId, permissions: [...WORKSPACE_PERMISSIONS] }],
+            invites: []
+        };
+        touch(db, record);
+        db.workspaces.push(record);
+        return null;
+    },
+
+    inviteToWorkspace(db, { workspaceId, actorId, invite }) {
+        const { workspace, reason } = findOwnedWorkspace(db, workspaceId, actorId);
+        if (!workspace) {
+            return reason;
+        }
+        if (!invite || !invite.email) {
+            return 'Invalid invite';
+        }
+        const email = String(invite.email).toLowerCase();
+        if (workspace.invites.some(i => i.email === email)) {
+            return null;
+        }
+        workspace.invites.push({
+            email,
+            permissions: normalizePermissions(invite.permissions),
+            invitedBy: actorId,
+            createdAt: invite.createdAt || Date.now()
+        });
+        touch(db, workspace);
+        return null;
+    },
+
+    cancelWorkspaceInvite(db, { workspaceId, actorId, email }) {
+        const { workspace, reason } = findOwnedWorkspace(db, workspaceId, actorId);
+        if (!workspace) {
+            return reason;
+        }
+        workspace.invites = workspace.invites.filter(i => i.email !== email);
+        touch(db, workspace);
+        return null;
+    },
+
+    respondToWorkspaceInvite(db, { workspaceId, userId, accept }) {
+        const workspace = findWorkspace(db, workspaceId);
+        const user = findUser(db, userId);
+        if (!workspace || !user) {
+            return 'Workspace not found';
+        }
+        const invite = workspace.invites.find(i => i.email === user.email.toLowerCase());
+        if (!invite) {
+            // Already answered
+            return workspace.members.some(m => m.userId === userId) || !accept ? null : 'Invite not found';
+        }
+        workspace.invites = workspace.invites.filter(i => i !== invite);
+        if (accept && !workspace.members.some(m => m.userId === userId)) {
+            workspace.members.push({ userId, permissions: invite.permissions });
+        }
+        touch(db, workspace);
+        return null;
+    },
+
+    setWorkspaceMemberPermissions(db, { workspaceId, actorId, memberId, permissions }) {
+        const { workspace, reason } = findOwnedWorkspace(db, workspaceId, actorId);
+        if (!workspace) {
+            return reason;
+        }
+        const member = workspace.members.find(m => m.userId === memberId);
+        if (!member || memberId === workspace.ownerId) {
+            return 'Member not found';
+        }
+        member.permissions = normalizePermissions(permissions);
+        touch(db, workspace);
+        return null;
+    },
+
+    removeWorkspaceMember(db, { workspaceId, actorId, memberId }) {
+        const workspace = findWorkspace(db, workspaceId);
+        if (!workspace) {
+            return 'Workspace not found';
+        }
+        if (actorId !== memberId && actorId !== workspace.ownerId) {
+            return 'Only the workspace owner can remove members';
+        }
+        if (memberId === workspace.ownerId) {
+            return 'The owner cannot leave their own workspace';
+        }
+        if (!workspace.members.some(m => m.userId === memberId)) {
+            return null;
+        }
+        workspace.members = workspace.members.filter(m => m.userId !== memberId);
+        touch(db, workspace);
+        return null;
+    },
+
+    createTest(db, { test }) {
+        if (!test || !isValidId(test.id) || !test.title || !isValidVariantList(test.variants) ||
+            (test.workspaceId && !isValidId(test.workspaceId)) ||
+            (test.forkedFrom && !isValidId(test.forkedFrom)) ||
+            !(test.revisions || []).every(revision => revision && isValidId(revision.id))) {
+            return 'Invalid test';
+        }
+        if (db.tests.some(t => t.id === test.id)) {
+            return null;
+        }
+        if (test.workspaceId && !hasTestPermission(db, test, test.userId, 'edit')) {
+            return 'You do not have permission to add tests to this workspace';
+        }
+        if (test.tags !== undefined && !isValidTagList(test.tags)) {
+            return 'Invalid tags';
+        }
+        const record = {
+            ...test,
+            votes: test.votes || {},
+            hidden: false,
+            reports: [],
+            allowGuestVotes: test.allowGuestVotes === true,
+            tags: test.tags || [],
+            category: TEST_CATEGORIES.includes(test.category) ? test.category : 'general'
+        };
+        touch(db, record);
+        db.tests.push(record);
+        return null;
+    },
+
+    voteOnTest(db, { testId, userId, option }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!isValidId(userId)) {
+            return 'Invalid voter';
+        }
+        // First vote wins; a repeated vote is a no-op
+        if (test.votes[userId]) {
+            return null;
+        }
+        if (String(userId).startsWith('guest_') && !test.allowGuestVotes) {
+            return 'Guest votes are not allowed on this test';
+        }
+        if (!getVariantIds(test).includes(option)) {
+            return 'Invalid vote option';
+        }
+        if (getTestStatus(test) !== 'running') {
+            return 'This test is not accepting votes';
+        }
+        test.votes[userId] = option;
+        touch(db, test);
+        return null;
+    },
+
+    setGuestVoting(db, { testId, userId, allowGuestVotes }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!hasTestPermission(db, test, userId, 'edit')) {
+            return 'You do not have permission to change this test';
+        }
+        test.allowGuestVotes = allowGuestVotes === true;
+        touch(db, test);
+        return null;
+    },
+
+    clearVotes(db, { testId, userId }) {
+        const { test, reason } = findOwnedTest(db, testId, userId, 'edit');
+        if (!test) {
+            return reason;
+        }
+        test.votes = {};
+        touch(db, test);
+        return null;
+    },
+
+    replaceTestImages(db, { testId, userId, variants }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!hasTestPermission(db, test, userId, 'edit')) {
+            return 'You do not have permission to change this test';
+        }
+        // Only the images change: same variants, same order
+        if (!Array.isArray(variants) || variants.length !== test.variants.length ||
+            test.variants.some((variant, index) => variant.type !== 'text' &&
+                !(variants[index] && typeof variants[index].image === 'string' && variants[index].image))) {
+            return 'Invalid images';
+        }
+        test.variants = test.variants.map((variant, index) =>
+            variant.type === 'text' ? variant : { ...variant, image: variants[index].image });
+        touch(db, test);
+        return null;
+    },
+
+    updateTest(db, { testId, userId, title, description, question, variants, allowGuestVotes, tags, category, revision }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!hasTestPermission(db, test, userId, 'edit')) {
+            return 'You do not have permission to change this test';
+        }
+        if (!title || !isValidVariantList(variants) || !revision || !isValidId(revision.id) || !Array.isArray(revision.changes)) {
+            return 'Invalid test';
+        }
+        // Edits made before tags existed leave them alone
+        if ((tags !== undefined && !isValidTagList(tags)) || (category !== undefined && !TEST_CATEGORIES.includes(category))) {
+            return 'Invalid tags or category';
+        }
+        test.title = title;
+        test.description = typeof description === 'string' ? description : test.description || '';
+        test.question = typeof question === 'string' ? question : test.question || '';
+        test.variants = variants;
+        test.allowGuestVotes = allowGuestVotes === true;
+        if (tags !== undefined) {
+            test.tags = tags;
+        }
+        if (category !== undefined) {
+            test.category = category;
+        }
+        // Votes were cast on the old variants
+        if (revision.votesReset) {
+            test.votes = {};
+        }
+        test.revisions = [...(test.revisions || []), revision];
+        touch(db, test);
+        return null;
+    },
+
+    setTestStatus(db, { testId, userId, status, closedAt }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!hasTestPermission(db, test, userId, 'edit')) {
+            return 'You do not have permission to change this test';
+        }
+        if (!TEST_STATUSES.includes(status)) {
+            return 'Unknown test status';
+        }
+        // Closing is final
+        if (test.status === 'closed') {
+            return status === 'closed' ? null : 'This test is closed';
+        }
+        test.status = status;
+        test.closedAt = status === 'closed' ? closedAt || Date.now() : null;
+        touch(db, test);
+        return null;
+    },
+
+    reportTest(db, { testId, report }) {
+        const test = db.tests.find(t => t.id === testId && !t.purged);
+        if (!test) {
+            return 'Test not found';
+        }
+        if (!report || !findUser(db, report.userId) || !String(report.reason || '').trim()) {
+            return 'Invalid report';
+        }
+        test.reports = test.reports || [];
+        // One report per user; a repeated report is a no-op
+        if (test.reports.some(r => r.userId === report.userId)) {
+            return null;
+        }
+        test.reports.push({
+            userId: report.userId,
+            reason: String(report.reason).trim().slice(0, 200),
+            createdAt: report.createdAt || Date.now()
+        });
+        touch(db, test);
+        return null;
+    },
+
+    hideTest(db, { testId, userId, reason, hiddenAt }) {
+        const { test, reason: rejection } = findModeratedTest(db, testId, userId);
+        if (!test) {
+            return rejection;
+        }
+        test.hidden = true;
+        test.hiddenReason = String(reason || '');
+        test.hiddenAt = hiddenAt || Date.now();
+        touch(db, test);
+        return null;
+    },
+
+    unhideTest(db, { testId, userId }) {
+        const { test, reason } = findModeratedTest(db, testId, userId);
+        if (!test) {
+            return reason;
+        }
+        test.hidden = false;
+        delete test.hiddenReason;
+        delete test.hiddenAt;
+        touch(db, test);
+        return null;
+    },
+
+    dismissReports(db, { testId, userId }) {
+        const { test, reason } = findModeratedTest(db, testId, userId);
+        if (!test) {
+            return reason;
+        }
+        test.reports = [];
+        touch(db, test);
+        return null;
+    },
+
+    deleteTest(db, { testId, userId, deletedAt }) {
+        const { test, reason } = findOwnedTest(db, testId, userId);
+        if (!test) {
+            return reason;
+        }
+        test.deleted = true;
+        test.deletedAt = deletedAt || Date.now();
+        touch(db, test);
+        return null;
+    },
+
+    restoreTest(db, { testId, userId }) {
+        const { test, reason } = findOwnedTest(db, testId, userId);
+        if (!test) {
+            return reason;
+        }
+        test.deleted = false;
+        delete test.deletedAt;
+        touch(db, test);
+        return null;
+    },
+
+    permanentlyDeleteTest(db, { testId, userId }) {
+        const existing = db.tests.find(t => t.id === testId);
+        if (existing && existing.purged) {
+            return null;
+        }
+        const { test, reason } = findOwnedTest(db, testId, userId);
+        if (!test) {
+            return reason;
+        }
+        // Keep a tombstone so clients learn about the deletion
+        const index = db.tests.indexOf(test);
+        const tombstone = { id: testId, purged: true };
+        touch(db, tombstone);
+        db.tests[index] = tombstone;
+        return null;
+    }
+};
+
+/**
+ * Get the user an operation acts for, which its token must belong to
+ * @param {Object} op - Operation
+ * @returns {string|null} User ID, or null for operations anyone may send
+ *   (registering an account, guest votes)
+ */
+function getOperationActor(op) {
+    const payload = op.payload || {};
+    switch (op.type) {
+        case 'registerUser':
+            return null;
+        case 'createWorkspace':
+            return payload.workspace ? payload.workspace.ownerId : undefined;
+        case 'createTest':
+            return payload.test ? payload.test.userId : undefined;
+        case 'reportTest':
+            return payload.report ? payload.report.userId : undefined;
+        case 'setUserRole':
+        case 'inviteToWorkspace':
+        case 'cancelWorkspaceInvite':
+        case 'setWorkspaceMemberPermissions':
+        case 'removeWorkspaceMember':
+            return payload.actorId;
+        case 'voteOnTest':
+            return String(payload.userId).startsWith('guest_') ? null : payload.userId;
+        default:
+            return payload.userId;
+    }
+}
+
+/**
+ * Apply a batch of operations in order. Operations whose token doesn't
+ * belong to the user they act for are left unapplied and reported as
+ * unauthenticated, so the client can sign in again and resend them.
+ * @param {Object} db - Database, updated in place
+ * @param {Array} ops - Operations
+ * @returns {Object} { applied, rejected, unauthenticated, tokens } where
+ *   tokens holds session tokens of accounts registered by this batch
+ */
+function applyOperations(db, ops) {
+    const applied = [];
+    const rejected = [];
+    const unauthenticated = [];
+    const tokens = {};
+    const seen = new Set(db.appliedOps);
+
+    ops.forEach(op => {
+        if (!op || !op.id) {
+            return;
+        }
+        if (seen.has(op.id)) {
+            applied.push(op.id);
+            return;
+        }
+
+        const actor = getOperationActor(op);
+        const session = actor === null ? null : findSession(db, op.token);
+        if (actor !== null && (!session || session.userId !== actor)) {
+            unauthenticated.push(op.id);
+            return;
+        }
+
+        const handler = OPERATIONS[op.type];
+        const context = { session, tokens };
+        const reason = handler ? handler(db, op.payload || {}, context) : `Unknown operation "${op.type}"`;
+
+        if (reason) {
+            rejected.push({ id: op.id, reason });
+        } else {
+            applied.push(op.id);
+            seen.add(op.id);
+            db.appliedOps.push(op.id);
+        }
+    });
+
+    if (db.appliedOps.length > MAX_APPLIED_OP_IDS) {
+        db.appliedOps = db.appliedOps.slice(-MAX_APPLIED_OP_IDS);
+    }
+
+    return { applied, rejected, unauthenticated, tokens };
+}
+
+/**
+ * Get the copy of a user another user may see
+ * @param {Object} db - Database
+ * @param {Object} user - User record (without _rev)
+ * @param {string} viewerId - User pulling the changes
+ * @returns {Object} User record to send
+ */
+function toVisibleUser(db, user, viewerId) {
+    if (user.purged || user.id === viewerId || hasRole(db, viewerId, 'admin')) {
+        return toPublicUser(user);
+    }
+    return { id: user.id, profile: user.profile };
+}
+
+/**
+ * Get the copy of a test a user may see. Workspace members with view
+ * permission and moderators get the whole test; anyone else only gets tests
+ * listed on browse, without reports, history or who cast the other votes.
+ * @param {Object} db - Database
+ * @param {Object} test - Test record (without _rev)
+ * @param {string} viewerId - User pulling the changes
+ * @returns {Object} Test record to send ({ id, purged: true } if hidden from the user)
+ */
+function toVisibleTest(db, test, viewerId) {
+    if (test.purged || hasTestPermission(db, test, viewerId, 'view') || hasRole(db, viewerId, 'moderator')) {
+        return test;
+    }
+    const status = getTestStatus(test);
+    if (test.deleted || test.hidden || status === 'draft' || status === 'scheduled') {
+        return { id: test.id, purged: true };
+    }
+
+    const votes = {};
+    Object.entries(test.votes || {}).forEach(([voterId, option], index) => {
+        const visible = voterId === viewerId || voterId.startsWith('guest_');
+        votes[visible ? voterId : `voter_${index}`] = option;
+    });
+    const { reports, revisions, hiddenReason, hiddenAt, ...fields } = test;
+    return { ...fields, votes, reports: [], revisions: [] };
+}
+
+/**
+ * Get the copy of a workspace a user may see: members and invitees get it,
+ * anyone else learns only that it is gone for them
+ * @param {Object} db - Database
+ * @param {Object} workspace - Workspace record (without _rev)
+ * @param {string} viewerId - User pulling the changes
+ * @returns {Object} Workspace record to send
+ */
+function toVisibleWorkspace(db, workspace, viewerId) {
+    const viewer = findUser(db, viewerId);
+    const email = viewer ? viewer.email.toLowerCase() : null;
+    if (workspace.purged || workspace.members.some(m => m.userId === viewerId) ||
+        workspace.invites.some(i => i.email === email)) {
+        return workspace;
+    }
+    return { id: workspace.id, purged: true };
+}
+
+/**
+ * Get records changed after a cursor, as the given user may see them
+ * @param {Object} db - Database
+ * @param {number} since - Cursor from the previous pull
+ * @param {string} viewerId - Signed-in user pulling the changes
+ * @returns {Object} { cursor, users, tests, workspaces }
+ */
+function getChanges(db, since, viewerId) {
+    // A cursor ahead of the server means the data file was reset: send everything
+    const from = since > db.seq ? 0 : since;
+    const strip = ({ _rev, ...record }) => record;
+
+    return {
+        cursor: db.seq,
+        users: db.users.filter(u => u._rev > from).map(user => toVisibleUser(db, strip(user), viewerId)),
+        tests: db.tests.filter(t => t._rev > from).map(test => toVisibleTest(db, strip(test), viewerId)),
+        workspaces: db.workspaces.filter(w => w._rev > from).map(workspace => toVisibleWorkspace(db, strip(workspace), viewerId))
+    };
+}
+
+// ============================================
+// HTTP Server
+// ============================================
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Handle a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    // The app is usually served from another origin (or file://)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/health') {
+            sendJson(res, 200, { ok: true });
+        } else if (req.method === 'POST' && url.pathname === '/session') {
+            const result = await signIn(await readJsonBody(req));
+            if (result.error) {
+                sendJson(res, result.status, { error: result.error });
+                return;
+            }
+            sendJson(res, 200, result);
+        } else if (req.method === 'GET' && url.pathname === '/changes') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const db = loadDatabase();
+            const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+            const session = findSession(db, token);
+            if (!session) {
+                sendJson(res, 401, { error: 'Sign in to fetch changes' });
+                return;
+            }
+            sendJson(res, 200, getChanges(db, since, session.userId));
+        } else if (req.method === 'POST' && url.pathname === '/ops') {
+            const body = await readJsonBody(req);
+            if (!Array.isArray(body.ops)) {
+                sendJson(res, 400, { error: 'Expected an ops array' });
+                return;
+            }
+
+            const db = loadDatabase();
+            const result = applyOperations(db, body.ops);
+            saveDatabase(db);
+
+            if (result.rejected.length > 0) {
+                console.log(`Rejected ${result.rejected.length} op(s) from ${body.clientId || 'unknown client'}`);
+            }
+            if (result.unauthenticated.length > 0) {
+                console.log(`Refused ${result.unauthenticated.length} unauthenticated op(s) from ${body.clientId || 'unknown client'}`);
+            }
+            sendJson(res, 200, { ...result, cursor: db.seq });
+        } else {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        console.error('Error handling request:', error);
+        sendJson(res, error.status || 500, { error: error.message || 'Server error' });
+    }
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(PORT, () => {
+        console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+    });
+}
+
+module.exports = { applyOperations, getChanges, handleRequest };